@@ -1,7 +1,47 @@
-import React, { useState, useCallback, useMemo } from 'react';
+import React, { useState, useCallback, useMemo, useEffect } from 'react';
 import * as XLSX from 'xlsx';
 import { PieChart, Pie, Cell, BarChart, Bar, XAxis, YAxis, Tooltip, Legend, ResponsiveContainer } from 'recharts';
 import { useEquipmentData } from './hooks/useEquipmentData';
+import { AREAS, RECTIFICATION_STATES } from './lib/constants';
+import { formatDateTime, formatIsoDate, toDate } from './lib/dates';
+import { formatCriticality, getParentLocation, groupByEquipmentType } from './lib/equipment';
+import { parseWorkbook } from './lib/workbook';
+import { detectProfile, getWorkbookHeaders } from './lib/columnMapping';
+import { useMappingProfiles } from './hooks/useMappingProfiles';
+import { useSnapshots } from './hooks/useSnapshots';
+import { useCurrentUser } from './hooks/useAuth';
+import { useRectificationActions } from './hooks/useRectificationActions';
+import { useCommentSummary } from './hooks/useCommentSummary';
+import { useAlertAcknowledgements } from './hooks/useAlertAcknowledgements';
+import { useDashboardSetting } from './hooks/useDashboardSetting';
+import { useAlarmRules } from './hooks/useAlarmRules';
+import { formatRole, hasRole } from './lib/roles';
+import { formatActionState, isActionOverdue } from './lib/rectification';
+import { isAlertSuppressed } from './lib/acknowledgements';
+import { DEFAULT_SLA_DAYS, getDaysOpen } from './lib/aging';
+import { DEFAULT_RISK_WEIGHTS, mergeRiskWeights } from './lib/risk';
+import { DEFAULT_HIERARCHY, buildLocationTree, matchesLocation, mergeHierarchyConfig, toLocationFilter } from './lib/hierarchy';
+import { DEFAULT_KPI_TARGETS, RAG_COLORS, evaluateKpis, findHealthTarget, formatActual, formatKpi, formatTarget, getRagState, normaliseKpis } from './lib/kpi';
+import { OBSOLESCENCE_CATEGORY, UNCATEGORISED, classifyAlarms, countByCategory, getAlarmCategories } from './lib/alarmRules';
+import ImportPreview from './components/ImportPreview';
+import ColumnMappingEditor from './components/ColumnMappingEditor';
+import HistoryPanel from './components/HistoryPanel';
+import ActivityPanel from './components/ActivityPanel';
+import TrendsView from './components/TrendsView';
+import CompareView from './components/CompareView';
+import AgingView from './components/AgingView';
+import RiskMatrixView from './components/RiskMatrixView';
+import AlarmRulesEditor from './components/AlarmRulesEditor';
+import ParetoView from './components/ParetoView';
+import HierarchyView from './components/HierarchyView';
+import KpiScorecard, { RagPill } from './components/KpiScorecard';
+import EquipmentDrawer from './components/EquipmentDrawer';
+import EditRecordModal from './components/EditRecordModal';
+import RectificationActionModal from './components/RectificationActionModal';
+import CommentThread from './components/CommentThread';
+import CommentBadge from './components/CommentBadge';
+import AcknowledgeAlertModal from './components/AcknowledgeAlertModal';
+import EquipmentGroup from './components/EquipmentGroup';
 
 const STATUS_COLORS = {
   'Healthy': '#00B1A9',   // PETRONAS Emerald Green
@@ -18,12 +58,10 @@ const AREA_COLORS = {
   'Turbomachinery': '#00B1A9' // PETRONAS Emerald Green
 };
 
-const AREAS = ['Ammonia', 'Utility', 'Urea', 'PDF UET', 'System', 'Turbomachinery'];
-
 export default function InstrumentHealthDashboard() {
   // Use Supabase data hook
   const {
-    data,
+    data: liveData,
     setData,
     isLoading: isLoadingData,
     isSaving,
@@ -32,138 +70,177 @@ export default function InstrumentHealthDashboard() {
     isSupabaseConfigured,
     saveEquipment,
     clearAllData,
+    restorePreviousDataset,
+    updateEquipmentRecord,
     clearError
   } = useEquipmentData();
 
+  const {
+    profiles: mappingProfiles,
+    error: mappingError,
+    saveProfile: saveMappingProfile,
+    deleteProfile: deleteMappingProfile,
+    clearError: clearMappingError
+  } = useMappingProfiles();
+
+  const {
+    snapshots,
+    isLoading: isLoadingSnapshots,
+    error: snapshotError,
+    fetchSnapshots,
+    fetchSnapshotRows,
+    restoreTarget,
+    trendCounts,
+    isLoadingTrends,
+    fetchTrendCounts
+  } = useSnapshots();
+
+  const {
+    actions: rectificationActions,
+    error: actionsError,
+    saveAction,
+    clearError: clearActionsError
+  } = useRectificationActions();
+
+  const {
+    summary: commentSummary,
+    error: commentSummaryError,
+    addToSummary: addCommentToSummary,
+    clearError: clearCommentSummaryError
+  } = useCommentSummary();
+
+  const {
+    acknowledgements,
+    error: acknowledgementError,
+    fetchAcknowledgements,
+    acknowledgeAlert,
+    releaseAlert,
+    clearError: clearAcknowledgementError
+  } = useAlertAcknowledgements();
+
+  const {
+    value: storedSlaDays,
+    error: slaError,
+    saveValue: saveSlaDays
+  } = useDashboardSetting('sla_days', DEFAULT_SLA_DAYS);
+  const slaDays = useMemo(() => ({ ...DEFAULT_SLA_DAYS, ...storedSlaDays }), [storedSlaDays]);
+
+  const {
+    value: storedRiskWeights,
+    error: riskWeightsError,
+    saveValue: saveRiskWeights
+  } = useDashboardSetting('risk_weights', DEFAULT_RISK_WEIGHTS);
+  const riskWeights = useMemo(() => mergeRiskWeights(storedRiskWeights), [storedRiskWeights]);
+
+  const {
+    value: storedHierarchy,
+    error: hierarchyError,
+    saveValue: saveHierarchy
+  } = useDashboardSetting('location_hierarchy', DEFAULT_HIERARCHY);
+  const hierarchyConfig = useMemo(() => mergeHierarchyConfig(storedHierarchy), [storedHierarchy]);
+
+  const {
+    value: storedKpis,
+    error: kpisError,
+    saveValue: saveKpis
+  } = useDashboardSetting('kpi_targets', DEFAULT_KPI_TARGETS);
+  const kpis = useMemo(() => normaliseKpis(storedKpis), [storedKpis]);
+
+  const {
+    rules: alarmRules,
+    error: alarmRulesError,
+    saveRule: saveAlarmRule,
+    deleteRule: deleteAlarmRule,
+    clearError: clearAlarmRulesError
+  } = useAlarmRules();
+
   const [selectedArea, setSelectedArea] = useState('All');
   const [selectedEquipment, setSelectedEquipment] = useState('All');
   const [selectedStatus, setSelectedStatus] = useState('All');
+  // Functional location node picked in the Locations tree; filters every tab
+  const [selectedLocation, setSelectedLocation] = useState(null);
   const [selectedCriticality, setSelectedCriticality] = useState('All');
   const [fileName, setFileName] = useState('');
   const [isProcessingFile, setIsProcessingFile] = useState(false);
   const [viewMode, setViewMode] = useState('overview');
   const [showClearConfirm, setShowClearConfirm] = useState(false);
+  const [showRestoreConfirm, setShowRestoreConfirm] = useState(false);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [showMappingEditor, setShowMappingEditor] = useState(false);
+  const [showAlarmRules, setShowAlarmRules] = useState(false);
+  const [importSummary, setImportSummary] = useState(null);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showActivity, setShowActivity] = useState(false);
+  const [viewingSnapshot, setViewingSnapshot] = useState(null);
+  const [loadingSnapshotId, setLoadingSnapshotId] = useState(null);
+  // Functional location shown in the detail drawer, kept in the URL as ?tag= so it can be shared
+  const [selectedTag, setSelectedTag] = useState(() => new URLSearchParams(window.location.search).get('tag'));
+  const [editingItem, setEditingItem] = useState(null);
+  const [actionItem, setActionItem] = useState(null);
+  const [commentItem, setCommentItem] = useState(null);
+  const [acknowledgingAlert, setAcknowledgingAlert] = useState(null);
+  // Acknowledged and shelved alerts are left out of the headline counts unless this is on
+  const [includeSuppressed, setIncludeSuppressed] = useState(false);
+  const [alertActionState, setAlertActionState] = useState('All');
+  const [alertOwner, setAlertOwner] = useState('All');
+  const [showOverdueOnly, setShowOverdueOnly] = useState(false);
+  const [alertCategory, setAlertCategory] = useState('All');
 
-  // Format criticality to C1/C2/C3 format
-  const formatCriticality = (criticality) => {
-    if (!criticality) return '-';
-    const critMap = {
-      'high': 'C1',
-      'medium': 'C2',
-      'low': 'C3',
-      'c1': 'C1',
-      'c2': 'C2',
-      'c3': 'C3'
-    };
-    return critMap[criticality.toLowerCase()] || criticality;
-  };
+  // A past snapshot replaces the live data in every tab and makes the dashboard read-only
+  const data = viewingSnapshot ? viewingSnapshot.rows : liveData;
+  const isReadOnly = viewingSnapshot !== null;
 
-  // Format last refreshed timestamp
-  const formatRefreshTime = (date) => {
-    if (!date) return null;
-    return date.toLocaleString('en-MY', {
-      day: 'numeric',
-      month: 'short',
-      year: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: true
-    });
-  };
+  // Only admins can upload, update, clear or restore data
+  const currentUser = useCurrentUser();
+  const canManageData = !isReadOnly && hasRole(currentUser.role, 'admin');
+
+  // Engineers and admins can correct individual records in the live data
+  const canEditRecords = !isReadOnly && isSupabaseConfigured && hasRole(currentUser.role, 'engineer');
+
+  // Shared settings such as SLA days and risk weights are changed by admins
+  const canConfigureSettings = isSupabaseConfigured && hasRole(currentUser.role, 'admin');
 
   // Format date to mmm-yy format
   const formatDate = (dateValue) => {
     if (!dateValue) return '-';
-    
+
+    const date = toDate(dateValue);
+    if (!date) return dateValue; // Return original if can't parse
+
     const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    const monthMap = { 'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5, 'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11 };
-    
-    let date;
-    
-    // Handle Excel serial date number
-    if (typeof dateValue === 'number') {
-      date = new Date((dateValue - 25569) * 86400 * 1000);
-    } 
-    // Handle string date
-    else if (typeof dateValue === 'string') {
-      // Try to parse DD-MMM-YYYY format (e.g., "15-Nov-2025")
-      const ddMmmYyyyMatch = dateValue.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
-      if (ddMmmYyyyMatch) {
-        const day = parseInt(ddMmmYyyyMatch[1]);
-        const monthStr = ddMmmYyyyMatch[2].toLowerCase();
-        const year = parseInt(ddMmmYyyyMatch[3]);
-        if (monthMap[monthStr] !== undefined) {
-          date = new Date(year, monthMap[monthStr], day);
-        }
-      }
-      // Try standard date parsing
-      if (!date || isNaN(date.getTime())) {
-        date = new Date(dateValue);
-      }
-    }
-    // Handle Date object
-    else if (dateValue instanceof Date) {
-      date = dateValue;
-    }
-    
-    if (!date || isNaN(date.getTime())) return dateValue; // Return original if can't parse
-    
     const month = months[date.getMonth()];
     const year = String(date.getFullYear()).slice(-2);
-    
+
     return `${month}-${year}`;
   };
 
   const handleFileUpload = useCallback(async (event) => {
     const file = event.target.files[0];
     if (!file) return;
+    // Reset the input so the same file can be picked again after a cancel
+    event.target.value = '';
 
     setIsProcessingFile(true);
-    setFileName(file.name);
+    setImportSummary(null);
     clearError();
 
     const reader = new FileReader();
-    reader.onload = async (e) => {
+    reader.onload = (e) => {
       try {
         const workbook = XLSX.read(e.target.result, { type: 'array' });
-        const allData = [];
-
-        AREAS.forEach(sheetName => {
-          if (workbook.SheetNames.includes(sheetName)) {
-            const sheet = workbook.Sheets[sheetName];
-            const jsonData = XLSX.utils.sheet_to_json(sheet);
-            jsonData.forEach(row => {
-              const status = row['Status'] || 'Unknown';
-              const equipType = (row['Equiment Type'] || row['Equipment Type'] || 'Unknown').trim();
-              if (status && ['Healthy', 'Caution', 'Warning'].includes(status)) {
-                allData.push({
-                  area: sheetName,
-                  equipmentType: equipType,
-                  description: row['Description'] || '',
-                  functionalLocation: row['Functional Location'] || '',
-                  criticality: row['Criticality'] || row['Fleet'] || '',
-                  status: status,
-                  alarmDescription: row['Alarm Description'] || '',
-                  rectification: row['Rectification'] || '',
-                  notificationDate: row['Notification Date'] || row['Date'] || ''
-                });
-              }
-            });
-          }
-        });
-
-        // Save to Supabase if configured
-        if (isSupabaseConfigured && allData.length > 0) {
-          const success = await saveEquipment(allData);
-          if (!success) {
-            // Still show the data locally even if save failed
-            setData(allData);
-          }
-        } else {
-          // No Supabase - just set local state
-          setData(allData);
-        }
+        const profile = detectProfile(mappingProfiles, getWorkbookHeaders(workbook));
+        const { rows, report } = parseWorkbook(workbook, profile);
 
+        // Stage the import - nothing is saved until the admin confirms the preview
+        setPendingImport({
+          fileName: file.name,
+          workbook,
+          profile,
+          detectedProfile: profile,
+          retirePolicy: 'retire',
+          rows,
+          report
+        });
         setIsProcessingFile(false);
       } catch (err) {
         console.error('Error parsing file:', err);
@@ -171,7 +248,60 @@ export default function InstrumentHealthDashboard() {
       }
     };
     reader.readAsArrayBuffer(file);
-  }, [isSupabaseConfigured, saveEquipment, setData, clearError]);
+  }, [clearError, mappingProfiles]);
+
+  // Re-parse the staged workbook with a different column mapping profile
+  const handleImportProfileChange = useCallback((profile) => {
+    setPendingImport(prev => {
+      if (!prev) return prev;
+      const { rows, report } = parseWorkbook(prev.workbook, profile);
+      return { ...prev, profile, rows, report };
+    });
+  }, []);
+
+  // Commit the staged import after the admin reviewed the preview
+  const handleConfirmImport = useCallback(async () => {
+    if (!pendingImport) return;
+    const { fileName: importFileName, rows, retirePolicy, report } = pendingImport;
+    const areas = report.areas;
+
+    // Replace only the areas present in the workbook, keep the rest of the local data
+    const mergeLocally = () => setData(prev => {
+      const kept = (prev || []).filter(item => !areas.includes(item.area));
+      return [...kept, ...rows];
+    });
+
+    // Save to Supabase if configured
+    if (isSupabaseConfigured && rows.length > 0) {
+      const summary = await saveEquipment(rows, { retirePolicy, areas, fileName: importFileName });
+      if (summary) {
+        setImportSummary({ ...summary, fileName: importFileName });
+        fetchSnapshots();
+        fetchAcknowledgements();
+        if (trendCounts) fetchTrendCounts();
+      } else {
+        // Still show the data locally even if save failed
+        mergeLocally();
+      }
+    } else {
+      // No Supabase - just set local state
+      mergeLocally();
+    }
+
+    setFileName(importFileName);
+    setPendingImport(null);
+  }, [pendingImport, isSupabaseConfigured, saveEquipment, setData, fetchSnapshots, fetchAcknowledgements, trendCounts, fetchTrendCounts]);
+
+  // Open a past upload snapshot read-only
+  const handleOpenSnapshot = useCallback(async (snapshot) => {
+    setLoadingSnapshotId(snapshot.id);
+    const rows = await fetchSnapshotRows(snapshot.id);
+    setLoadingSnapshotId(null);
+    if (rows) {
+      setViewingSnapshot({ snapshot, rows });
+      setShowHistory(false);
+    }
+  }, [fetchSnapshotRows]);
 
   // Handle clear all data with confirmation
   const handleClearAllData = useCallback(async () => {
@@ -179,10 +309,26 @@ export default function InstrumentHealthDashboard() {
     if (success) {
       setFileName('');
       setShowClearConfirm(false);
+      fetchSnapshots();
+      if (trendCounts) fetchTrendCounts();
+    }
+  }, [clearAllData, fetchSnapshots, trendCounts, fetchTrendCounts]);
+
+  // Revert to the dataset before the last import or Clear All
+  const handleRestorePreviousDataset = useCallback(async () => {
+    const summary = await restorePreviousDataset();
+    if (summary) {
+      setImportSummary({ ...summary, kind: 'restore' });
+      setFileName('');
+      setShowRestoreConfirm(false);
+      fetchSnapshots();
+      fetchAcknowledgements();
+      if (trendCounts) fetchTrendCounts();
     }
-  }, [clearAllData]);
+  }, [restorePreviousDataset, fetchSnapshots, fetchAcknowledgements, trendCounts, fetchTrendCounts]);
 
-  const filteredData = useMemo(() => {
+  // Data within the select filters; the Locations tree is built from this
+  const selectFilteredData = useMemo(() => {
     if (!data) return [];
     return data.filter(item => {
       if (selectedArea !== 'All' && item.area !== selectedArea) return false;
@@ -193,25 +339,101 @@ export default function InstrumentHealthDashboard() {
     });
   }, [data, selectedArea, selectedEquipment, selectedStatus, selectedCriticality]);
 
+  const locationFilter = useMemo(() => toLocationFilter(selectedLocation, hierarchyConfig), [selectedLocation, hierarchyConfig]);
+
+  const filteredData = useMemo(() => (
+    selectFilteredData.filter(item => matchesLocation(item, locationFilter))
+  ), [selectFilteredData, locationFilter]);
+
+  const locationTree = useMemo(() => buildLocationTree(selectFilteredData, hierarchyConfig), [selectFilteredData, hierarchyConfig]);
+
+  const trendFilters = useMemo(() => ({
+    area: selectedArea,
+    equipmentType: selectedEquipment,
+    status: selectedStatus,
+    criticality: selectedCriticality
+  }), [selectedArea, selectedEquipment, selectedStatus, selectedCriticality]);
+
+  // Trend counts are stored per area, not per location; snapshot rows can be
+  // filtered by location, so Compare also applies it
+  const compareFilters = useMemo(() => ({ ...trendFilters, location: locationFilter }), [trendFilters, locationFilter]);
+
+  // Trend data is only loaded once the Trends tab is opened
+  useEffect(() => {
+    if (viewMode === 'trends' && trendCounts === null && !isLoadingTrends) {
+      fetchTrendCounts();
+    }
+  }, [viewMode, trendCounts, isLoadingTrends, fetchTrendCounts]);
+
+  // Keep ?tag= in sync with the open drawer
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    if (selectedTag) {
+      url.searchParams.set('tag', selectedTag);
+    } else {
+      url.searchParams.delete('tag');
+    }
+    window.history.replaceState(null, '', url);
+  }, [selectedTag]);
+
+  const closeDrawer = useCallback(() => setSelectedTag(null), []);
+
+  // The form closes straight away; the hook shows the edit optimistically
+  const handleSaveEdit = useCallback((changes) => {
+    const item = editingItem;
+    setEditingItem(null);
+    updateEquipmentRecord(item, changes).then(saved => {
+      // A status change releases the acknowledgement on the server
+      if (saved && 'status' in changes) fetchAcknowledgements();
+    });
+  }, [editingItem, updateEquipmentRecord, fetchAcknowledgements]);
+
+  const selectedItem = useMemo(() => {
+    if (!selectedTag || !data) return null;
+    return data.find(item => item.functionalLocation === selectedTag) || null;
+  }, [data, selectedTag]);
+
+  const selectedParentLocation = selectedTag ? getParentLocation(selectedTag) : null;
+
+  // Other tags in the current data under the same parent functional location
+  const relatedItems = useMemo(() => {
+    if (!selectedParentLocation || !data) return [];
+    return data
+      .filter(item => item.functionalLocation !== selectedTag &&
+        getParentLocation(item.functionalLocation) === selectedParentLocation)
+      .sort((a, b) => a.functionalLocation.localeCompare(b.functionalLocation));
+  }, [data, selectedTag, selectedParentLocation]);
+
   const equipmentTypes = useMemo(() => {
     if (!data) return [];
     const types = [...new Set(data.map(d => d.equipmentType))].filter(t => t && t !== 'Unknown');
     return types.sort();
   }, [data]);
 
+  // Acknowledgements belong to the live data; snapshots always show their raw counts
+  const isSuppressed = useCallback((item) => (
+    !isReadOnly && item.status !== 'Healthy' && isAlertSuppressed(acknowledgements[item.functionalLocation], item)
+  ), [isReadOnly, acknowledgements]);
+
   const stats = useMemo(() => {
-    if (!filteredData.length) return { total: 0, healthy: 0, caution: 0, warning: 0 };
+    if (!filteredData.length) return { total: 0, healthy: 0, caution: 0, warning: 0, suppressed: 0 };
+    const counted = includeSuppressed ? filteredData : filteredData.filter(d => !isSuppressed(d));
     return {
       total: filteredData.length,
       healthy: filteredData.filter(d => d.status === 'Healthy').length,
-      caution: filteredData.filter(d => d.status === 'Caution').length,
-      warning: filteredData.filter(d => d.status === 'Warning').length
+      caution: counted.filter(d => d.status === 'Caution').length,
+      warning: counted.filter(d => d.status === 'Warning').length,
+      suppressed: filteredData.filter(isSuppressed).length
     };
-  }, [filteredData]);
+  }, [filteredData, includeSuppressed, isSuppressed]);
 
-  const areaChartData = useMemo(() => {
+  // Data within the area and location filters: what the By Area cards and KPIs measure
+  const areaData = useMemo(() => {
     if (!data) return [];
-    const areaData = selectedArea === 'All' ? data : data.filter(d => d.area === selectedArea);
+    return data.filter(d => (selectedArea === 'All' || d.area === selectedArea) && matchesLocation(d, locationFilter));
+  }, [data, selectedArea, locationFilter]);
+
+  const areaChartData = useMemo(() => {
     const grouped = {};
     
     AREAS.forEach(area => {
@@ -222,13 +444,16 @@ export default function InstrumentHealthDashboard() {
           Healthy: areaItems.filter(d => d.status === 'Healthy').length,
           Caution: areaItems.filter(d => d.status === 'Caution').length,
           Warning: areaItems.filter(d => d.status === 'Warning').length,
-          total: areaItems.length
+          total: areaItems.length,
+          items: areaItems
         };
       }
     });
     
     return Object.values(grouped);
-  }, [data, selectedArea]);
+  }, [areaData]);
+
+  const kpiResults = useMemo(() => evaluateKpis(kpis, areaData), [kpis, areaData]);
 
   const equipmentChartData = useMemo(() => {
     if (!filteredData.length) return [];
@@ -272,21 +497,46 @@ export default function InstrumentHealthDashboard() {
     return [
       { name: 'Healthy', value: stats.healthy, color: STATUS_COLORS.Healthy },
       { name: 'Caution', value: stats.caution, color: STATUS_COLORS.Caution },
-      { name: 'Warning', value: stats.warning, color: STATUS_COLORS.Warning }
+      { name: 'Warning', value: stats.warning, color: STATUS_COLORS.Warning },
+      { name: 'Acknowledged', value: includeSuppressed ? 0 : stats.suppressed, color: '#9ca3af' }
     ].filter(d => d.value > 0);
-  }, [stats]);
+  }, [stats, includeSuppressed]);
+
+  // Every alarm in the data (not just the filtered view), for the rules preview
+  const alarms = useMemo(() => (data || []).filter(d => d.status !== 'Healthy' && d.alarmDescription), [data]);
+
+  // Categories of each alarm by functional location, from the alarm rules
+  const alarmCategories = useMemo(() => classifyAlarms(alarms, alarmRules), [alarms, alarmRules]);
+
+  // Every open item within the filters, including acknowledged, shelved and
+  // Obsolescence ones: the aging view is meant to surface the stale ones
+  const openItems = useMemo(() => (
+    filteredData.filter(d => d.status !== 'Healthy')
+  ), [filteredData]);
+
+  // Alarms within the area, equipment and status filters, for the Pareto tab
+  const filteredAlarms = useMemo(() => (
+    filteredData.filter(d => d.status !== 'Healthy' && d.alarmDescription)
+  ), [filteredData]);
+
+  const isObsolescence = useCallback((item) => (
+    alarmCategories.get(item.functionalLocation)?.includes(OBSOLESCENCE_CATEGORY)
+  ), [alarmCategories]);
 
   const alertItemsAll = useMemo(() => {
     if (!filteredData.length) return [];
     return filteredData
-      .filter(d => d.status !== 'Healthy' && d.alarmDescription && !d.alarmDescription.toLowerCase().includes('obsolete'))
+      .filter(d => d.status !== 'Healthy' && d.alarmDescription && !isObsolescence(d))
+      .filter(d => includeSuppressed || !isSuppressed(d))
       .sort((a, b) => {
+        // Acknowledged and shelved alerts go last
+        if (isSuppressed(a) !== isSuppressed(b)) return isSuppressed(a) ? 1 : -1;
         // Warning comes first, then Caution
         if (a.status === 'Warning' && b.status === 'Caution') return -1;
         if (a.status === 'Caution' && b.status === 'Warning') return 1;
         return 0;
       });
-  }, [filteredData]);
+  }, [filteredData, includeSuppressed, isSuppressed, isObsolescence]);
 
   const alertItems = useMemo(() => {
     return alertItemsAll.slice(0, 20);
@@ -295,49 +545,63 @@ export default function InstrumentHealthDashboard() {
   const agingItems = useMemo(() => {
     if (!filteredData.length) return [];
     return filteredData
-      .filter(d => d.status !== 'Healthy' && d.alarmDescription && d.alarmDescription.toLowerCase().includes('obsolete'))
+      .filter(d => d.status !== 'Healthy' && d.alarmDescription && isObsolescence(d))
       .sort((a, b) => {
         // Warning comes first, then Caution
         if (a.status === 'Warning' && b.status === 'Caution') return -1;
         if (a.status === 'Caution' && b.status === 'Warning') return 1;
         return 0;
       });
-  }, [filteredData]);
+  }, [filteredData, isObsolescence]);
 
-  // Group alerts by equipment type
-  const groupedAlerts = useMemo(() => {
-    const groups = {};
-    alertItemsAll.forEach(item => {
-      if (!groups[item.equipmentType]) {
-        groups[item.equipmentType] = [];
-      }
-      groups[item.equipmentType].push(item);
+  // Alert count per category for the Alerts category filter, in rule order
+  const alertCategoryCounts = useMemo(() => {
+    const counts = countByCategory(alertItemsAll.map(item => alarmCategories.get(item.functionalLocation)));
+    return [...getAlarmCategories(alarmRules), UNCATEGORISED]
+      .filter(category => counts[category])
+      .map(category => ({ category, count: counts[category] }));
+  }, [alertItemsAll, alarmCategories, alarmRules]);
+
+  // Owners with at least one action, for the Alerts owner filter
+  const actionOwners = useMemo(() => (
+    [...new Set(Object.values(rectificationActions).map(action => action.owner).filter(Boolean))].sort()
+  ), [rectificationActions]);
+
+  const overdueAlertCount = useMemo(() => (
+    alertItemsAll.filter(item => isActionOverdue(rectificationActions[item.functionalLocation])).length
+  ), [alertItemsAll, rectificationActions]);
+
+  // Alerts narrowed by the rectification action filters of the Alerts tab
+  const visibleAlerts = useMemo(() => {
+    return alertItemsAll.filter(item => {
+      const action = rectificationActions[item.functionalLocation];
+      if (alertActionState === 'none' && action) return false;
+      if (alertActionState !== 'All' && alertActionState !== 'none' && action?.state !== alertActionState) return false;
+      if (alertOwner === 'none' && action?.owner) return false;
+      if (alertOwner !== 'All' && alertOwner !== 'none' && action?.owner !== alertOwner) return false;
+      if (showOverdueOnly && !isActionOverdue(action)) return false;
+      if (alertCategory !== 'All' && !alarmCategories.get(item.functionalLocation)?.includes(alertCategory)) return false;
+      return true;
     });
-    // Sort equipment types alphabetically
-    return Object.keys(groups).sort().map(type => ({
-      equipmentType: type,
-      items: groups[type]
-    }));
-  }, [alertItemsAll]);
+  }, [alertItemsAll, rectificationActions, alertActionState, alertOwner, showOverdueOnly, alertCategory, alarmCategories]);
+
+  // Group alerts by equipment type
+  const groupedAlerts = useMemo(() => groupByEquipmentType(visibleAlerts), [visibleAlerts]);
 
   // Group aging/obsolescence items by equipment type
-  const groupedAging = useMemo(() => {
-    const groups = {};
-    agingItems.forEach(item => {
-      if (!groups[item.equipmentType]) {
-        groups[item.equipmentType] = [];
-      }
-      groups[item.equipmentType].push(item);
-    });
-    // Sort equipment types alphabetically
-    return Object.keys(groups).sort().map(type => ({
-      equipmentType: type,
-      items: groups[type]
-    }));
-  }, [agingItems]);
+  const groupedAging = useMemo(() => groupByEquipmentType(agingItems), [agingItems]);
+
+  // Failed unshelves and comment counts are reported here; the acknowledge
+  // form shows its own errors
+  const bannerError = error || (!acknowledgingAlert && acknowledgementError) || commentSummaryError;
 
   const healthPercent = stats.total > 0 ? ((stats.healthy / stats.total) * 100).toFixed(1) : 0;
 
+  // Target for the Overview ring: the selected area's health KPI, else the plant's
+  const healthTarget = findHealthTarget(kpis, selectedArea);
+  const healthState = healthTarget && stats.total > 0 ? getRagState(healthTarget, Number(healthPercent)) : null;
+  const healthColor = healthState ? RAG_COLORS[healthState] : '#00B1A9';
+
   const CustomTooltip = ({ active, payload }) => {
     if (!active || !payload?.length) return null;
     return (
@@ -487,6 +751,15 @@ export default function InstrumentHealthDashboard() {
           background: #f3f4f6;
         }
         
+        .tag-link {
+          cursor: pointer;
+        }
+
+        .tag-link:hover {
+          color: #00B1A9 !important;
+          text-decoration: underline;
+        }
+
         .alert-warning { border-left-color: #E31837; }
         .alert-caution { border-left-color: #FDB924; }
         
@@ -557,44 +830,169 @@ export default function InstrumentHealthDashboard() {
                   <polyline points="12,6 12,12 16,14"/>
                 </svg>
                 <span style={{ color: '#20419A' }}>
-                  Last refreshed: {formatRefreshTime(lastRefreshedAt)}
+                  Last refreshed: {formatDateTime(lastRefreshedAt)}
                 </span>
               </div>
             )}
 
-            {/* Upload Excel Button - Always visible */}
-            <label style={{ cursor: 'pointer' }}>
-              <input
-                type="file"
-                accept=".xlsx,.xls"
-                onChange={handleFileUpload}
-                style={{ display: 'none' }}
-              />
-              <span style={{
-                display: 'inline-flex',
-                alignItems: 'center',
-                gap: '8px',
-                background: '#00B1A9',
-                color: '#fff',
-                borderRadius: '8px',
-                padding: '10px 20px',
-                fontSize: '14px',
-                fontWeight: 500
-              }}>
-                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                  <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-                  <polyline points="17,8 12,3 7,8"/>
-                  <line x1="12" y1="3" x2="12" y2="15"/>
+            {isSupabaseConfigured && (
+              <button
+                onClick={() => {
+                  fetchSnapshots();
+                  setShowHistory(true);
+                }}
+                style={{ display: 'inline-flex', alignItems: 'center', gap: '8px' }}
+              >
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <polyline points="1,4 1,10 7,10"/>
+                  <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/>
+                  <polyline points="12,7 12,12 15,15"/>
                 </svg>
-                Upload Excel
-              </span>
-            </label>
+                History
+              </button>
+            )}
+
+            {isSupabaseConfigured && (
+              <button
+                onClick={() => setShowActivity(true)}
+                style={{ display: 'inline-flex', alignItems: 'center', gap: '8px' }}
+              >
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <polyline points="22,12 18,12 15,21 9,3 6,12 2,12"/>
+                </svg>
+                Activity
+              </button>
+            )}
+
+            {isSupabaseConfigured && canManageData && restoreTarget && (
+              <button
+                onClick={() => setShowRestoreConfirm(true)}
+                style={{ display: 'inline-flex', alignItems: 'center', gap: '8px' }}
+              >
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <polyline points="9,14 4,9 9,4"/>
+                  <path d="M20 20v-7a4 4 0 0 0-4-4H4"/>
+                </svg>
+                Restore Previous
+              </button>
+            )}
+
+            {canConfigureSettings && (
+              <button
+                onClick={() => setShowAlarmRules(true)}
+                style={{ display: 'inline-flex', alignItems: 'center', gap: '8px' }}
+              >
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <path d="M20.59 13.41l-7.17 7.17a2 2 0 0 1-2.83 0L2 12V2h10l8.59 8.59a2 2 0 0 1 0 2.82z"/>
+                  <line x1="7" y1="7" x2="7.01" y2="7"/>
+                </svg>
+                Alarm Rules
+              </button>
+            )}
+
+            {canManageData && (
+              <>
+              <button
+                onClick={() => setShowMappingEditor(true)}
+                style={{ display: 'inline-flex', alignItems: 'center', gap: '8px' }}
+              >
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <line x1="4" y1="21" x2="4" y2="14"/>
+                  <line x1="4" y1="10" x2="4" y2="3"/>
+                  <line x1="12" y1="21" x2="12" y2="12"/>
+                  <line x1="12" y1="8" x2="12" y2="3"/>
+                  <line x1="20" y1="21" x2="20" y2="16"/>
+                  <line x1="20" y1="12" x2="20" y2="3"/>
+                  <line x1="1" y1="14" x2="7" y2="14"/>
+                  <line x1="9" y1="8" x2="15" y2="8"/>
+                  <line x1="17" y1="16" x2="23" y2="16"/>
+                </svg>
+                Column Mappings
+              </button>
+
+              {/* Upload Excel Button - hidden while a past snapshot is open */}
+              <label style={{ cursor: 'pointer' }}>
+                <input
+                  type="file"
+                  accept=".xlsx,.xls"
+                  onChange={handleFileUpload}
+                  style={{ display: 'none' }}
+                />
+                <span style={{
+                  display: 'inline-flex',
+                  alignItems: 'center',
+                  gap: '8px',
+                  background: '#00B1A9',
+                  color: '#fff',
+                  borderRadius: '8px',
+                  padding: '10px 20px',
+                  fontSize: '14px',
+                  fontWeight: 500
+                }}>
+                  <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                    <polyline points="17,8 12,3 7,8"/>
+                    <line x1="12" y1="3" x2="12" y2="15"/>
+                  </svg>
+                  Upload Excel
+                </span>
+              </label>
+              </>
+            )}
+
+            {!currentUser.isLocal && (
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#6b7280' }}>
+                <span>{currentUser.name}</span>
+                <span style={{
+                  padding: '2px 8px',
+                  borderRadius: '4px',
+                  fontSize: '11px',
+                  fontWeight: 600,
+                  textTransform: 'uppercase',
+                  background: 'rgba(32, 65, 154, 0.1)',
+                  color: '#20419A'
+                }}>
+                  {formatRole(currentUser.role)}
+                </span>
+                <button onClick={currentUser.signOut}>Sign Out</button>
+              </div>
+            )}
           </div>
         </div>
       </header>
 
+      {/* Snapshot Banner */}
+      {viewingSnapshot && (
+        <div style={{
+          background: 'rgba(32, 65, 154, 0.1)',
+          border: '1px solid rgba(32, 65, 154, 0.3)',
+          borderRadius: '8px',
+          padding: '12px 16px',
+          marginBottom: '16px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between',
+          gap: '16px',
+          flexWrap: 'wrap'
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#20419A' }}>
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+              <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+            </svg>
+            <span>
+              Viewing snapshot from {formatDateTime(viewingSnapshot.snapshot.createdAt)}
+              {viewingSnapshot.snapshot.fileName && ` (${viewingSnapshot.snapshot.fileName})`} • read-only
+            </span>
+          </div>
+          <button onClick={() => setViewingSnapshot(null)} style={{ color: '#20419A' }}>
+            Return to Live Data
+          </button>
+        </div>
+      )}
+
       {/* Error Message */}
-      {error && (
+      {bannerError && (
         <div style={{
           background: 'rgba(227, 24, 55, 0.1)',
           border: '1px solid rgba(227, 24, 55, 0.3)',
@@ -611,10 +1009,14 @@ export default function InstrumentHealthDashboard() {
               <line x1="15" y1="9" x2="9" y2="15"/>
               <line x1="9" y1="9" x2="15" y2="15"/>
             </svg>
-            <span>{error}</span>
+            <span>{bannerError}</span>
           </div>
           <button
-            onClick={clearError}
+            onClick={() => {
+              clearError();
+              clearAcknowledgementError();
+              clearCommentSummaryError();
+            }}
             style={{
               background: 'none',
               border: 'none',
@@ -631,6 +1033,54 @@ export default function InstrumentHealthDashboard() {
         </div>
       )}
 
+      {/* Import Summary */}
+      {importSummary && (
+        <div style={{
+          background: 'rgba(0, 177, 169, 0.1)',
+          border: '1px solid rgba(0, 177, 169, 0.3)',
+          borderRadius: '8px',
+          padding: '12px 16px',
+          marginBottom: '16px',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'space-between'
+        }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', color: '#00B1A9' }}>
+            <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
+              <polyline points="22,4 12,14.01 9,11.01"/>
+            </svg>
+            {importSummary.kind === 'restore' ? (
+              <span>
+                Restored the dataset from {formatDateTime(new Date(importSummary.restoredFromCreatedAt))}
+                {importSummary.fileName && ` (${importSummary.fileName})`}: {importSummary.inserted} inserted, {importSummary.updated} updated,
+                {' '}{importSummary.retired} retired
+              </span>
+            ) : (
+              <span>
+                Imported {importSummary.fileName} ({importSummary.areas.join(', ')}): {importSummary.inserted} inserted, {importSummary.updated} updated,
+                {' '}{importSummary.unchanged} unchanged, {importSummary.retired} {importSummary.retirePolicy === 'delete' ? 'deleted' : 'retired'}
+              </span>
+            )}
+          </div>
+          <button
+            onClick={() => setImportSummary(null)}
+            style={{
+              background: 'none',
+              border: 'none',
+              color: '#00B1A9',
+              cursor: 'pointer',
+              padding: '4px'
+            }}
+          >
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+      )}
+
       {/* Supabase Config Warning */}
       {!isSupabaseConfigured && (
         <div style={{
@@ -662,8 +1112,20 @@ export default function InstrumentHealthDashboard() {
         </div>
       )}
 
+      {/* No data yet and the user cannot upload */}
+      {!data && !isLoadingData && !isReadOnly && !canManageData && (
+        <div className="card" style={{ padding: '48px', textAlign: 'center', marginBottom: '24px', color: '#6b7280' }}>
+          <p style={{ fontSize: '18px', fontWeight: 600, margin: '0 0 4px', color: '#1f2937' }}>
+            No equipment data yet
+          </p>
+          <p style={{ fontSize: '14px', margin: 0 }}>
+            An admin needs to upload the Instrument Health Dashboard file.
+          </p>
+        </div>
+      )}
+
       {/* Upload Section - Show when no data and not loading */}
-      {!data && !isLoadingData && (
+      {!data && !isLoadingData && canManageData && (
         <div className="card" style={{ padding: '48px', textAlign: 'center', marginBottom: '24px' }}>
           <label className="upload-zone" style={{
             display: 'flex',
@@ -744,6 +1206,166 @@ export default function InstrumentHealthDashboard() {
         </div>
       )}
 
+      {/* Import Preview Modal */}
+      {pendingImport && (
+        <ImportPreview
+          fileName={pendingImport.fileName}
+          report={pendingImport.report}
+          profiles={mappingProfiles}
+          profile={pendingImport.profile}
+          detectedProfile={pendingImport.detectedProfile}
+          onProfileChange={handleImportProfileChange}
+          retirePolicy={pendingImport.retirePolicy}
+          onRetirePolicyChange={(retirePolicy) => setPendingImport(prev => ({ ...prev, retirePolicy }))}
+          isSaving={isSaving}
+          onConfirm={handleConfirmImport}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
+      {/* Column Mapping Editor */}
+      {showMappingEditor && (
+        <ColumnMappingEditor
+          profiles={mappingProfiles}
+          isSupabaseConfigured={isSupabaseConfigured}
+          error={mappingError}
+          onSave={saveMappingProfile}
+          onDelete={deleteMappingProfile}
+          onClose={() => {
+            clearMappingError();
+            setShowMappingEditor(false);
+          }}
+        />
+      )}
+
+      {/* Alarm Rules Editor */}
+      {showAlarmRules && (
+        <AlarmRulesEditor
+          rules={alarmRules}
+          alarms={alarms}
+          isSupabaseConfigured={isSupabaseConfigured}
+          error={alarmRulesError}
+          onSave={saveAlarmRule}
+          onDelete={deleteAlarmRule}
+          onClose={() => {
+            clearAlarmRulesError();
+            setShowAlarmRules(false);
+          }}
+        />
+      )}
+
+      {/* Upload History Panel */}
+      {showHistory && (
+        <HistoryPanel
+          snapshots={snapshots}
+          isLoading={isLoadingSnapshots}
+          error={snapshotError}
+          activeSnapshotId={viewingSnapshot?.snapshot.id}
+          loadingSnapshotId={loadingSnapshotId}
+          onOpen={handleOpenSnapshot}
+          onReturnToLive={() => {
+            setViewingSnapshot(null);
+            setShowHistory(false);
+          }}
+          onClose={() => setShowHistory(false)}
+        />
+      )}
+
+      {/* Activity / Audit Log */}
+      {showActivity && (
+        <ActivityPanel onClose={() => setShowActivity(false)} />
+      )}
+
+      {/* Equipment Detail Drawer */}
+      {selectedTag && (
+        <EquipmentDrawer
+          functionalLocation={selectedTag}
+          item={selectedItem}
+          action={rectificationActions[selectedTag]}
+          parentLocation={selectedParentLocation}
+          relatedItems={relatedItems}
+          onSelectTag={setSelectedTag}
+          onEdit={canEditRecords && selectedItem ? () => setEditingItem(selectedItem) : null}
+          onEditAction={canEditRecords && selectedItem ? () => setActionItem(selectedItem) : null}
+          onCommentPosted={addCommentToSummary}
+          canManageAttachments={!isReadOnly && hasRole(currentUser.role, 'engineer')}
+          onClose={closeDrawer}
+        />
+      )}
+
+      {/* Edit Record Form */}
+      {editingItem && (
+        <EditRecordModal
+          item={editingItem}
+          onSave={handleSaveEdit}
+          onClose={() => setEditingItem(null)}
+        />
+      )}
+
+      {/* Tag Comments */}
+      {commentItem && (
+        <div
+          onClick={() => setCommentItem(null)}
+          style={{
+            position: 'fixed',
+            top: 0,
+            left: 0,
+            right: 0,
+            bottom: 0,
+            background: 'rgba(0,0,0,0.5)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            zIndex: 1000
+          }}
+        >
+          <div
+            className="card scrollbar-thin"
+            onClick={(e) => e.stopPropagation()}
+            style={{ padding: '24px', width: '90%', maxWidth: '560px', maxHeight: '85vh', overflowY: 'auto' }}
+          >
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', marginBottom: '16px', gap: '16px' }}>
+              <div>
+                <h3 style={{ margin: 0, color: '#1f2937' }}>Comments: {commentItem.functionalLocation}</h3>
+                <p style={{ margin: '4px 0 0', color: '#6b7280', fontSize: '13px' }}>
+                  {commentItem.description} • {commentItem.area}
+                </p>
+              </div>
+              <button onClick={() => setCommentItem(null)}>Close</button>
+            </div>
+            <CommentThread functionalLocation={commentItem.functionalLocation} onCommentPosted={addCommentToSummary} />
+          </div>
+        </div>
+      )}
+
+      {/* Rectification Action Form */}
+      {actionItem && (
+        <RectificationActionModal
+          item={actionItem}
+          action={rectificationActions[actionItem.functionalLocation]}
+          error={actionsError}
+          onSave={saveAction}
+          onClose={() => {
+            setActionItem(null);
+            clearActionsError();
+          }}
+        />
+      )}
+
+      {/* Acknowledge / Shelve Form */}
+      {acknowledgingAlert && (
+        <AcknowledgeAlertModal
+          item={acknowledgingAlert.item}
+          kind={acknowledgingAlert.kind}
+          error={acknowledgementError}
+          onSave={(values) => acknowledgeAlert(acknowledgingAlert.item, values)}
+          onClose={() => {
+            setAcknowledgingAlert(null);
+            clearAcknowledgementError();
+          }}
+        />
+      )}
+
       {/* Clear Confirmation Modal */}
       {showClearConfirm && (
         <div style={{
@@ -766,7 +1388,7 @@ export default function InstrumentHealthDashboard() {
             </svg>
             <h3 style={{ margin: '0 0 8px', color: '#1f2937' }}>Clear All Data?</h3>
             <p style={{ margin: '0 0 24px', color: '#6b7280', fontSize: '14px' }}>
-              This will permanently delete all equipment records from the database. This action cannot be undone.
+              This will delete all equipment records from the database. The current dataset stays in the upload history and can be brought back with Restore Previous.
             </p>
             <div style={{ display: 'flex', gap: '12px', justifyContent: 'center' }}>
               <button
@@ -801,6 +1423,64 @@ export default function InstrumentHealthDashboard() {
         </div>
       )}
 
+      {/* Restore Confirmation Modal */}
+      {showRestoreConfirm && restoreTarget && (
+        <div style={{
+          position: 'fixed',
+          top: 0,
+          left: 0,
+          right: 0,
+          bottom: 0,
+          background: 'rgba(0,0,0,0.5)',
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          zIndex: 1000
+        }}>
+          <div className="card" style={{ padding: '24px', maxWidth: '400px', textAlign: 'center' }}>
+            <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#20419A" strokeWidth="2" style={{ margin: '0 auto 16px' }}>
+              <polyline points="9,14 4,9 9,4"/>
+              <path d="M20 20v-7a4 4 0 0 0-4-4H4"/>
+            </svg>
+            <h3 style={{ margin: '0 0 8px', color: '#1f2937' }}>Restore Previous Dataset?</h3>
+            <p style={{ margin: '0 0 24px', color: '#6b7280', fontSize: '14px' }}>
+              This will undo the last {snapshots.find(s => s.kind !== 'edits')?.kind === 'clear' ? 'Clear All' : 'change'} and bring back the dataset from
+              {' '}{formatDateTime(restoreTarget.createdAt)}{restoreTarget.fileName && ` (${restoreTarget.fileName})`},
+              {' '}{restoreTarget.rowCount} rows. The restore is recorded in the upload history, and any record edits it overwrites are kept there as well.
+            </p>
+            <div style={{ display: 'flex', gap: '12px', justifyContent: 'center' }}>
+              <button
+                onClick={() => setShowRestoreConfirm(false)}
+                style={{
+                  padding: '10px 24px',
+                  background: '#f3f4f6',
+                  border: '1px solid #e5e7eb',
+                  borderRadius: '8px',
+                  cursor: 'pointer'
+                }}
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleRestorePreviousDataset}
+                disabled={isSaving}
+                style={{
+                  padding: '10px 24px',
+                  background: '#20419A',
+                  color: '#fff',
+                  border: 'none',
+                  borderRadius: '8px',
+                  cursor: 'pointer',
+                  opacity: isSaving ? 0.6 : 1
+                }}
+              >
+                {isSaving ? 'Restoring...' : 'Restore Dataset'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {data && !isProcessingFile && !isLoadingData && (
         <>
           {/* Filters & Actions */}
@@ -834,39 +1514,40 @@ export default function InstrumentHealthDashboard() {
                   <option value="C2">C2 - Medium</option>
                   <option value="C3">C3 - Low</option>
                 </select>
-              </div>
-              
-              <div style={{ display: 'flex', gap: '8px' }}>
-                <label style={{ cursor: 'pointer' }}>
-                  <input
-                    type="file"
-                    accept=".xlsx,.xls"
-                    onChange={handleFileUpload}
-                    style={{ display: 'none' }}
-                  />
+
+                {selectedLocation && (
                   <span style={{
                     display: 'inline-flex',
                     alignItems: 'center',
-                    gap: '8px',
-                    background: '#ffffff',
-                    border: '1px solid #e5e7eb',
+                    gap: '6px',
+                    padding: '6px 6px 6px 12px',
                     borderRadius: '8px',
-                    padding: '10px 16px',
-                    fontSize: '14px',
-                    color: '#1f2937'
+                    background: 'rgba(0, 177, 169, 0.1)',
+                    color: '#00B1A9',
+                    fontSize: '13px'
                   }}>
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                      <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
-                      <polyline points="17,8 12,3 7,8"/>
-                      <line x1="12" y1="3" x2="12" y2="15"/>
-                    </svg>
-                    Update Data
+                    Location: {selectedLocation}
+                    <button
+                      onClick={() => setSelectedLocation(null)}
+                      title="Clear location filter"
+                      style={{ padding: '0 6px', border: 'none', background: 'none', color: '#00B1A9' }}
+                    >
+                      ×
+                    </button>
                   </span>
-                </label>
-                {isSupabaseConfigured && (
-                  <button
-                    onClick={() => setShowClearConfirm(true)}
-                    style={{
+                )}
+              </div>
+              
+              {canManageData && (
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <label style={{ cursor: 'pointer' }}>
+                    <input
+                      type="file"
+                      accept=".xlsx,.xls"
+                      onChange={handleFileUpload}
+                      style={{ display: 'none' }}
+                    />
+                    <span style={{
                       display: 'inline-flex',
                       alignItems: 'center',
                       gap: '8px',
@@ -875,23 +1556,57 @@ export default function InstrumentHealthDashboard() {
                       borderRadius: '8px',
                       padding: '10px 16px',
                       fontSize: '14px',
-                      color: '#E31837',
-                      cursor: 'pointer'
-                    }}
-                  >
-                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                      <polyline points="3,6 5,6 21,6"/>
-                      <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
-                      <line x1="10" y1="11" x2="10" y2="17"/>
-                      <line x1="14" y1="11" x2="14" y2="17"/>
-                    </svg>
-                    Clear All
-                  </button>
-                )}
-              </div>
+                      color: '#1f2937'
+                    }}>
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                        <polyline points="17,8 12,3 7,8"/>
+                        <line x1="12" y1="3" x2="12" y2="15"/>
+                      </svg>
+                      Update Data
+                    </span>
+                  </label>
+                  {isSupabaseConfigured && (
+                    <button
+                      onClick={() => setShowClearConfirm(true)}
+                      style={{
+                        display: 'inline-flex',
+                        alignItems: 'center',
+                        gap: '8px',
+                        background: '#ffffff',
+                        border: '1px solid #e5e7eb',
+                        borderRadius: '8px',
+                        padding: '10px 16px',
+                        fontSize: '14px',
+                        color: '#E31837',
+                        cursor: 'pointer'
+                      }}
+                    >
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polyline points="3,6 5,6 21,6"/>
+                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                        <line x1="10" y1="11" x2="10" y2="17"/>
+                        <line x1="14" y1="11" x2="14" y2="17"/>
+                      </svg>
+                      Clear All
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           </div>
 
+          {stats.suppressed > 0 && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px', fontSize: '13px', color: '#6b7280' }}>
+              <input
+                type="checkbox"
+                checked={includeSuppressed}
+                onChange={(e) => setIncludeSuppressed(e.target.checked)}
+              />
+              Include {stats.suppressed} acknowledged and shelved alert{stats.suppressed === 1 ? '' : 's'} in the counts
+            </label>
+          )}
+
           {/* Stats Cards */}
           <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px', marginBottom: '24px' }}>
             <div className="card stat-card stat-total" style={{ padding: '24px' }}>
@@ -1034,6 +1749,18 @@ export default function InstrumentHealthDashboard() {
               >
                 By Criticality
               </button>
+              <button
+                className={`tab-btn ${viewMode === 'risk' ? 'active' : ''}`}
+                onClick={() => setViewMode('risk')}
+              >
+                Risk Matrix
+              </button>
+              <button
+                className={`tab-btn ${viewMode === 'locations' ? 'active' : ''}`}
+                onClick={() => setViewMode('locations')}
+              >
+                Locations
+              </button>
               <button
                 className={`tab-btn ${viewMode === 'alerts' ? 'active' : ''}`}
                 onClick={() => setViewMode('alerts')}
@@ -1046,11 +1773,39 @@ export default function InstrumentHealthDashboard() {
               >
                 Obsolescence ({agingItems.length})
               </button>
+              <button
+                className={`tab-btn ${viewMode === 'sla' ? 'active' : ''}`}
+                onClick={() => setViewMode('sla')}
+              >
+                Aging & SLA
+              </button>
+              <button
+                className={`tab-btn ${viewMode === 'pareto' ? 'active' : ''}`}
+                onClick={() => setViewMode('pareto')}
+              >
+                Pareto
+              </button>
+              {isSupabaseConfigured && (
+                <button
+                  className={`tab-btn ${viewMode === 'trends' ? 'active' : ''}`}
+                  onClick={() => setViewMode('trends')}
+                >
+                  Trends
+                </button>
+              )}
+              {isSupabaseConfigured && (
+                <button
+                  className={`tab-btn ${viewMode === 'compare' ? 'active' : ''}`}
+                  onClick={() => setViewMode('compare')}
+                >
+                  Compare
+                </button>
+              )}
             </div>
 
             <div style={{ padding: '24px' }}>
               {viewMode === 'overview' && (
-                <div style={{ display: 'flex', justifyContent: 'center' }}>
+                <div style={{ display: 'flex', justifyContent: 'center', alignItems: 'flex-start', gap: '48px', flexWrap: 'wrap' }}>
                   {/* Health Ring */}
                   <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center' }}>
                     <div style={{ position: 'relative', width: '280px', height: '280px' }}>
@@ -1069,12 +1824,24 @@ export default function InstrumentHealthDashboard() {
                           cy="100"
                           r="85"
                           fill="none"
-                          stroke="#00B1A9"
+                          stroke={healthColor}
                           strokeWidth="20"
                           strokeLinecap="round"
                           strokeDasharray={`${healthPercent * 5.34} 534`}
                           style={{ transformOrigin: 'center' }}
                         />
+                        {healthTarget && (
+                          <line
+                            x1={100 + 70 * Math.sin((healthTarget.target / 100) * 2 * Math.PI)}
+                            y1={100 - 70 * Math.cos((healthTarget.target / 100) * 2 * Math.PI)}
+                            x2={100 + 100 * Math.sin((healthTarget.target / 100) * 2 * Math.PI)}
+                            y2={100 - 100 * Math.cos((healthTarget.target / 100) * 2 * Math.PI)}
+                            stroke="#1f2937"
+                            strokeWidth="3"
+                          >
+                            <title>Target {formatTarget(healthTarget)}</title>
+                          </line>
+                        )}
                       </svg>
                       <div style={{
                         position: 'absolute',
@@ -1088,13 +1855,20 @@ export default function InstrumentHealthDashboard() {
                           fontWeight: 700,
                           margin: 0,
                           fontFamily: '"Museo Sans", "IBM Plex Sans", sans-serif',
-                          color: '#00B1A9'
+                          color: healthColor
                         }}>
                           {healthPercent}%
                         </p>
                         <p style={{ fontSize: '14px', color: '#6b7280', margin: 0 }}>Overall Health</p>
                       </div>
                     </div>
+
+                    {healthTarget && (
+                      <div style={{ marginTop: '8px', display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: '#6b7280' }}>
+                        <span>{formatKpi(healthTarget)} target {formatTarget(healthTarget)}</span>
+                        {healthState && <RagPill state={healthState} />}
+                      </div>
+                    )}
                     
                     <div style={{ marginTop: '24px', display: 'flex', gap: '32px' }}>
                       {pieData.map((entry) => (
@@ -1114,6 +1888,14 @@ export default function InstrumentHealthDashboard() {
                       ))}
                     </div>
                   </div>
+
+                  <KpiScorecard
+                    results={kpiResults}
+                    kpis={kpis}
+                    canConfigure={canConfigureSettings}
+                    settingsError={kpisError}
+                    onSaveKpis={saveKpis}
+                  />
                 </div>
               )}
 
@@ -1121,19 +1903,26 @@ export default function InstrumentHealthDashboard() {
                 <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(320px, 1fr))', gap: '24px' }}>
                   {areaChartData.map((area) => {
                     const areaHealthPercent = ((area.Healthy / area.total) * 100).toFixed(1);
+                    const areaTarget = findHealthTarget(kpis, area.name);
+                    const areaState = areaTarget ? getRagState(areaTarget, Number(areaHealthPercent)) : null;
+                    const areaColor = areaState ? RAG_COLORS[areaState] : '#00B1A9';
+                    const areaKpiResults = evaluateKpis(kpis.filter(kpi => kpi.area === area.name && kpi !== areaTarget), area.items);
                     return (
                       <div key={area.name} className="card" style={{ padding: '20px' }}>
                         <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '16px' }}>
                           <h4 style={{ margin: 0, fontSize: '16px', fontWeight: 600, color: '#1f2937' }}>{area.name}</h4>
-                          <span style={{
-                            background: 'rgba(0, 177, 169, 0.15)',
-                            color: '#00B1A9',
-                            padding: '4px 10px',
-                            borderRadius: '12px',
-                            fontSize: '13px',
-                            fontWeight: 500,
-                            fontFamily: '"Museo Sans", "IBM Plex Sans", sans-serif'
-                          }}>
+                          <span
+                            title={areaTarget ? `${formatKpi(areaTarget)} target ${formatTarget(areaTarget)}` : undefined}
+                            style={{
+                              background: `${areaColor}26`,
+                              color: areaState === 'amber' ? '#b8860b' : areaColor,
+                              padding: '4px 10px',
+                              borderRadius: '12px',
+                              fontSize: '13px',
+                              fontWeight: 500,
+                              fontFamily: '"Museo Sans", "IBM Plex Sans", sans-serif'
+                            }}
+                          >
                             {areaHealthPercent}% Healthy
                           </span>
                         </div>
@@ -1159,11 +1948,39 @@ export default function InstrumentHealthDashboard() {
                           </div>
                         </div>
                         
-                        <div style={{ height: '8px', background: '#e5e7eb', borderRadius: '4px', overflow: 'hidden', display: 'flex' }}>
-                          <div style={{ width: `${(area.Healthy / area.total) * 100}%`, background: STATUS_COLORS.Healthy }} />
-                          <div style={{ width: `${(area.Caution / area.total) * 100}%`, background: STATUS_COLORS.Caution }} />
-                          <div style={{ width: `${(area.Warning / area.total) * 100}%`, background: STATUS_COLORS.Warning }} />
+                        <div style={{ position: 'relative' }}>
+                          <div style={{ height: '8px', background: '#e5e7eb', borderRadius: '4px', overflow: 'hidden', display: 'flex' }}>
+                            <div style={{ width: `${(area.Healthy / area.total) * 100}%`, background: STATUS_COLORS.Healthy }} />
+                            <div style={{ width: `${(area.Caution / area.total) * 100}%`, background: STATUS_COLORS.Caution }} />
+                            <div style={{ width: `${(area.Warning / area.total) * 100}%`, background: STATUS_COLORS.Warning }} />
+                          </div>
+                          {areaTarget && (
+                            <div
+                              title={`Target ${formatTarget(areaTarget)} healthy`}
+                              style={{ position: 'absolute', top: '-3px', left: `${Math.min(areaTarget.target, 100)}%`, width: '2px', height: '14px', background: '#1f2937' }}
+                            />
+                          )}
                         </div>
+
+                        {areaKpiResults.length > 0 && (
+                          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '12px' }}>
+                            {areaKpiResults.map(({ kpi, actual, state }, i) => (
+                              <span
+                                key={i}
+                                style={{
+                                  border: `1px solid ${RAG_COLORS[state]}`,
+                                  color: state === 'amber' ? '#b8860b' : RAG_COLORS[state],
+                                  padding: '2px 8px',
+                                  borderRadius: '10px',
+                                  fontSize: '11px',
+                                  fontWeight: 500
+                                }}
+                              >
+                                {formatKpi(kpi)} {formatActual(kpi, actual)} ({formatTarget(kpi)})
+                              </span>
+                            ))}
+                          </div>
+                        )}
                         
                         <p style={{ fontSize: '12px', color: '#6b7280', margin: '8px 0 0', textAlign: 'right' }}>
                           Total: {area.total} items
@@ -1318,9 +2135,55 @@ export default function InstrumentHealthDashboard() {
                 </div>
               )}
 
+              {viewMode === 'alerts' && alertCategoryCounts.length > 0 && (
+                <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '16px' }}>
+                  {[{ category: 'All', count: alertItemsAll.length }, ...alertCategoryCounts].map(({ category, count }) => (
+                    <button
+                      key={category}
+                      onClick={() => setAlertCategory(category)}
+                      style={{
+                        padding: '4px 12px',
+                        fontSize: '12px',
+                        borderColor: alertCategory === category ? '#00B1A9' : '#e5e7eb',
+                        color: alertCategory === category ? '#00B1A9' : '#1f2937',
+                        fontWeight: alertCategory === category ? 600 : 400
+                      }}
+                    >
+                      {category === 'All' ? 'All Categories' : category} ({count})
+                    </button>
+                  ))}
+                </div>
+              )}
+
+              {viewMode === 'alerts' && isSupabaseConfigured && alertItemsAll.length > 0 && (
+                <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '16px', fontSize: '13px', color: '#6b7280' }}>
+                  <select value={alertActionState} onChange={(e) => setAlertActionState(e.target.value)}>
+                    <option value="All">All Action States</option>
+                    <option value="none">No Action</option>
+                    {RECTIFICATION_STATES.map(state => (
+                      <option key={state.value} value={state.value}>{state.label}</option>
+                    ))}
+                  </select>
+                  <select value={alertOwner} onChange={(e) => setAlertOwner(e.target.value)}>
+                    <option value="All">All Owners</option>
+                    <option value="none">Unassigned</option>
+                    {actionOwners.map(owner => (
+                      <option key={owner} value={owner}>{owner}</option>
+                    ))}
+                  </select>
+                  <label style={{ display: 'inline-flex', alignItems: 'center', gap: '6px', cursor: 'pointer' }}>
+                    <input type="checkbox" checked={showOverdueOnly} onChange={(e) => setShowOverdueOnly(e.target.checked)} />
+                    Overdue only
+                  </label>
+                  {overdueAlertCount > 0 && (
+                    <span style={{ color: '#E31837', fontWeight: 600 }}>{overdueAlertCount} overdue</span>
+                  )}
+                </div>
+              )}
+
               {viewMode === 'alerts' && (
                 <div className="scrollbar-thin" style={{ maxHeight: '500px', overflowY: 'auto' }}>
-                  {alertItemsAll.length === 0 ? (
+                  {visibleAlerts.length === 0 ? (
                     <div style={{ textAlign: 'center', padding: '48px', color: '#6b7280' }}>
                       <svg width="48" height="48" viewBox="0 0 24 24" fill="none" stroke="#00B1A9" strokeWidth="2" style={{ margin: '0 auto 16px', opacity: 0.5 }}>
                         <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
@@ -1330,40 +2193,28 @@ export default function InstrumentHealthDashboard() {
                     </div>
                   ) : (
                     groupedAlerts.map((group, groupIndex) => (
-                      <div key={group.equipmentType} style={{ marginBottom: groupIndex < groupedAlerts.length - 1 ? '24px' : 0 }}>
-                        {/* Equipment Type Header */}
-                        <div style={{
-                          background: '#00B1A9',
-                          color: '#ffffff',
-                          padding: '10px 16px',
-                          borderRadius: '8px 8px 0 0',
-                          fontWeight: 600,
-                          fontSize: '14px',
-                          display: 'flex',
-                          justifyContent: 'space-between',
-                          alignItems: 'center'
-                        }}>
-                          <span>{group.equipmentType}</span>
-                          <span style={{ 
-                            background: 'rgba(255,255,255,0.2)', 
-                            padding: '2px 10px', 
-                            borderRadius: '12px',
-                            fontSize: '12px'
-                          }}>
-                            {group.items.length} item{group.items.length !== 1 ? 's' : ''}
-                          </span>
-                        </div>
-                        
+                      <EquipmentGroup
+                        key={group.equipmentType}
+                        title={group.equipmentType}
+                        count={group.items.length}
+                        isLast={groupIndex === groupedAlerts.length - 1}
+                      >
                         {/* Items for this equipment type */}
                         <div style={{ border: '1px solid #e5e7eb', borderTop: 'none', borderRadius: '0 0 8px 8px' }}>
-                          {group.items.map((item, i) => (
+                          {group.items.map((item, i) => {
+                            const action = rectificationActions[item.functionalLocation];
+                            const isOverdue = isActionOverdue(action);
+                            const acknowledgement = isSuppressed(item) ? acknowledgements[item.functionalLocation] : null;
+                            return (
                             <div 
                               key={i} 
                               className={`alert-row ${item.status === 'Warning' ? 'alert-warning' : 'alert-caution'}`}
                               style={{ 
                                 borderRadius: i === group.items.length - 1 ? '0 0 8px 8px' : 0,
                                 margin: 0,
-                                borderBottom: i < group.items.length - 1 ? '1px solid #e5e7eb' : 'none'
+                                borderBottom: i < group.items.length - 1 ? '1px solid #e5e7eb' : 'none',
+                                background: acknowledgement ? '#f3f4f6' : isOverdue ? 'rgba(227, 24, 55, 0.06)' : undefined,
+                                opacity: acknowledgement ? 0.7 : 1
                               }}
                             >
                               <div style={{ display: 'flex', alignItems: 'flex-start', justifyContent: 'space-between', gap: '16px' }}>
@@ -1391,13 +2242,72 @@ export default function InstrumentHealthDashboard() {
                                       {formatCriticality(item.criticality)}
                                     </span>
                                     <span style={{ fontSize: '12px', color: '#6b7280' }}>{item.area}</span>
+                                    {(alarmCategories.get(item.functionalLocation) || [])
+                                      .filter(category => category !== UNCATEGORISED)
+                                      .map(category => (
+                                        <span
+                                          key={category}
+                                          style={{
+                                            padding: '2px 8px',
+                                            borderRadius: '4px',
+                                            fontSize: '11px',
+                                            background: 'rgba(32, 65, 154, 0.1)',
+                                            color: '#20419A'
+                                          }}
+                                        >
+                                          {category}
+                                        </span>
+                                      ))}
+                                    {isOverdue && (
+                                      <span style={{
+                                        padding: '2px 8px',
+                                        borderRadius: '4px',
+                                        fontSize: '11px',
+                                        fontWeight: 600,
+                                        background: '#E31837',
+                                        color: '#ffffff'
+                                      }}>
+                                        OVERDUE
+                                      </span>
+                                    )}
+                                    {acknowledgement && (
+                                      <span style={{
+                                        padding: '2px 8px',
+                                        borderRadius: '4px',
+                                        fontSize: '11px',
+                                        fontWeight: 600,
+                                        background: '#6b7280',
+                                        color: '#ffffff'
+                                      }}>
+                                        {acknowledgement.kind === 'shelved'
+                                          ? `SHELVED UNTIL ${formatIsoDate(acknowledgement.shelvedUntil)}`
+                                          : 'ACKNOWLEDGED'}
+                                      </span>
+                                    )}
+                                    {isSupabaseConfigured && (
+                                      <CommentBadge
+                                        summary={commentSummary[item.functionalLocation]}
+                                        onClick={() => setCommentItem(item)}
+                                      />
+                                    )}
                                   </div>
-                                  <p style={{ margin: '0 0 4px', fontSize: '14px', fontWeight: 500, color: '#1f2937' }}>
+                                  <p
+                                    className="tag-link"
+                                    onClick={() => setSelectedTag(item.functionalLocation)}
+                                    title="Show equipment details"
+                                    style={{ margin: '0 0 4px', fontSize: '14px', fontWeight: 500, color: '#1f2937' }}
+                                  >
                                     {item.functionalLocation}
                                   </p>
                                   <p style={{ margin: 0, fontSize: '13px', color: '#6b7280' }}>
                                     {item.description}
                                   </p>
+                                  {acknowledgement && (
+                                    <p style={{ margin: '4px 0 0', fontSize: '12px', color: '#6b7280', fontStyle: 'italic' }}>
+                                      {acknowledgement.kind === 'shelved' ? 'Shelved' : 'Acknowledged'} by {acknowledgement.acknowledgedBy || 'unknown'} on {formatDateTime(acknowledgement.createdAt)}
+                                      {acknowledgement.reason && ` • ${acknowledgement.reason}`}
+                                    </p>
+                                  )}
                                 </div>
                                 <div style={{ textAlign: 'right', minWidth: '180px' }}>
                                   {item.notificationDate && (
@@ -1409,6 +2319,7 @@ export default function InstrumentHealthDashboard() {
                                         <line x1="3" y1="10" x2="21" y2="10"/>
                                       </svg>
                                       {formatDate(item.notificationDate)}
+                                      {getDaysOpen(item) !== null && ` • ${getDaysOpen(item)} days open`}
                                     </p>
                                   )}
                                   <p style={{ margin: '0 0 4px', fontSize: '13px', color: '#E31837' }}>
@@ -1419,12 +2330,67 @@ export default function InstrumentHealthDashboard() {
                                       Status: {item.rectification}
                                     </p>
                                   )}
+                                  {canEditRecords && (
+                                    <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '8px' }}>
+                                      <button onClick={() => setEditingItem(item)} style={{ padding: '4px 10px', fontSize: '12px' }}>
+                                        Edit
+                                      </button>
+                                      <button onClick={() => setActionItem(item)} style={{ padding: '4px 10px', fontSize: '12px' }}>
+                                        {action ? 'Update Action' : 'Add Action'}
+                                      </button>
+                                      {acknowledgement ? (
+                                        <button onClick={() => releaseAlert(item)} style={{ padding: '4px 10px', fontSize: '12px' }}>
+                                          {acknowledgement.kind === 'shelved' ? 'Unshelve' : 'Unacknowledge'}
+                                        </button>
+                                      ) : (
+                                        <>
+                                          <button onClick={() => setAcknowledgingAlert({ item, kind: 'acknowledged' })} style={{ padding: '4px 10px', fontSize: '12px' }}>
+                                            Acknowledge
+                                          </button>
+                                          <button onClick={() => setAcknowledgingAlert({ item, kind: 'shelved' })} style={{ padding: '4px 10px', fontSize: '12px' }}>
+                                            Shelve
+                                          </button>
+                                        </>
+                                      )}
+                                    </div>
+                                  )}
                                 </div>
                               </div>
+                              {action && (
+                                <div style={{
+                                  display: 'grid',
+                                  gridTemplateColumns: 'repeat(4, minmax(0, 1fr))',
+                                  gap: '12px',
+                                  marginTop: '10px',
+                                  paddingTop: '10px',
+                                  borderTop: '1px dashed #e5e7eb',
+                                  fontSize: '12px'
+                                }}>
+                                  <div>
+                                    <span style={{ display: 'block', color: '#6b7280', fontSize: '10px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Action</span>
+                                    <span style={{ fontWeight: 600, color: action.state === 'done' ? '#00B1A9' : '#1f2937' }}>{formatActionState(action.state)}</span>
+                                  </div>
+                                  <div>
+                                    <span style={{ display: 'block', color: '#6b7280', fontSize: '10px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Owner</span>
+                                    <span style={{ color: '#1f2937' }}>{action.owner || '-'}</span>
+                                  </div>
+                                  <div>
+                                    <span style={{ display: 'block', color: '#6b7280', fontSize: '10px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Target Date</span>
+                                    <span style={{ color: isOverdue ? '#E31837' : '#1f2937', fontWeight: isOverdue ? 600 : 400 }}>
+                                      {formatIsoDate(action.targetDate) || '-'}
+                                    </span>
+                                  </div>
+                                  <div>
+                                    <span style={{ display: 'block', color: '#6b7280', fontSize: '10px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>SAP Notification</span>
+                                    <span style={{ color: '#1f2937' }}>{action.sapNotification || '-'}</span>
+                                  </div>
+                                </div>
+                              )}
                             </div>
-                          ))}
+                            );
+                          })}
                         </div>
-                      </div>
+                      </EquipmentGroup>
                     ))
                   )}
                 </div>
@@ -1442,30 +2408,12 @@ export default function InstrumentHealthDashboard() {
                     </div>
                   ) : (
                     groupedAging.map((group, groupIndex) => (
-                      <div key={group.equipmentType} style={{ marginBottom: groupIndex < groupedAging.length - 1 ? '24px' : 0 }}>
-                        {/* Equipment Type Header */}
-                        <div style={{
-                          background: '#00B1A9',
-                          color: '#ffffff',
-                          padding: '10px 16px',
-                          borderRadius: '8px 8px 0 0',
-                          fontWeight: 600,
-                          fontSize: '14px',
-                          display: 'flex',
-                          justifyContent: 'space-between',
-                          alignItems: 'center'
-                        }}>
-                          <span>{group.equipmentType}</span>
-                          <span style={{ 
-                            background: 'rgba(255,255,255,0.2)', 
-                            padding: '2px 10px', 
-                            borderRadius: '12px',
-                            fontSize: '12px'
-                          }}>
-                            {group.items.length} item{group.items.length !== 1 ? 's' : ''}
-                          </span>
-                        </div>
-                        
+                      <EquipmentGroup
+                        key={group.equipmentType}
+                        title={group.equipmentType}
+                        count={group.items.length}
+                        isLast={groupIndex === groupedAging.length - 1}
+                      >
                         {/* Table for this equipment type */}
                         <div style={{ border: '1px solid #e5e7eb', borderTop: 'none', borderRadius: '0 0 8px 8px', overflow: 'hidden' }}>
                           <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
@@ -1479,6 +2427,10 @@ export default function InstrumentHealthDashboard() {
                                 <th style={{ textAlign: 'left', padding: '10px 16px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' }}>Description</th>
                                 <th style={{ textAlign: 'left', padding: '10px 16px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' }}>Alarm</th>
                                 <th style={{ textAlign: 'left', padding: '10px 16px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' }}>Status</th>
+                                {isSupabaseConfigured && (
+                                  <th style={{ textAlign: 'left', padding: '10px 16px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' }}>Comments</th>
+                                )}
+                                {canEditRecords && <th style={{ padding: '10px 16px' }} />}
                               </tr>
                             </thead>
                             <tbody>
@@ -1517,20 +2469,113 @@ export default function InstrumentHealthDashboard() {
                                   </td>
                                   <td style={{ padding: '10px 16px', color: '#1f2937' }}>{item.area}</td>
                                   <td style={{ padding: '10px 16px', color: '#6b7280' }}>{formatDate(item.notificationDate)}</td>
-                                  <td style={{ padding: '10px 16px', color: '#1f2937', fontWeight: 500 }}>{item.functionalLocation}</td>
+                                  <td
+                                    className="tag-link"
+                                    onClick={() => setSelectedTag(item.functionalLocation)}
+                                    title="Show equipment details"
+                                    style={{ padding: '10px 16px', color: '#1f2937', fontWeight: 500 }}
+                                  >
+                                    {item.functionalLocation}
+                                  </td>
                                   <td style={{ padding: '10px 16px', color: '#6b7280' }}>{item.description}</td>
                                   <td style={{ padding: '10px 16px', color: '#E31837' }}>{item.alarmDescription}</td>
                                   <td style={{ padding: '10px 16px', color: '#6b7280' }}>{item.rectification || '-'}</td>
+                                  {isSupabaseConfigured && (
+                                    <td style={{ padding: '10px 16px' }}>
+                                      <CommentBadge
+                                        summary={commentSummary[item.functionalLocation]}
+                                        onClick={() => setCommentItem(item)}
+                                      />
+                                    </td>
+                                  )}
+                                  {canEditRecords && (
+                                    <td style={{ padding: '10px 16px' }}>
+                                      <button onClick={() => setEditingItem(item)} style={{ padding: '4px 10px', fontSize: '12px' }}>
+                                        Edit
+                                      </button>
+                                    </td>
+                                  )}
                                 </tr>
                               ))}
                             </tbody>
                           </table>
                         </div>
-                      </div>
+                      </EquipmentGroup>
                     ))
                   )}
                 </div>
               )}
+
+              {viewMode === 'locations' && (
+                <HierarchyView
+                  tree={locationTree}
+                  config={hierarchyConfig}
+                  selectedLocation={selectedLocation}
+                  onSelect={setSelectedLocation}
+                  sampleLocation={data[0]?.functionalLocation}
+                  canConfigure={canConfigureSettings}
+                  settingsError={hierarchyError}
+                  onSaveConfig={async (config) => {
+                    const saved = await saveHierarchy(config);
+                    // Node ids depend on the separator, so an old selection may no longer exist
+                    if (saved) setSelectedLocation(null);
+                    return saved;
+                  }}
+                />
+              )}
+
+              {viewMode === 'risk' && (
+                <RiskMatrixView
+                  items={filteredData}
+                  weights={riskWeights}
+                  canConfigure={canConfigureSettings}
+                  settingsError={riskWeightsError}
+                  onSaveWeights={saveRiskWeights}
+                  onTagClick={(item) => setSelectedTag(item.functionalLocation)}
+                />
+              )}
+
+              {viewMode === 'sla' && (
+                <AgingView
+                  items={openItems}
+                  slaDays={slaDays}
+                  canConfigure={canConfigureSettings}
+                  settingsError={slaError}
+                  onSaveSla={saveSlaDays}
+                  onTagClick={(item) => setSelectedTag(item.functionalLocation)}
+                />
+              )}
+
+              {viewMode === 'pareto' && (
+                <ParetoView
+                  items={filteredAlarms}
+                  onTagClick={(item) => setSelectedTag(item.functionalLocation)}
+                />
+              )}
+
+              {viewMode === 'trends' && selectedLocation && (
+                <p style={{ fontSize: '12px', color: '#b8860b', margin: '0 0 16px' }}>
+                  Trends are built from the status counts stored with each upload and are not filtered by location.
+                </p>
+              )}
+
+              {viewMode === 'trends' && (
+                <TrendsView
+                  trendCounts={trendCounts}
+                  isLoading={isLoadingTrends}
+                  error={snapshotError}
+                  filters={trendFilters}
+                />
+              )}
+
+              {viewMode === 'compare' && (
+                <CompareView
+                  snapshots={snapshots}
+                  fetchSnapshotRows={fetchSnapshotRows}
+                  filters={compareFilters}
+                  onTagClick={(item) => setSelectedTag(item.functionalLocation)}
+                />
+              )}
             </div>
           </div>
 
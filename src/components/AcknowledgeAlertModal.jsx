@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { toLocalIsoDate } from '../lib/dates';
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  padding: '8px 12px',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  marginTop: '4px'
+};
+
+const labelStyle = { display: 'block', marginBottom: '16px', fontSize: '13px', color: '#6b7280' };
+
+// Acknowledge an alert (optional note) or shelve it until a date (reason required)
+export default function AcknowledgeAlertModal({ item, kind, error, onSave, onClose }) {
+  const [reason, setReason] = useState('');
+  const [shelvedUntil, setShelvedUntil] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isShelving = kind === 'shelved';
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  const minDate = toLocalIsoDate(tomorrow);
+  const canSave = !isShelving || (shelvedUntil >= minDate && reason.trim());
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onSave({ kind, reason, shelvedUntil });
+    setIsSaving(false);
+    if (saved) onClose();
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1100
+      }}
+    >
+      <div
+        className="card"
+        onClick={(e) => e.stopPropagation()}
+        style={{ padding: '24px', width: '90%', maxWidth: '440px' }}
+      >
+        <h3 style={{ margin: '0 0 4px', color: '#1f2937' }}>{isShelving ? 'Shelve Alert' : 'Acknowledge Alert'}</h3>
+        <p style={{ margin: '0 0 20px', color: '#6b7280', fontSize: '13px' }}>
+          {item.functionalLocation} • {item.status} • {item.alarmDescription}
+        </p>
+        <p style={{ margin: '0 0 16px', color: '#6b7280', fontSize: '13px' }}>
+          {isShelving
+            ? 'The alert is left out of the headline counts until the date below, or until its status changes.'
+            : 'The alert is left out of the headline counts until its status changes on a later upload.'}
+        </p>
+
+        {isShelving && (
+          <label style={labelStyle}>
+            Shelve until
+            <input
+              type="date"
+              value={shelvedUntil}
+              min={minDate}
+              onChange={(e) => setShelvedUntil(e.target.value)}
+              style={inputStyle}
+            />
+          </label>
+        )}
+        <label style={labelStyle}>
+          {isShelving ? 'Reason' : 'Note (optional)'}
+          <textarea rows={2} value={reason} onChange={(e) => setReason(e.target.value)} style={inputStyle} />
+        </label>
+
+        {error && (
+          <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 16px' }}>{error}</p>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+          <button onClick={onClose}>Cancel</button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving || !canSave}
+            style={{
+              background: '#00B1A9',
+              color: '#fff',
+              border: 'none',
+              opacity: isSaving || !canSave ? 0.6 : 1
+            }}
+          >
+            {isSaving ? 'Saving...' : isShelving ? 'Shelve' : 'Acknowledge'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
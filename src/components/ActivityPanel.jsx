@@ -0,0 +1,142 @@
+import React, { useEffect, useState } from 'react';
+import { useAuditLog } from '../hooks/useAuditLog';
+import { AUDIT_ACTIONS } from '../lib/constants';
+import { formatDateTime } from '../lib/dates';
+import { describeAuditEntry } from '../lib/audit';
+
+const ACTION_COLORS = {
+  import: '#00B1A9',
+  clear: '#E31837',
+  restore: '#20419A',
+  edit: '#763F98'
+};
+
+// Audit trail of imports, clears, restores and record edits
+export default function ActivityPanel({ onClose }) {
+  const { entries, isLoading, error, fetchEntries } = useAuditLog();
+  const [action, setAction] = useState('All');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  useEffect(() => {
+    fetchEntries({ action, from, to });
+  }, [fetchEntries, action, from, to]);
+
+  const actionLabel = (value) => AUDIT_ACTIONS.find(a => a.value === value)?.label || value;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div className="card scrollbar-thin" style={{ padding: '24px', width: '90%', maxWidth: '860px', maxHeight: '85vh', overflowY: 'auto' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <div>
+            <h3 style={{ margin: 0, color: '#1f2937' }}>Activity</h3>
+            <p style={{ margin: '4px 0 0', color: '#6b7280', fontSize: '13px' }}>
+              Every import, Clear All, restore and record edit, including failed attempts.
+            </p>
+          </div>
+          <button onClick={onClose}>Close</button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '16px', fontSize: '13px', color: '#6b7280' }}>
+          <select value={action} onChange={(e) => setAction(e.target.value)}>
+            <option value="All">All Actions</option>
+            {AUDIT_ACTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <label style={{ display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+            From
+            <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} />
+          </label>
+          <label style={{ display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+            To
+            <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} />
+          </label>
+          {(action !== 'All' || from || to) && (
+            <button
+              onClick={() => {
+                setAction('All');
+                setFrom('');
+                setTo('');
+              }}
+            >
+              Reset
+            </button>
+          )}
+        </div>
+
+        {error && (
+          <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 16px' }}>{error}</p>
+        )}
+
+        {isLoading && entries.length === 0 && (
+          <div className="pulse" style={{ padding: '24px', textAlign: 'center', color: '#00B1A9' }}>
+            Loading activity...
+          </div>
+        )}
+
+        {!isLoading && entries.length === 0 && (
+          <div style={{ padding: '24px', textAlign: 'center', color: '#6b7280', fontSize: '14px' }}>
+            No activity matching these filters
+          </div>
+        )}
+
+        {entries.map(entry => {
+          const isError = entry.outcome === 'error';
+          const description = describeAuditEntry(entry);
+          return (
+            <div
+              key={entry.id}
+              className="alert-row"
+              style={{ borderLeftColor: isError ? '#E31837' : ACTION_COLORS[entry.action] || '#e5e7eb' }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px', flexWrap: 'wrap' }}>
+                <span style={{ fontSize: '14px', fontWeight: 500, color: '#1f2937' }}>{actionLabel(entry.action)}</span>
+                {isError && (
+                  <span style={{
+                    padding: '2px 8px',
+                    borderRadius: '4px',
+                    fontSize: '11px',
+                    fontWeight: 600,
+                    background: 'rgba(227, 24, 55, 0.15)',
+                    color: '#E31837'
+                  }}>
+                    FAILED
+                  </span>
+                )}
+                <span style={{ fontSize: '12px', color: '#6b7280' }}>
+                  {formatDateTime(entry.createdAt)}{entry.userName && ` • ${entry.userName}`}
+                </span>
+              </div>
+              {entry.fileName && (
+                <p style={{ margin: '0 0 4px', fontSize: '13px', color: '#6b7280' }}>{entry.fileName}</p>
+              )}
+              {Object.keys(entry.areaCounts).length > 0 && (
+                <p style={{ margin: '0 0 4px', fontSize: '12px', color: '#6b7280' }}>
+                  {Object.entries(entry.areaCounts).map(([area, count]) => `${area} ${count}`).join(', ')}
+                </p>
+              )}
+              {description && (
+                <p style={{ margin: '0 0 4px', fontSize: '12px', color: '#1f2937' }}>{description}</p>
+              )}
+              {isError && entry.errorMessage && (
+                <p style={{ margin: 0, fontSize: '12px', color: '#E31837' }}>{entry.errorMessage}</p>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+import React, { useMemo, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { CRITICALITIES } from '../lib/constants';
+import { buildAgingAnalysis } from '../lib/aging';
+import { formatIsoDate } from '../lib/dates';
+
+const CRITICALITY_COLORS = { 'C1': '#E31837', 'C2': '#FDB924', 'C3': '#00B1A9', 'Other': '#9ca3af' };
+
+const STATUS_COLORS = { 'Caution': '#b8860b', 'Warning': '#E31837' };
+
+const thStyle = { textAlign: 'left', padding: '10px 16px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' };
+
+const tooltipStyle = {
+  background: '#ffffff',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  fontSize: '13px',
+  boxShadow: '0 4px 12px rgba(0,0,0,0.1)'
+};
+
+const SummaryTile = ({ label, value, color = '#1f2937' }) => (
+  <div style={{ flex: '1 1 160px', border: '1px solid #e5e7eb', borderRadius: '8px', padding: '12px 16px' }}>
+    <p style={{ margin: '0 0 4px', fontSize: '11px', color: '#6b7280', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{label}</p>
+    <p style={{ margin: 0, fontSize: '24px', fontWeight: 700, color, fontFamily: '"Museo Sans", "IBM Plex Sans", sans-serif' }}>{value}</p>
+  </div>
+);
+
+// How long open alerts have been open, in age buckets, and which are past
+// the SLA for their criticality. Admins can change the SLA days.
+export default function AgingView({ items, slaDays, canConfigure, settingsError, onSaveSla, onTagClick }) {
+  const [draftSla, setDraftSla] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [oldestFirst, setOldestFirst] = useState(true);
+
+  const analysis = useMemo(() => buildAgingAnalysis(items, slaDays), [items, slaDays]);
+
+  const breached = useMemo(() => (
+    [...analysis.breached].sort((a, b) => (oldestFirst ? b.daysOpen - a.daysOpen : a.daysOpen - b.daysOpen))
+  ), [analysis, oldestFirst]);
+
+  const averageDays = analysis.rows.length > 0
+    ? Math.round(analysis.rows.reduce((sum, row) => sum + row.daysOpen, 0) / analysis.rows.length)
+    : 0;
+
+  const draftIsValid = draftSla && CRITICALITIES.every(crit => Number.isInteger(Number(draftSla[crit])) && Number(draftSla[crit]) > 0);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onSaveSla(Object.fromEntries(CRITICALITIES.map(crit => [crit, Number(draftSla[crit])])));
+    setIsSaving(false);
+    if (saved) setDraftSla(null);
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '24px', fontSize: '13px', color: '#6b7280' }}>
+        <span>SLA (days open):</span>
+        {draftSla ? (
+          <>
+            {CRITICALITIES.map(crit => (
+              <label key={crit} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                {crit}
+                <input
+                  type="number"
+                  min="1"
+                  value={draftSla[crit]}
+                  onChange={(e) => setDraftSla({ ...draftSla, [crit]: e.target.value })}
+                  style={{ width: '72px', padding: '6px 8px', border: '1px solid #e5e7eb', borderRadius: '8px', fontSize: '13px' }}
+                />
+              </label>
+            ))}
+            <button onClick={() => setDraftSla(null)}>Cancel</button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving || !draftIsValid}
+              style={{ background: '#00B1A9', color: '#fff', border: 'none', opacity: isSaving || !draftIsValid ? 0.6 : 1 }}
+            >
+              {isSaving ? 'Saving...' : 'Save SLA'}
+            </button>
+          </>
+        ) : (
+          <>
+            {CRITICALITIES.map(crit => (
+              <span key={crit} style={{ color: '#1f2937' }}>
+                <strong style={{ color: CRITICALITY_COLORS[crit] }}>{crit}</strong> {slaDays[crit]}
+              </span>
+            ))}
+            {canConfigure && (
+              <button onClick={() => setDraftSla({ ...slaDays })} style={{ padding: '4px 10px', fontSize: '12px' }}>
+                Edit SLA
+              </button>
+            )}
+          </>
+        )}
+      </div>
+
+      {settingsError && (
+        <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 16px' }}>{settingsError}</p>
+      )}
+
+      {items.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '48px', color: '#6b7280' }}>
+          <p>No open alerts matching current filters</p>
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px' }}>
+            <SummaryTile label="Open alerts" value={items.length} />
+            <SummaryTile label="Average days open" value={averageDays} />
+            <SummaryTile label="SLA breached" value={analysis.breached.length} color={analysis.breached.length > 0 ? '#E31837' : '#00B1A9'} />
+            <SummaryTile label="No notification date" value={analysis.undatedCount} color="#6b7280" />
+          </div>
+
+          <div style={{ width: '100%', height: '300px', marginBottom: '24px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart data={analysis.buckets} margin={{ top: 8, right: 24, bottom: 8, left: 0 }}>
+                <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
+                <XAxis dataKey="name" tick={{ fontSize: 12, fill: '#6b7280' }} />
+                <YAxis tick={{ fontSize: 12, fill: '#6b7280' }} allowDecimals={false} />
+                <Tooltip contentStyle={tooltipStyle} />
+                <Legend wrapperStyle={{ fontSize: '13px' }} />
+                {Object.keys(CRITICALITY_COLORS).map(key => (
+                  <Bar key={key} dataKey={key} stackId="age" fill={CRITICALITY_COLORS[key]} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+
+          <h4 style={{ margin: '0 0 12px', fontSize: '14px', fontWeight: 600, color: '#1f2937' }}>
+            SLA Breaches ({breached.length})
+          </h4>
+          {breached.length === 0 ? (
+            <p style={{ fontSize: '13px', color: '#6b7280' }}>No alerts are past their SLA.</p>
+          ) : (
+            <div className="scrollbar-thin" style={{ maxHeight: '420px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '8px' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                <thead>
+                  <tr style={{ background: '#f9fafb', borderBottom: '1px solid #e5e7eb' }}>
+                    <th style={thStyle}>Status</th>
+                    <th style={thStyle}>Crit.</th>
+                    <th style={thStyle}>Area</th>
+                    <th style={thStyle}>Tag No.</th>
+                    <th style={thStyle}>Alarm</th>
+                    <th style={thStyle}>Notified</th>
+                    <th
+                      style={{ ...thStyle, textAlign: 'right', cursor: 'pointer', whiteSpace: 'nowrap' }}
+                      onClick={() => setOldestFirst(!oldestFirst)}
+                      title="Sort by age"
+                    >
+                      Days Open {oldestFirst ? '▼' : '▲'}
+                    </th>
+                    <th style={{ ...thStyle, textAlign: 'right' }}>Over SLA</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {breached.map(({ item, notifiedOn, daysOpen, criticality, sla }, i) => (
+                    <tr
+                      key={item.functionalLocation}
+                      style={{
+                        borderBottom: i < breached.length - 1 ? '1px solid #e5e7eb' : 'none',
+                        background: i % 2 === 0 ? '#ffffff' : '#f9fafb'
+                      }}
+                    >
+                      <td style={{ padding: '10px 16px', color: STATUS_COLORS[item.status], fontWeight: 600 }}>{item.status}</td>
+                      <td style={{ padding: '10px 16px', color: CRITICALITY_COLORS[criticality], fontWeight: 600 }}>{criticality}</td>
+                      <td style={{ padding: '10px 16px', color: '#1f2937' }}>{item.area}</td>
+                      <td
+                        className="tag-link"
+                        onClick={() => onTagClick(item)}
+                        style={{ padding: '10px 16px', color: '#1f2937', fontWeight: 500 }}
+                      >
+                        {item.functionalLocation}
+                      </td>
+                      <td style={{ padding: '10px 16px', color: '#E31837' }}>{item.alarmDescription || '-'}</td>
+                      <td style={{ padding: '10px 16px', color: '#6b7280', whiteSpace: 'nowrap' }}>
+                        {formatIsoDate(notifiedOn)}
+                      </td>
+                      <td style={{ padding: '10px 16px', textAlign: 'right', color: '#1f2937', fontWeight: 600 }}>{daysOpen}</td>
+                      <td style={{ padding: '10px 16px', textAlign: 'right', color: '#E31837' }}>+{daysOpen - sla}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
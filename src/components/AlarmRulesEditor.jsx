@@ -0,0 +1,250 @@
+import React, { useMemo, useState } from 'react';
+import {
+  ALARM_RULE_TYPES,
+  OBSOLESCENCE_CATEGORY,
+  UNCATEGORISED,
+  classifyAlarms,
+  compileRule,
+  countByCategory,
+  getAlarmCategories,
+  validateRule
+} from '../lib/alarmRules';
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  padding: '8px 12px',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  marginTop: '4px'
+};
+
+const labelStyle = { display: 'block', marginBottom: '12px', fontSize: '13px', color: '#6b7280' };
+
+const thStyle = { textAlign: 'left', padding: '6px 8px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' };
+
+const MAX_PREVIEW_MATCHES = 10;
+
+const typeLabel = (value) => ALARM_RULE_TYPES.find(type => type.value === value)?.label || value;
+
+const emptyDraft = { id: null, category: '', matchType: 'keyword', pattern: '' };
+
+// Admin screen for the alarm classification rules, with a preview of the
+// draft rule against the alarms in the current data
+export default function AlarmRulesEditor({ rules, alarms, isSupabaseConfigured, error, onSave, onDelete, onClose }) {
+  const [draft, setDraft] = useState(emptyDraft);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const categories = getAlarmCategories(rules);
+  const draftError = draft.category || draft.pattern ? validateRule(draft) : null;
+  const canSave = isSupabaseConfigured && !isBusy && draft.category.trim() && draft.pattern.trim() && !draftError;
+
+  const currentCounts = useMemo(() => countByCategory(classifyAlarms(alarms, rules)), [alarms, rules]);
+
+  // What the draft rule matches, and the category counts if it were saved
+  const preview = useMemo(() => {
+    if (!draft.category.trim() || !draft.pattern.trim() || draftError) return null;
+    const matches = compileRule(draft);
+    const nextRules = draft.id
+      ? rules.map(rule => (rule.id === draft.id ? draft : rule))
+      : [...rules, { ...draft, id: 'draft' }];
+    return {
+      matched: alarms.filter(matches),
+      counts: countByCategory(classifyAlarms(alarms, nextRules))
+    };
+  }, [draft, draftError, rules, alarms]);
+
+  const previewCategories = [...new Set([
+    ...categories,
+    ...(preview ? Object.keys(preview.counts) : []),
+    UNCATEGORISED
+  ])].filter(category => currentCounts[category] || preview?.counts[category]);
+
+  const handleSave = async () => {
+    setIsBusy(true);
+    const saved = await onSave(draft);
+    setIsBusy(false);
+    if (saved) setDraft(emptyDraft);
+  };
+
+  const handleDelete = async () => {
+    setIsBusy(true);
+    const deleted = await onDelete(draft.id);
+    setIsBusy(false);
+    if (deleted) setDraft(emptyDraft);
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div className="card scrollbar-thin" style={{ padding: '24px', width: '90%', maxWidth: '920px', maxHeight: '85vh', overflowY: 'auto' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <div>
+            <h3 style={{ margin: 0, color: '#1f2937' }}>Alarm Rules</h3>
+            <p style={{ margin: '4px 0 0', color: '#6b7280', fontSize: '13px' }}>
+              An alarm gets the category of every rule it matches; {OBSOLESCENCE_CATEGORY} alarms are listed on the Obsolescence tab.
+            </p>
+          </div>
+          <button onClick={onClose}>Close</button>
+        </div>
+
+        {!isSupabaseConfigured && (
+          <p style={{ color: '#b8860b', fontSize: '13px', margin: '0 0 16px' }}>
+            Supabase is not configured - only the built-in rules are available.
+          </p>
+        )}
+
+        {error && (
+          <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 16px' }}>{error}</p>
+        )}
+
+        <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap' }}>
+          {/* Rule list */}
+          <div style={{ flex: '1 1 380px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+                  <th style={thStyle}>Category</th>
+                  <th style={thStyle}>Match</th>
+                  <th style={thStyle}>Pattern</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map(rule => (
+                  <tr
+                    key={rule.id}
+                    onClick={() => isSupabaseConfigured && setDraft(rule)}
+                    style={{
+                      borderBottom: '1px solid #f3f4f6',
+                      cursor: isSupabaseConfigured ? 'pointer' : 'default',
+                      background: draft.id === rule.id ? 'rgba(0, 177, 169, 0.08)' : undefined
+                    }}
+                  >
+                    <td style={{ padding: '6px 8px', color: '#1f2937', fontWeight: 500 }}>{rule.category}</td>
+                    <td style={{ padding: '6px 8px', color: '#6b7280', whiteSpace: 'nowrap' }}>{typeLabel(rule.matchType)}</td>
+                    <td style={{ padding: '6px 8px', color: '#1f2937', fontFamily: rule.matchType === 'regex' ? 'monospace' : 'inherit', wordBreak: 'break-word' }}>
+                      {rule.pattern}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {rules.length === 0 && (
+              <p style={{ fontSize: '13px', color: '#6b7280' }}>No rules - every alarm is {UNCATEGORISED}.</p>
+            )}
+          </div>
+
+          {/* Rule form and preview */}
+          {isSupabaseConfigured && (
+            <div style={{ flex: '1 1 380px' }}>
+              <h4 style={{ margin: '0 0 12px', fontSize: '14px', color: '#1f2937' }}>{draft.id ? 'Edit Rule' : 'New Rule'}</h4>
+              <label style={labelStyle}>
+                Category
+                <input
+                  list="alarm-rule-categories"
+                  value={draft.category}
+                  onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+                  style={inputStyle}
+                />
+                <datalist id="alarm-rule-categories">
+                  {categories.map(category => <option key={category} value={category} />)}
+                </datalist>
+              </label>
+              <label style={labelStyle}>
+                Match on
+                <select value={draft.matchType} onChange={(e) => setDraft({ ...draft, matchType: e.target.value })} style={inputStyle}>
+                  {ALARM_RULE_TYPES.map(type => (
+                    <option key={type.value} value={type.value}>{type.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label style={labelStyle}>
+                Pattern
+                <input
+                  value={draft.pattern}
+                  placeholder={ALARM_RULE_TYPES.find(type => type.value === draft.matchType)?.placeholder}
+                  onChange={(e) => setDraft({ ...draft, pattern: e.target.value })}
+                  style={{ ...inputStyle, fontFamily: draft.matchType === 'regex' ? 'monospace' : 'inherit' }}
+                />
+              </label>
+
+              {draftError && (
+                <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 12px' }}>{draftError}</p>
+              )}
+
+              {preview && (
+                <div style={{ border: '1px solid #e5e7eb', borderRadius: '8px', padding: '12px', marginBottom: '12px', fontSize: '13px' }}>
+                  <p style={{ margin: '0 0 8px', color: '#1f2937', fontWeight: 600 }}>
+                    Matches {preview.matched.length} of {alarms.length} alarms in the current data
+                  </p>
+                  {preview.matched.slice(0, MAX_PREVIEW_MATCHES).map(item => (
+                    <p key={item.functionalLocation} style={{ margin: '0 0 4px', color: '#6b7280', fontSize: '12px' }}>
+                      <span style={{ color: '#1f2937', fontWeight: 500 }}>{item.functionalLocation}</span> • {item.alarmDescription}
+                    </p>
+                  ))}
+                  {preview.matched.length > MAX_PREVIEW_MATCHES && (
+                    <p style={{ margin: '0 0 4px', color: '#6b7280', fontSize: '12px' }}>
+                      and {preview.matched.length - MAX_PREVIEW_MATCHES} more
+                    </p>
+                  )}
+                  <table style={{ width: '100%', borderCollapse: 'collapse', marginTop: '8px' }}>
+                    <thead>
+                      <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+                        <th style={thStyle}>Category</th>
+                        <th style={{ ...thStyle, textAlign: 'right' }}>Now</th>
+                        <th style={{ ...thStyle, textAlign: 'right' }}>With Rule</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {previewCategories.map(category => {
+                        const now = currentCounts[category] || 0;
+                        const next = preview.counts[category] || 0;
+                        return (
+                          <tr key={category}>
+                            <td style={{ padding: '4px 8px', color: '#1f2937' }}>{category}</td>
+                            <td style={{ padding: '4px 8px', textAlign: 'right', color: '#6b7280' }}>{now}</td>
+                            <td style={{ padding: '4px 8px', textAlign: 'right', color: next !== now ? '#20419A' : '#6b7280', fontWeight: next !== now ? 600 : 400 }}>
+                              {next}
+                            </td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+                {draft.id && (
+                  <>
+                    <button onClick={() => setDraft(emptyDraft)} disabled={isBusy}>New Rule</button>
+                    <button onClick={handleDelete} disabled={isBusy} style={{ color: '#E31837' }}>Delete</button>
+                  </>
+                )}
+                <button
+                  onClick={handleSave}
+                  disabled={!canSave}
+                  style={{ background: '#00B1A9', color: '#fff', border: 'none', opacity: canSave ? 1 : 0.6 }}
+                >
+                  {isBusy ? 'Saving...' : 'Save Rule'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
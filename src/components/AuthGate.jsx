@@ -0,0 +1,28 @@
+import React, { useMemo } from 'react';
+import { AuthContext, useAuth } from '../hooks/useAuth';
+import LoginForm from './LoginForm';
+
+// Shows the login form until a user is signed in, then renders the dashboard
+// with the user (and sign-out) available through AuthContext
+export default function AuthGate({ children }) {
+  const { user, isLoading, isSigningIn, error, signIn, signOut, clearError } = useAuth();
+  const currentUser = useMemo(() => (user ? { ...user, signOut } : null), [user, signOut]);
+
+  if (isLoading) {
+    return (
+      <div style={{ padding: '48px', textAlign: 'center', color: '#00B1A9', fontFamily: '"IBM Plex Sans", system-ui, sans-serif' }}>
+        Loading...
+      </div>
+    );
+  }
+
+  if (!currentUser) {
+    return <LoginForm onSignIn={signIn} isSigningIn={isSigningIn} error={error} onClearError={clearError} />;
+  }
+
+  return (
+    <AuthContext.Provider value={currentUser}>
+      {children}
+    </AuthContext.Provider>
+  );
+}
@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import { MAPPING_FIELDS, DEFAULT_PROFILE } from '../lib/columnMapping';
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  padding: '8px 12px',
+  fontSize: '13px',
+  fontFamily: 'inherit'
+};
+
+// Editable copy of a profile with aliases as comma-separated text
+const toDraft = (profile) => ({
+  id: profile.id,
+  name: profile.isBuiltIn ? '' : profile.name,
+  aliases: Object.fromEntries(MAPPING_FIELDS.map(field => [
+    field.key,
+    (profile.mappings[field.key] || []).join(', ')
+  ]))
+});
+
+const fromDraft = (draft) => ({
+  id: draft.id,
+  name: draft.name,
+  mappings: Object.fromEntries(MAPPING_FIELDS.map(field => [
+    field.key,
+    draft.aliases[field.key].split(',').map(alias => alias.trim()).filter(Boolean)
+  ]))
+});
+
+const profileKey = (profile) => profile.id || 'default';
+
+// Admin screen for managing column-mapping profiles
+export default function ColumnMappingEditor({ profiles, isSupabaseConfigured, error, onSave, onDelete, onClose }) {
+  const [selectedKey, setSelectedKey] = useState(profileKey(profiles[0]));
+  const [draft, setDraft] = useState(profiles[0].isBuiltIn ? null : toDraft(profiles[0]));
+  const [isBusy, setIsBusy] = useState(false);
+
+  const selectProfile = (profile) => {
+    setSelectedKey(profileKey(profile));
+    setDraft(profile.isBuiltIn ? null : toDraft(profile));
+  };
+
+  const startNewProfile = (source = DEFAULT_PROFILE) => {
+    setSelectedKey(null);
+    setDraft({ ...toDraft(source), id: null, name: source.isBuiltIn ? '' : `${source.name} (copy)` });
+  };
+
+  const handleSave = async () => {
+    setIsBusy(true);
+    const saved = await onSave(fromDraft(draft));
+    setIsBusy(false);
+    if (saved) {
+      setSelectedKey(profileKey(saved));
+      setDraft(toDraft(saved));
+    }
+  };
+
+  const handleDelete = async () => {
+    setIsBusy(true);
+    const deleted = await onDelete(draft.id);
+    setIsBusy(false);
+    if (deleted) selectProfile(DEFAULT_PROFILE);
+  };
+
+  const viewed = draft ? null : profiles.find(profile => profileKey(profile) === selectedKey);
+  const missingStatus = draft && !draft.aliases.status.trim();
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div className="card scrollbar-thin" style={{ padding: '24px', width: '90%', maxWidth: '820px', maxHeight: '85vh', overflowY: 'auto' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <div>
+            <h3 style={{ margin: 0, color: '#1f2937' }}>Column Mappings</h3>
+            <p style={{ margin: '4px 0 0', color: '#6b7280', fontSize: '13px' }}>
+              The profile matching the most workbook headers is picked automatically on upload.
+            </p>
+          </div>
+          <button onClick={onClose}>Close</button>
+        </div>
+
+        {!isSupabaseConfigured && (
+          <p style={{ color: '#b8860b', fontSize: '13px', margin: '0 0 16px' }}>
+            Supabase is not configured - only the built-in profile is available.
+          </p>
+        )}
+
+        {error && (
+          <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 16px' }}>{error}</p>
+        )}
+
+        <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap' }}>
+          {/* Profile list */}
+          <div style={{ width: '200px', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+            {profiles.map(profile => (
+              <button
+                key={profileKey(profile)}
+                onClick={() => selectProfile(profile)}
+                style={{
+                  textAlign: 'left',
+                  borderColor: selectedKey === profileKey(profile) ? '#00B1A9' : '#e5e7eb',
+                  color: selectedKey === profileKey(profile) ? '#00B1A9' : '#1f2937'
+                }}
+              >
+                {profile.name}{profile.isBuiltIn ? ' (built-in)' : ''}
+              </button>
+            ))}
+            {isSupabaseConfigured && (
+              <button onClick={() => startNewProfile()} style={{ color: '#00B1A9' }}>
+                + New Profile
+              </button>
+            )}
+          </div>
+
+          {/* Profile details */}
+          <div style={{ flex: 1, minWidth: '320px' }}>
+            {viewed && (
+              <>
+                {MAPPING_FIELDS.map(field => (
+                  <div key={field.key} style={{ display: 'flex', padding: '8px 0', borderBottom: '1px solid #e5e7eb', fontSize: '13px' }}>
+                    <span style={{ width: '160px', color: '#6b7280' }}>{field.label}</span>
+                    <span style={{ flex: 1, color: '#1f2937' }}>{(viewed.mappings[field.key] || []).join(', ') || '-'}</span>
+                  </div>
+                ))}
+                {isSupabaseConfigured && (
+                  <button onClick={() => startNewProfile(viewed)} style={{ marginTop: '16px' }}>
+                    Duplicate as New Profile
+                  </button>
+                )}
+              </>
+            )}
+
+            {draft && (
+              <>
+                <label style={{ display: 'block', marginBottom: '16px', fontSize: '13px', color: '#6b7280' }}>
+                  Profile name
+                  <input
+                    value={draft.name}
+                    onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                    style={{ ...inputStyle, marginTop: '4px' }}
+                  />
+                </label>
+                {MAPPING_FIELDS.map(field => (
+                  <label key={field.key} style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px', fontSize: '13px' }}>
+                    <span style={{ width: '160px', color: '#6b7280' }}>
+                      {field.label}{field.required ? ' *' : ''}
+                    </span>
+                    <input
+                      value={draft.aliases[field.key]}
+                      placeholder="Header names, comma separated"
+                      onChange={(e) => setDraft({ ...draft, aliases: { ...draft.aliases, [field.key]: e.target.value } })}
+                      style={{ ...inputStyle, flex: 1 }}
+                    />
+                  </label>
+                ))}
+                <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end', marginTop: '16px' }}>
+                  {draft.id && (
+                    <button onClick={handleDelete} disabled={isBusy} style={{ color: '#E31837' }}>
+                      Delete
+                    </button>
+                  )}
+                  <button
+                    onClick={handleSave}
+                    disabled={isBusy || !draft.name.trim() || missingStatus}
+                    style={{
+                      background: '#00B1A9',
+                      color: '#fff',
+                      border: 'none',
+                      opacity: isBusy || !draft.name.trim() || missingStatus ? 0.6 : 1
+                    }}
+                  >
+                    {isBusy ? 'Saving...' : 'Save Profile'}
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,33 @@
+import React from 'react';
+
+// Comment count for a tag; the latest comment shows as a tooltip
+export default function CommentBadge({ summary, onClick }) {
+  const count = summary?.count || 0;
+  const title = count > 0
+    ? `${summary.latestAuthorName || 'Unknown'}: ${summary.latestBody}`
+    : 'No comments yet';
+
+  return (
+    <button
+      onClick={onClick}
+      title={title}
+      style={{
+        display: 'inline-flex',
+        alignItems: 'center',
+        gap: '4px',
+        padding: '2px 8px',
+        fontSize: '11px',
+        fontWeight: 600,
+        borderRadius: '10px',
+        background: count > 0 ? 'rgba(32, 65, 154, 0.1)' : 'transparent',
+        color: count > 0 ? '#20419A' : '#9ca3af',
+        border: count > 0 ? '1px solid transparent' : '1px solid #e5e7eb'
+      }}
+    >
+      <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+        <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/>
+      </svg>
+      {count}
+    </button>
+  );
+}
@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { useTagComments } from '../hooks/useTagComments';
+import { formatDateTime } from '../lib/dates';
+
+// Comment thread for one tag with a box to post a new comment
+export default function CommentThread({ functionalLocation, onCommentPosted }) {
+  const { comments, isLoading, isPosting, error, isSupabaseConfigured, postComment } = useTagComments(functionalLocation);
+  const [draft, setDraft] = useState('');
+
+  if (!isSupabaseConfigured) {
+    return <p style={{ fontSize: '13px', color: '#6b7280' }}>Comments are only available when Supabase is configured.</p>;
+  }
+
+  const handlePost = async () => {
+    const comment = await postComment(draft);
+    if (comment) {
+      setDraft('');
+      if (onCommentPosted) onCommentPosted(comment);
+    }
+  };
+
+  return (
+    <div>
+      {isLoading && comments.length === 0 && (
+        <div className="pulse" style={{ fontSize: '13px', color: '#00B1A9' }}>Loading comments...</div>
+      )}
+
+      {!isLoading && comments.length === 0 && (
+        <p style={{ fontSize: '13px', color: '#6b7280' }}>No comments yet. Start the discussion for the next shift.</p>
+      )}
+
+      {comments.map(comment => (
+        <div
+          key={comment.id}
+          style={{ padding: '8px 12px', marginBottom: '8px', background: '#f9fafb', borderRadius: '8px', border: '1px solid #e5e7eb' }}
+        >
+          <p style={{ margin: 0, fontSize: '12px', color: '#6b7280' }}>
+            <span style={{ fontWeight: 600, color: '#1f2937' }}>{comment.authorName || 'Unknown'}</span>
+            {' • '}{formatDateTime(comment.createdAt)}
+          </p>
+          <p style={{ margin: '4px 0 0', fontSize: '13px', color: '#1f2937', whiteSpace: 'pre-wrap' }}>{comment.body}</p>
+        </div>
+      ))}
+
+      {error && (
+        <p style={{ color: '#E31837', fontSize: '13px', margin: '8px 0' }}>{error}</p>
+      )}
+
+      <textarea
+        rows={3}
+        value={draft}
+        placeholder="Add a comment..."
+        onChange={(e) => setDraft(e.target.value)}
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          border: '1px solid #e5e7eb',
+          borderRadius: '8px',
+          padding: '8px 12px',
+          fontSize: '13px',
+          fontFamily: 'inherit',
+          marginTop: '8px'
+        }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '8px' }}>
+        <button
+          onClick={handlePost}
+          disabled={isPosting || !draft.trim()}
+          style={{
+            background: '#00B1A9',
+            color: '#fff',
+            border: 'none',
+            opacity: isPosting || !draft.trim() ? 0.6 : 1
+          }}
+        >
+          {isPosting ? 'Posting...' : 'Post Comment'}
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,236 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { COMPARE_CATEGORIES, compareEquipmentSets, countCategoriesBy } from '../lib/compare';
+import { formatCriticality, groupByEquipmentType } from '../lib/equipment';
+import { formatDateTime } from '../lib/dates';
+import { matchesLocation } from '../lib/hierarchy';
+import EquipmentGroup from './EquipmentGroup';
+
+const thStyle = { textAlign: 'left', padding: '10px 16px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' };
+
+const STATUS_COLORS = { 'Healthy': '#00B1A9', 'Caution': '#b8860b', 'Warning': '#E31837' };
+
+const StatusChange = ({ from, to }) => (
+  <span style={{ fontSize: '12px', fontWeight: 600, whiteSpace: 'nowrap' }}>
+    <span style={{ color: STATUS_COLORS[from] || '#9ca3af' }}>{from || 'New'}</span>
+    {' → '}
+    <span style={{ color: STATUS_COLORS[to] || '#9ca3af' }}>{to || 'Removed'}</span>
+  </span>
+);
+
+// Side-by-side comparison of two upload snapshots
+export default function CompareView({ snapshots, fetchSnapshotRows, filters, onTagClick }) {
+  const [baseId, setBaseId] = useState(snapshots[1]?.id || '');
+  const [targetId, setTargetId] = useState(snapshots[0]?.id || '');
+  const [rowsById, setRowsById] = useState({});
+  const [failedIds, setFailedIds] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [category, setCategory] = useState(COMPARE_CATEGORIES[0].key);
+
+  // Default to the two most recent uploads once the list has loaded
+  useEffect(() => {
+    if (!baseId && !targetId && snapshots.length >= 2) {
+      setBaseId(snapshots[1].id);
+      setTargetId(snapshots[0].id);
+    }
+  }, [snapshots, baseId, targetId]);
+
+  // Load rows of the selected snapshots (cached per snapshot)
+  useEffect(() => {
+    const missing = [baseId, targetId].filter(id => id && !rowsById[id] && !failedIds.includes(id));
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    Promise.all(missing.map(id => fetchSnapshotRows(id))).then(results => {
+      if (cancelled) return;
+      setRowsById(prev => {
+        const next = { ...prev };
+        missing.forEach((id, i) => {
+          if (results[i]) next[id] = results[i];
+        });
+        return next;
+      });
+      // Don't retry snapshots that failed; the hook error banner explains why
+      setFailedIds(prev => [...prev, ...missing.filter((id, i) => !results[i])]);
+      setIsLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [baseId, targetId, rowsById, failedIds, fetchSnapshotRows]);
+
+  const result = useMemo(() => {
+    if (!rowsById[baseId] || !rowsById[targetId]) return null;
+    const compared = compareEquipmentSets(rowsById[baseId], rowsById[targetId]);
+
+    // Apply the dashboard filters (status is what is being compared, so it is not filtered)
+    const matches = (item) => {
+      if (filters.area !== 'All' && item.area !== filters.area) return false;
+      if (filters.equipmentType !== 'All' && item.equipmentType !== filters.equipmentType) return false;
+      if (filters.criticality !== 'All' && formatCriticality(item.criticality) !== filters.criticality) return false;
+      if (!matchesLocation(item, filters.location)) return false;
+      return true;
+    };
+    return Object.fromEntries(Object.entries(compared).map(([key, items]) => [key, items.filter(matches)]));
+  }, [rowsById, baseId, targetId, filters]);
+
+  const groupedItems = useMemo(() => (result ? groupByEquipmentType(result[category]) : []), [result, category]);
+  const areaCounts = useMemo(() => (result ? countCategoriesBy(result, 'area') : []), [result]);
+  const typeCounts = useMemo(() => (result ? countCategoriesBy(result, 'equipmentType') : []), [result]);
+
+  if (snapshots.length < 2) {
+    return (
+      <div style={{ textAlign: 'center', padding: '48px', color: '#6b7280' }}>
+        <p>At least two uploads are needed to compare</p>
+      </div>
+    );
+  }
+
+  const snapshotOptions = snapshots.map(snapshot => (
+    <option key={snapshot.id} value={snapshot.id}>
+      {formatDateTime(snapshot.createdAt)}{snapshot.fileName ? ` - ${snapshot.fileName}` : ''}
+    </option>
+  ));
+
+  const countsTable = (title, rows) => (
+    <div style={{ flex: 1, minWidth: '320px', border: '1px solid #e5e7eb', borderRadius: '8px', overflow: 'hidden' }}>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+        <thead>
+          <tr style={{ borderBottom: '2px solid #e5e7eb', background: '#f9fafb' }}>
+            <th style={thStyle}>{title}</th>
+            {COMPARE_CATEGORIES.map(c => (
+              <th key={c.key} style={{ ...thStyle, textAlign: 'right' }} title={c.label}>{c.label.split(' (')[0]}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((row, i) => (
+            <tr key={row.name} style={{ borderBottom: i < rows.length - 1 ? '1px solid #e5e7eb' : 'none' }}>
+              <td style={{ padding: '8px 16px', color: '#1f2937' }}>{row.name}</td>
+              {COMPARE_CATEGORIES.map(c => (
+                <td key={c.key} style={{ padding: '8px 16px', textAlign: 'right', color: row[c.key] ? c.color : '#d1d5db' }}>
+                  {row[c.key]}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '24px', fontSize: '13px', color: '#6b7280' }}>
+        <span>Compare</span>
+        <select value={baseId} onChange={(e) => setBaseId(e.target.value)}>{snapshotOptions}</select>
+        <span>with</span>
+        <select value={targetId} onChange={(e) => setTargetId(e.target.value)}>{snapshotOptions}</select>
+        <button
+          onClick={() => {
+            setBaseId(targetId);
+            setTargetId(baseId);
+          }}
+          title="Swap"
+        >
+          ⇄
+        </button>
+      </div>
+
+      {failedIds.includes(baseId) || failedIds.includes(targetId) ? (
+        <div style={{ textAlign: 'center', padding: '48px', color: '#E31837' }}>
+          <p>Could not load the selected uploads</p>
+        </div>
+      ) : isLoading || !result ? (
+        <div className="pulse" style={{ textAlign: 'center', padding: '48px', color: '#00B1A9' }}>
+          Loading snapshots...
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '24px' }}>
+            {COMPARE_CATEGORIES.map(c => (
+              <button
+                key={c.key}
+                onClick={() => setCategory(c.key)}
+                style={{
+                  borderColor: category === c.key ? c.color : '#e5e7eb',
+                  color: category === c.key ? c.color : '#1f2937',
+                  fontWeight: category === c.key ? 600 : 400
+                }}
+              >
+                {c.label} ({result[c.key].length})
+              </button>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', marginBottom: '24px' }}>
+            {countsTable('Area', areaCounts)}
+            {countsTable('Equipment Type', typeCounts)}
+          </div>
+
+          <div className="scrollbar-thin" style={{ maxHeight: '500px', overflowY: 'auto' }}>
+            {groupedItems.length === 0 ? (
+              <div style={{ textAlign: 'center', padding: '48px', color: '#6b7280' }}>
+                <p>No items in this category</p>
+              </div>
+            ) : (
+              groupedItems.map((group, groupIndex) => (
+                <EquipmentGroup
+                  key={group.equipmentType}
+                  title={group.equipmentType}
+                  count={group.items.length}
+                  isLast={groupIndex === groupedItems.length - 1}
+                >
+                  <div style={{ border: '1px solid #e5e7eb', borderTop: 'none', borderRadius: '0 0 8px 8px', overflow: 'hidden' }}>
+                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                      <thead>
+                        <tr style={{ borderBottom: '2px solid #e5e7eb', background: '#f9fafb' }}>
+                          <th style={thStyle}>Status</th>
+                          <th style={thStyle}>Crit.</th>
+                          <th style={thStyle}>Area</th>
+                          <th style={thStyle}>Tag No.</th>
+                          <th style={thStyle}>Description</th>
+                          <th style={thStyle}>Alarm</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {group.items.map((item, i) => {
+                          const previousCrit = item.previous ? formatCriticality(item.previous.criticality) : null;
+                          const currentCrit = formatCriticality(item.criticality);
+                          return (
+                            <tr
+                              key={item.functionalLocation}
+                              style={{
+                                borderBottom: i < group.items.length - 1 ? '1px solid #e5e7eb' : 'none',
+                                background: i % 2 === 0 ? '#ffffff' : '#f9fafb'
+                              }}
+                            >
+                              <td style={{ padding: '10px 16px' }}>
+                                <StatusChange from={item.previous?.status} to={item.removed ? null : item.status} />
+                              </td>
+                              <td style={{ padding: '10px 16px', color: '#1f2937', whiteSpace: 'nowrap' }}>
+                                {previousCrit && previousCrit !== currentCrit ? `${previousCrit} → ${currentCrit}` : currentCrit}
+                              </td>
+                              <td style={{ padding: '10px 16px', color: '#1f2937' }}>{item.area}</td>
+                              <td
+                                className="tag-link"
+                                onClick={() => onTagClick(item)}
+                                style={{ padding: '10px 16px', color: '#1f2937', fontWeight: 500 }}
+                              >
+                                {item.functionalLocation}
+                              </td>
+                              <td style={{ padding: '10px 16px', color: '#6b7280' }}>{item.description}</td>
+                              <td style={{ padding: '10px 16px', color: '#E31837' }}>{item.alarmDescription || '-'}</td>
+                            </tr>
+                          );
+                        })}
+                      </tbody>
+                    </table>
+                  </div>
+                </EquipmentGroup>
+              ))
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { CRITICALITIES, EDITABLE_FIELDS, STATUSES } from '../lib/constants';
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  padding: '8px 12px',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  marginTop: '4px'
+};
+
+const labelStyle = { display: 'block', marginBottom: '16px', fontSize: '13px', color: '#6b7280' };
+
+// Form for correcting one equipment record; onSave receives only the changed fields
+export default function EditRecordModal({ item, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => Object.fromEntries(
+    EDITABLE_FIELDS.map(field => [field.value, item[field.value] || ''])
+  ));
+
+  const changes = Object.fromEntries(
+    EDITABLE_FIELDS
+      .filter(field => draft[field.value] !== (item[field.value] || ''))
+      .map(field => [field.value, draft[field.value]])
+  );
+  const hasChanges = Object.keys(changes).length > 0;
+
+  // Keep a non-standard criticality from the workbook selectable
+  const criticalityOptions = item.criticality && !CRITICALITIES.includes(item.criticality)
+    ? [...CRITICALITIES, item.criticality]
+    : CRITICALITIES;
+
+  const setField = (key, value) => setDraft({ ...draft, [key]: value });
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1100
+      }}
+    >
+      <div
+        className="card"
+        onClick={(e) => e.stopPropagation()}
+        style={{ padding: '24px', width: '90%', maxWidth: '480px' }}
+      >
+        <h3 style={{ margin: '0 0 4px', color: '#1f2937' }}>Edit {item.functionalLocation}</h3>
+        <p style={{ margin: '0 0 20px', color: '#6b7280', fontSize: '13px' }}>
+          {item.description} • {item.area}
+        </p>
+
+        <label style={labelStyle}>
+          Status
+          <select value={draft.status} onChange={(e) => setField('status', e.target.value)} style={inputStyle}>
+            {STATUSES.map(status => <option key={status} value={status}>{status}</option>)}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Criticality
+          <select value={draft.criticality} onChange={(e) => setField('criticality', e.target.value)} style={inputStyle}>
+            <option value="">Not set</option>
+            {criticalityOptions.map(criticality => <option key={criticality} value={criticality}>{criticality}</option>)}
+          </select>
+        </label>
+        <label style={labelStyle}>
+          Alarm Description
+          <textarea
+            rows={2}
+            value={draft.alarmDescription}
+            onChange={(e) => setField('alarmDescription', e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+        <label style={labelStyle}>
+          Rectification
+          <textarea
+            rows={2}
+            value={draft.rectification}
+            onChange={(e) => setField('rectification', e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+
+        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+          <button onClick={onClose}>Cancel</button>
+          <button
+            onClick={() => onSave(changes)}
+            disabled={!hasChanges}
+            style={{
+              background: '#00B1A9',
+              color: '#fff',
+              border: 'none',
+              opacity: hasChanges ? 1 : 0.6
+            }}
+          >
+            Save Changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import React, { useEffect, useState } from 'react';
+import TagTimeline from './TagTimeline';
+import CommentThread from './CommentThread';
+import TagAttachments from './TagAttachments';
+import { useTagActivity } from '../hooks/useTagActivity';
+import { formatCriticality } from '../lib/equipment';
+import { formatDateTime, formatIsoDate, parseDate } from '../lib/dates';
+import { describeAuditEntry } from '../lib/audit';
+import { formatActionState, isActionOverdue } from '../lib/rectification';
+
+const STATUS_COLORS = { 'Healthy': '#00B1A9', 'Caution': '#b8860b', 'Warning': '#E31837' };
+
+const sectionTitleStyle = {
+  margin: '24px 0 12px',
+  fontSize: '12px',
+  fontWeight: 600,
+  textTransform: 'uppercase',
+  letterSpacing: '0.5px',
+  color: '#6b7280'
+};
+
+const Field = ({ label, value, color }) => (
+  <div>
+    <p style={{ margin: 0, fontSize: '11px', color: '#6b7280', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{label}</p>
+    <p style={{ margin: '2px 0 0', fontSize: '14px', color: color || '#1f2937', whiteSpace: 'pre-wrap' }}>{value || '-'}</p>
+  </div>
+);
+
+// Notes and actions recorded against the tag
+function TagActivity({ functionalLocation }) {
+  const { entries, isLoading, error, isSupabaseConfigured } = useTagActivity(functionalLocation);
+
+  if (!isSupabaseConfigured) {
+    return <p style={{ fontSize: '13px', color: '#6b7280' }}>Notes and actions are only available when Supabase is configured.</p>;
+  }
+  if (isLoading) {
+    return <div className="pulse" style={{ fontSize: '13px', color: '#00B1A9' }}>Loading notes and actions...</div>;
+  }
+  if (error) {
+    return <p style={{ fontSize: '13px', color: '#E31837' }}>{error}</p>;
+  }
+  if (entries.length === 0) {
+    return <p style={{ fontSize: '13px', color: '#6b7280' }}>No notes or actions logged for this tag yet.</p>;
+  }
+
+  return entries.map(entry => (
+    <div key={entry.id} style={{ paddingBottom: '12px' }}>
+      <p style={{ margin: 0, fontSize: '12px', color: '#6b7280' }}>
+        {formatDateTime(entry.createdAt)}{entry.userName && ` • ${entry.userName}`}
+      </p>
+      <p style={{ margin: '2px 0 0', fontSize: '13px', color: entry.outcome === 'error' ? '#E31837' : '#1f2937' }}>
+        {entry.outcome === 'error' ? entry.errorMessage : describeAuditEntry(entry)}
+      </p>
+    </div>
+  ));
+}
+
+// Side drawer with everything known about one functional location
+export default function EquipmentDrawer({ functionalLocation, item, action, parentLocation, relatedItems, onSelectTag, onEdit, onEditAction, onCommentPosted, canManageAttachments, onClose }) {
+  const [isLinkCopied, setIsLinkCopied] = useState(false);
+
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    setIsLinkCopied(false);
+  }, [functionalLocation]);
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setIsLinkCopied(true);
+    } catch (err) {
+      console.error('Error copying link:', err);
+    }
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.3)',
+        zIndex: 1000
+      }}
+    >
+      <aside
+        className="scrollbar-thin"
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          position: 'absolute',
+          top: 0,
+          right: 0,
+          bottom: 0,
+          width: '100%',
+          maxWidth: '520px',
+          background: '#ffffff',
+          boxShadow: '-4px 0 24px rgba(0,0,0,0.15)',
+          padding: '24px',
+          overflowY: 'auto',
+          boxSizing: 'border-box'
+        }}
+      >
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '16px' }}>
+          <div>
+            <h3 style={{ margin: 0, color: '#1f2937', wordBreak: 'break-all' }}>{functionalLocation}</h3>
+            {item && (
+              <p style={{ margin: '4px 0 0', color: '#6b7280', fontSize: '13px' }}>{item.description}</p>
+            )}
+          </div>
+          <div style={{ display: 'flex', gap: '8px', flexShrink: 0 }}>
+            {onEdit && <button onClick={onEdit}>Edit</button>}
+            <button onClick={handleCopyLink}>{isLinkCopied ? 'Link Copied' : 'Copy Link'}</button>
+            <button onClick={onClose}>Close</button>
+          </div>
+        </div>
+
+        {item ? (
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px', marginTop: '24px' }}>
+            <Field label="Status" value={item.status} color={STATUS_COLORS[item.status]} />
+            <Field label="Criticality" value={formatCriticality(item.criticality)} />
+            <Field label="Area" value={item.area} />
+            <Field label="Equipment Type" value={item.equipmentType} />
+            <Field label="Notification Date" value={parseDate(item.notificationDate)} />
+            <Field label="Parent Location" value={parentLocation} />
+            <div style={{ gridColumn: '1 / -1' }}>
+              <Field label="Alarm Description" value={item.alarmDescription} color={item.alarmDescription ? '#E31837' : undefined} />
+            </div>
+            <div style={{ gridColumn: '1 / -1' }}>
+              <Field label="Rectification" value={item.rectification} />
+            </div>
+          </div>
+        ) : (
+          <p style={{ marginTop: '24px', fontSize: '13px', color: '#6b7280' }}>
+            This tag is not in the current dataset. Its history is shown below.
+          </p>
+        )}
+
+        {(action || onEditAction) && (
+          <>
+            <h4 style={sectionTitleStyle}>Rectification Action</h4>
+            {action ? (
+              <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '16px' }}>
+                <Field label="State" value={formatActionState(action.state)} />
+                <Field label="Owner" value={action.owner} />
+                <Field
+                  label={isActionOverdue(action) ? 'Target Date (Overdue)' : 'Target Date'}
+                  value={formatIsoDate(action.targetDate)}
+                  color={isActionOverdue(action) ? '#E31837' : undefined}
+                />
+                <Field label="SAP Notification" value={action.sapNotification} />
+              </div>
+            ) : (
+              <p style={{ fontSize: '13px', color: '#6b7280' }}>No action recorded for this tag.</p>
+            )}
+            {onEditAction && (
+              <button onClick={onEditAction} style={{ marginTop: '12px' }}>
+                {action ? 'Update Action' : 'Add Action'}
+              </button>
+            )}
+          </>
+        )}
+
+        <h4 style={sectionTitleStyle}>Photos &amp; Documents</h4>
+        <TagAttachments functionalLocation={functionalLocation} canManage={canManageAttachments} />
+
+        <h4 style={sectionTitleStyle}>Comments</h4>
+        <CommentThread functionalLocation={functionalLocation} onCommentPosted={onCommentPosted} />
+
+        <h4 style={sectionTitleStyle}>Status History</h4>
+        {/* Keyed on updatedAt so an edit reloads the history */}
+        <TagTimeline key={item?.updatedAt} functionalLocation={functionalLocation} />
+
+        <h4 style={sectionTitleStyle}>
+          Related Tags{parentLocation && ` (${parentLocation})`}
+        </h4>
+        {relatedItems.length === 0 ? (
+          <p style={{ fontSize: '13px', color: '#6b7280' }}>No other tags share this parent location.</p>
+        ) : (
+          relatedItems.map(related => (
+            <div
+              key={related.functionalLocation}
+              style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 0', fontSize: '13px' }}
+            >
+              <span style={{
+                width: '8px',
+                height: '8px',
+                borderRadius: '50%',
+                flexShrink: 0,
+                background: STATUS_COLORS[related.status] || '#9ca3af'
+              }} />
+              <span className="tag-link" onClick={() => onSelectTag(related.functionalLocation)} style={{ fontWeight: 500, color: '#1f2937' }}>
+                {related.functionalLocation}
+              </span>
+              <span style={{ color: '#6b7280', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                {related.description}
+              </span>
+            </div>
+          ))
+        )}
+
+        <h4 style={sectionTitleStyle}>Notes &amp; Actions</h4>
+        <TagActivity key={item?.updatedAt} functionalLocation={functionalLocation} />
+      </aside>
+    </div>
+  );
+}
@@ -0,0 +1,34 @@
+import React from 'react';
+
+// Equipment-type group used by the Alerts, Obsolescence and Compare lists:
+// a coloured header with the item count, and the group's rows underneath.
+export default function EquipmentGroup({ title, count, isLast, children }) {
+  return (
+    <div style={{ marginBottom: isLast ? 0 : '24px' }}>
+      {/* Equipment Type Header */}
+      <div style={{
+        background: '#00B1A9',
+        color: '#ffffff',
+        padding: '10px 16px',
+        borderRadius: '8px 8px 0 0',
+        fontWeight: 600,
+        fontSize: '14px',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+      }}>
+        <span>{title}</span>
+        <span style={{
+          background: 'rgba(255,255,255,0.2)',
+          padding: '2px 10px',
+          borderRadius: '12px',
+          fontSize: '12px'
+        }}>
+          {count} item{count !== 1 ? 's' : ''}
+        </span>
+      </div>
+
+      {children}
+    </div>
+  );
+}
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { getLocationPath } from '../lib/hierarchy';
+
+const inputStyle = { padding: '6px 8px', border: '1px solid #e5e7eb', borderRadius: '8px', fontSize: '13px', fontFamily: 'inherit' };
+
+const healthColor = (percent) => (percent >= 90 ? '#00B1A9' : percent >= 70 ? '#FDB924' : '#E31837');
+
+// Collapsible functional location tree with health rolled up to every level.
+// Selecting a node filters the whole dashboard to that subtree; admins can
+// change how locations are split into levels.
+export default function HierarchyView({ tree, config, selectedLocation, onSelect, sampleLocation, canConfigure, settingsError, onSaveConfig }) {
+  const [expanded, setExpanded] = useState(() => new Set(tree.map(node => node.id)));
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const toggle = (id) => setExpanded(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    return next;
+  });
+
+  const draftConfig = draft && {
+    separator: draft.separator,
+    levels: draft.levels.split(',').map(level => level.trim()).filter(Boolean)
+  };
+  const draftIsValid = draftConfig && draftConfig.separator.length > 0 && draftConfig.levels.length > 0;
+
+  // Example of how the shown (or draft) config reads a location from the data
+  const previewConfig = draftIsValid ? draftConfig : config;
+  const samplePath = sampleLocation ? getLocationPath(sampleLocation, previewConfig) : [];
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onSaveConfig(draftConfig);
+    setIsSaving(false);
+    if (saved) setDraft(null);
+  };
+
+  const renderNode = (node) => {
+    const isOpen = expanded.has(node.id);
+    const isSelected = selectedLocation === node.id;
+    return (
+      <div key={node.id}>
+        <div
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            gap: '12px',
+            padding: '8px 12px',
+            paddingLeft: `${12 + node.depth * 24}px`,
+            borderBottom: '1px solid #f3f4f6',
+            background: isSelected ? 'rgba(0, 177, 169, 0.1)' : undefined,
+            fontSize: '13px'
+          }}
+        >
+          <button
+            onClick={() => toggle(node.id)}
+            disabled={node.children.length === 0}
+            style={{ width: '24px', padding: 0, border: 'none', background: 'none', visibility: node.children.length === 0 ? 'hidden' : 'visible' }}
+          >
+            {isOpen ? '▾' : '▸'}
+          </button>
+          <span
+            onClick={() => onSelect(isSelected ? null : node.id)}
+            title={isSelected ? 'Clear location filter' : `Filter the dashboard to ${node.id}`}
+            style={{ flex: 1, cursor: 'pointer', color: '#1f2937', fontWeight: isSelected ? 600 : 500 }}
+          >
+            {node.name}
+            <span style={{ marginLeft: '8px', fontSize: '11px', color: '#6b7280', fontWeight: 400 }}>{node.level}</span>
+          </span>
+          <span style={{ width: '64px', textAlign: 'right', color: '#6b7280' }}>{node.total}</span>
+          <span style={{ width: '56px', textAlign: 'right', color: node.Warning ? '#E31837' : '#d1d5db' }} title="Warning">{node.Warning}</span>
+          <span style={{ width: '56px', textAlign: 'right', color: node.Caution ? '#b8860b' : '#d1d5db' }} title="Caution">{node.Caution}</span>
+          <div style={{ width: '160px', display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <div style={{ flex: 1, height: '8px', background: '#f3f4f6', borderRadius: '4px', overflow: 'hidden' }}>
+              <div style={{ width: `${node.healthPercent}%`, height: '100%', background: healthColor(node.healthPercent) }} />
+            </div>
+            <span style={{ width: '48px', textAlign: 'right', color: '#1f2937' }}>{node.healthPercent}%</span>
+          </div>
+        </div>
+        {isOpen && node.children.map(renderNode)}
+      </div>
+    );
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '16px', fontSize: '13px', color: '#6b7280' }}>
+        {draft ? (
+          <>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              Separator
+              <input
+                value={draft.separator}
+                onChange={(e) => setDraft({ ...draft, separator: e.target.value })}
+                style={{ ...inputStyle, width: '40px', textAlign: 'center' }}
+              />
+            </label>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              Levels
+              <input
+                value={draft.levels}
+                placeholder="Level names, comma separated"
+                onChange={(e) => setDraft({ ...draft, levels: e.target.value })}
+                style={{ ...inputStyle, width: '240px' }}
+              />
+            </label>
+            <button onClick={() => setDraft(null)}>Cancel</button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving || !draftIsValid}
+              style={{ background: '#00B1A9', color: '#fff', border: 'none', opacity: isSaving || !draftIsValid ? 0.6 : 1 }}
+            >
+              {isSaving ? 'Saving...' : 'Save Hierarchy'}
+            </button>
+          </>
+        ) : (
+          <>
+            <span>
+              Levels: <strong style={{ color: '#1f2937' }}>{config.levels.join(' › ')}</strong>, split on
+              {' '}<code style={{ color: '#1f2937' }}>{config.separator}</code>
+            </span>
+            {canConfigure && (
+              <button
+                onClick={() => setDraft({ separator: config.separator, levels: config.levels.join(', ') })}
+                style={{ padding: '4px 10px', fontSize: '12px' }}
+              >
+                Edit Hierarchy
+              </button>
+            )}
+          </>
+        )}
+        {samplePath.length > 0 && (
+          <span style={{ marginLeft: 'auto', fontSize: '12px' }}>
+            e.g. {sampleLocation} → {samplePath.map((id, i) => `${previewConfig.levels[i]} ${id}`).join(' › ')}
+          </span>
+        )}
+      </div>
+
+      {settingsError && (
+        <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 16px' }}>{settingsError}</p>
+      )}
+
+      {tree.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '48px', color: '#6b7280' }}>
+          <p>No equipment matching current filters</p>
+        </div>
+      ) : (
+        <div className="scrollbar-thin" style={{ maxHeight: '560px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '8px' }}>
+          <div style={{
+            display: 'flex',
+            gap: '12px',
+            padding: '8px 12px',
+            background: '#f9fafb',
+            borderBottom: '1px solid #e5e7eb',
+            fontSize: '10px',
+            fontWeight: 600,
+            color: '#6b7280',
+            textTransform: 'uppercase',
+            letterSpacing: '0.5px'
+          }}>
+            <span style={{ width: '24px' }} />
+            <span style={{ flex: 1 }}>Location</span>
+            <span style={{ width: '64px', textAlign: 'right' }}>Tags</span>
+            <span style={{ width: '56px', textAlign: 'right' }}>Warning</span>
+            <span style={{ width: '56px', textAlign: 'right' }}>Caution</span>
+            <span style={{ width: '160px' }}>Health</span>
+          </div>
+          {tree.map(renderNode)}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+import React from 'react';
+import { formatDateTime } from '../lib/dates';
+
+const KIND_BADGES = {
+  clear: { label: 'CLEARED', bg: 'rgba(227, 24, 55, 0.15)', text: '#E31837' },
+  restore: { label: 'RESTORED', bg: 'rgba(32, 65, 154, 0.15)', text: '#20419A' },
+  edits: { label: 'EDITED', bg: 'rgba(253, 185, 36, 0.15)', text: '#b8860b' }
+};
+
+// Lists upload snapshots; any of them can be opened read-only in the dashboard
+export default function HistoryPanel({ snapshots, isLoading, error, activeSnapshotId, loadingSnapshotId, onOpen, onReturnToLive, onClose }) {
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div className="card scrollbar-thin" style={{ padding: '24px', width: '90%', maxWidth: '760px', maxHeight: '85vh', overflowY: 'auto' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '16px' }}>
+          <div>
+            <h3 style={{ margin: 0, color: '#1f2937' }}>Upload History</h3>
+            <p style={{ margin: '4px 0 0', color: '#6b7280', fontSize: '13px' }}>
+              Every import, Clear All and restore is kept as a snapshot, as are record edits made before one of them. Opening one shows it read-only in all tabs.
+            </p>
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {activeSnapshotId && (
+              <button onClick={onReturnToLive} style={{ color: '#00B1A9' }}>Return to Live Data</button>
+            )}
+            <button onClick={onClose}>Close</button>
+          </div>
+        </div>
+
+        {error && (
+          <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 16px' }}>{error}</p>
+        )}
+
+        {isLoading && snapshots.length === 0 && (
+          <div className="pulse" style={{ padding: '24px', textAlign: 'center', color: '#00B1A9' }}>
+            Loading history...
+          </div>
+        )}
+
+        {!isLoading && snapshots.length === 0 && (
+          <div style={{ padding: '24px', textAlign: 'center', color: '#6b7280', fontSize: '14px' }}>
+            No uploads recorded yet
+          </div>
+        )}
+
+        {snapshots.map((snapshot, i) => {
+          const isActive = snapshot.id === activeSnapshotId;
+          const isLatest = i === 0;
+          const kindBadge = KIND_BADGES[snapshot.kind];
+          const restoredFrom = snapshot.restoredFrom && snapshots.find(s => s.id === snapshot.restoredFrom);
+          return (
+            <div
+              key={snapshot.id}
+              className="alert-row"
+              style={{
+                borderLeftColor: isActive ? '#00B1A9' : '#e5e7eb',
+                display: 'flex',
+                justifyContent: 'space-between',
+                alignItems: 'center',
+                gap: '16px'
+              }}
+            >
+              <div style={{ flex: 1 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                  <span style={{ fontSize: '14px', fontWeight: 500, color: '#1f2937' }}>
+                    {formatDateTime(snapshot.createdAt)}
+                  </span>
+                  {isLatest && (
+                    <span style={{
+                      padding: '2px 8px',
+                      borderRadius: '4px',
+                      fontSize: '11px',
+                      fontWeight: 600,
+                      background: 'rgba(0, 177, 169, 0.15)',
+                      color: '#00B1A9'
+                    }}>
+                      LATEST
+                    </span>
+                  )}
+                  {kindBadge && (
+                    <span style={{
+                      padding: '2px 8px',
+                      borderRadius: '4px',
+                      fontSize: '11px',
+                      fontWeight: 600,
+                      background: kindBadge.bg,
+                      color: kindBadge.text
+                    }}>
+                      {kindBadge.label}
+                    </span>
+                  )}
+                </div>
+                <p style={{ margin: '0 0 4px', fontSize: '13px', color: '#6b7280' }}>
+                  {snapshot.kind === 'clear' ? 'Clear All' : snapshot.fileName || 'Unknown file'}
+                  {snapshot.kind === 'edits' && ' with record edits'}
+                  {restoredFrom && ` • restored from ${formatDateTime(restoredFrom.createdAt)}`}
+                  {snapshot.uploadedBy ? ` • ${snapshot.uploadedBy}` : ''}
+                </p>
+                <p style={{ margin: 0, fontSize: '12px', color: '#6b7280' }}>
+                  {snapshot.rowCount} rows
+                  {Object.keys(snapshot.areaCounts).length > 0 && ' • '}
+                  {Object.entries(snapshot.areaCounts).map(([area, count]) => `${area} ${count}`).join(', ')}
+                </p>
+              </div>
+              <button
+                onClick={() => onOpen(snapshot)}
+                disabled={isActive || loadingSnapshotId === snapshot.id}
+                style={{ whiteSpace: 'nowrap', opacity: isActive ? 0.6 : 1 }}
+              >
+                {loadingSnapshotId === snapshot.id ? 'Opening...' : isActive ? 'Viewing' : 'Open'}
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
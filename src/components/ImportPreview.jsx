@@ -0,0 +1,200 @@
+import React from 'react';
+import { AREAS, RETIRE_POLICIES } from '../lib/constants';
+
+const thStyle = { textAlign: 'left', padding: '10px 16px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' };
+const tdStyle = { padding: '10px 16px', color: '#1f2937' };
+
+// Profiles are refetched as new objects, so they are matched by id; the built-in one has none
+const profileKey = (profile) => profile.id || 'default';
+
+// Staging step for an Excel import: shows what will be saved before anything reaches Supabase
+export default function ImportPreview({ fileName, report, profiles, profile, detectedProfile, onProfileChange, retirePolicy, onRetirePolicyChange, isSaving, onConfirm, onCancel }) {
+  const untouchedAreas = AREAS.filter(area => !report.areas.includes(area));
+
+  const rowIssues = report.sheets.flatMap(sheet =>
+    sheet.issues.map(issue => ({ ...issue, sheet: sheet.name }))
+  );
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0,0,0,0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1000
+    }}>
+      <div className="card scrollbar-thin" style={{ padding: '24px', width: '90%', maxWidth: '760px', maxHeight: '85vh', overflowY: 'auto' }}>
+        <h3 style={{ margin: '0 0 4px', color: '#1f2937' }}>Review Import</h3>
+        <p style={{ margin: '0 0 20px', color: '#6b7280', fontSize: '14px' }}>
+          {fileName} • {report.totalAccepted} row{report.totalAccepted !== 1 ? 's' : ''} will be imported
+          {report.totalRejected > 0 && `, ${report.totalRejected} rejected`}
+        </p>
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '16px', fontSize: '13px', color: '#6b7280' }}>
+          <span>Column mapping:</span>
+          <select
+            value={profileKey(profile)}
+            onChange={(e) => onProfileChange(profiles.find(p => profileKey(p) === e.target.value))}
+          >
+            {profiles.map(p => (
+              <option key={profileKey(p)} value={profileKey(p)}>
+                {p.name}{detectedProfile && profileKey(p) === profileKey(detectedProfile) ? ' (auto-detected)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {report.areas.length > 0 && (
+          <div style={{
+            background: '#f9fafb',
+            border: '1px solid #e5e7eb',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            marginBottom: '16px',
+            fontSize: '13px',
+            color: '#6b7280'
+          }}>
+            <div>
+              <span style={{ fontWeight: 600, color: '#1f2937' }}>Areas to update:</span> {report.areas.join(', ')}
+            </div>
+            {untouchedAreas.length > 0 && (
+              <div style={{ marginTop: '4px' }}>
+                <span style={{ fontWeight: 600, color: '#1f2937' }}>Left untouched:</span> {untouchedAreas.join(', ')}
+              </div>
+            )}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '16px', fontSize: '13px', color: '#6b7280' }}>
+          <span>Rows of these areas not in this file:</span>
+          <select value={retirePolicy} onChange={(e) => onRetirePolicyChange(e.target.value)}>
+            {RETIRE_POLICIES.map(policy => (
+              <option key={policy.value} value={policy.value}>{policy.label}</option>
+            ))}
+          </select>
+        </div>
+
+        {report.unmappedFields.length > 0 && (
+          <div style={{
+            background: 'rgba(253, 185, 36, 0.1)',
+            border: '1px solid rgba(253, 185, 36, 0.3)',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            marginBottom: '16px',
+            fontSize: '13px',
+            color: '#b8860b'
+          }}>
+            No matching column found for: {report.unmappedFields.join(', ')}
+          </div>
+        )}
+
+        {report.sheets.length === 0 ? (
+          <p style={{ color: '#E31837', fontSize: '14px' }}>
+            No recognised area sheets were found in this workbook.
+          </p>
+        ) : (
+          <div style={{ border: '1px solid #e5e7eb', borderRadius: '8px', overflow: 'hidden', marginBottom: '16px' }}>
+            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+              <thead>
+                <tr style={{ borderBottom: '2px solid #e5e7eb', background: '#f9fafb' }}>
+                  <th style={thStyle}>Sheet</th>
+                  <th style={thStyle}>Accepted</th>
+                  <th style={thStyle}>Rejected</th>
+                  <th style={thStyle}>Reasons</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.sheets.map((sheet, i) => (
+                  <tr key={sheet.name} style={{ borderBottom: i < report.sheets.length - 1 ? '1px solid #e5e7eb' : 'none' }}>
+                    <td style={{ ...tdStyle, fontWeight: 500 }}>{sheet.name}</td>
+                    <td style={{ ...tdStyle, color: '#00B1A9' }}>{sheet.accepted}</td>
+                    <td style={{ ...tdStyle, color: sheet.rejected > 0 ? '#E31837' : '#6b7280' }}>{sheet.rejected}</td>
+                    <td style={{ ...tdStyle, color: '#6b7280' }}>
+                      {Object.keys(sheet.rejectReasons).length === 0 ? '-' : Object.entries(sheet.rejectReasons).map(([reason, count]) => (
+                        <div key={reason}>{reason} × {count}</div>
+                      ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {report.unknownSheets.length > 0 && (
+          <div style={{
+            background: 'rgba(253, 185, 36, 0.1)',
+            border: '1px solid rgba(253, 185, 36, 0.3)',
+            borderRadius: '8px',
+            padding: '12px 16px',
+            marginBottom: '16px',
+            fontSize: '13px',
+            color: '#b8860b'
+          }}>
+            Ignored sheets (name does not match an area): {report.unknownSheets.join(', ')}
+          </div>
+        )}
+
+        {rowIssues.length > 0 && (
+          <div style={{ marginBottom: '16px' }}>
+            <p style={{ margin: '0 0 8px', fontSize: '13px', fontWeight: 600, color: '#1f2937' }}>
+              Row details ({rowIssues.length})
+            </p>
+            <div className="scrollbar-thin" style={{ maxHeight: '180px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '8px' }}>
+              {rowIssues.map((issue, i) => (
+                <div key={i} style={{
+                  padding: '8px 16px',
+                  fontSize: '12px',
+                  color: '#6b7280',
+                  borderBottom: i < rowIssues.length - 1 ? '1px solid #e5e7eb' : 'none'
+                }}>
+                  <span style={{ fontWeight: 500, color: '#1f2937' }}>
+                    {issue.sheet}{issue.rowNumber ? ` row ${issue.rowNumber}` : ''}:
+                  </span>{' '}
+                  <span style={{ color: issue.rejected ? '#E31837' : '#b8860b' }}>
+                    {issue.rejected ? 'Rejected' : 'Warning'}
+                  </span> - {issue.message}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+          <button
+            onClick={onCancel}
+            style={{
+              padding: '10px 24px',
+              background: '#f3f4f6',
+              border: '1px solid #e5e7eb',
+              borderRadius: '8px',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={isSaving || report.totalAccepted === 0}
+            style={{
+              padding: '10px 24px',
+              background: '#00B1A9',
+              color: '#fff',
+              border: 'none',
+              borderRadius: '8px',
+              cursor: 'pointer',
+              opacity: isSaving || report.totalAccepted === 0 ? 0.6 : 1
+            }}
+          >
+            {isSaving ? 'Importing...' : 'Confirm Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
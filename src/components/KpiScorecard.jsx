@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import { AREAS, CRITICALITIES } from '../lib/constants';
+import { KPI_METRICS, RAG_COLORS, RAG_LABELS, formatActual, formatKpi, formatTarget } from '../lib/kpi';
+
+const thStyle = { textAlign: 'left', padding: '8px 12px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' };
+
+const inputStyle = { padding: '4px 6px', border: '1px solid #e5e7eb', borderRadius: '6px', fontSize: '12px', fontFamily: 'inherit' };
+
+const newKpi = { area: 'All', criticality: 'All', metric: 'health_percent', target: '90', tolerance: '0' };
+
+const isValidNumber = (value) => value !== '' && Number.isFinite(Number(value)) && Number(value) >= 0;
+
+export const RagPill = ({ state }) => (
+  <span style={{
+    background: `${RAG_COLORS[state]}26`,
+    color: state === 'amber' ? '#b8860b' : RAG_COLORS[state],
+    padding: '2px 8px',
+    borderRadius: '10px',
+    fontSize: '11px',
+    fontWeight: 600,
+    whiteSpace: 'nowrap'
+  }}>
+    {RAG_LABELS[state]}
+  </span>
+);
+
+// Every KPI target with its actual value and red/amber/green state, missed
+// targets first. Admins can add, change and remove targets.
+export default function KpiScorecard({ results, kpis, canConfigure, settingsError, onSaveKpis }) {
+  const [draft, setDraft] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const order = { red: 0, amber: 1, green: 2, none: 3 };
+  const sorted = [...results].sort((a, b) => order[a.state] - order[b.state]);
+  const missed = results.filter(result => result.state === 'red').length;
+  const near = results.filter(result => result.state === 'amber').length;
+
+  const draftIsValid = draft && draft.every(kpi => isValidNumber(kpi.target) && isValidNumber(kpi.tolerance));
+
+  const setDraftField = (index, field, value) => setDraft(draft.map((kpi, i) => (i === index ? { ...kpi, [field]: value } : kpi)));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onSaveKpis(draft.map(kpi => ({ ...kpi, target: Number(kpi.target), tolerance: Number(kpi.tolerance) })));
+    setIsSaving(false);
+    if (saved) setDraft(null);
+  };
+
+  return (
+    <div style={{ flex: '1 1 420px', maxWidth: '640px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
+        <div>
+          <h4 style={{ margin: 0, fontSize: '14px', fontWeight: 600, color: '#1f2937' }}>KPI Scorecard</h4>
+          <p style={{ margin: '2px 0 0', fontSize: '12px', color: missed > 0 ? '#E31837' : '#6b7280' }}>
+            {results.length === 0
+              ? 'No KPI targets defined'
+              : `${missed} of ${results.length} targets missed${near > 0 ? `, ${near} near target` : ''}`}
+          </p>
+        </div>
+        {canConfigure && !draft && (
+          <button
+            onClick={() => setDraft(kpis.map(kpi => ({ ...kpi, target: String(kpi.target), tolerance: String(kpi.tolerance) })))}
+            style={{ padding: '4px 10px', fontSize: '12px' }}
+          >
+            Edit KPIs
+          </button>
+        )}
+      </div>
+
+      {settingsError && (
+        <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 12px' }}>{settingsError}</p>
+      )}
+
+      {draft ? (
+        <div>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ borderBottom: '1px solid #e5e7eb' }}>
+                <th style={thStyle}>Area</th>
+                <th style={thStyle}>Crit.</th>
+                <th style={thStyle}>Measure</th>
+                <th style={thStyle}>Target</th>
+                <th style={thStyle} title="How far past the target still counts as amber">Amber Within</th>
+                <th style={thStyle} />
+              </tr>
+            </thead>
+            <tbody>
+              {draft.map((kpi, i) => (
+                <tr key={i} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                  <td style={{ padding: '6px 4px' }}>
+                    <select value={kpi.area} onChange={(e) => setDraftField(i, 'area', e.target.value)} style={inputStyle}>
+                      <option value="All">Plant</option>
+                      {AREAS.map(area => <option key={area} value={area}>{area}</option>)}
+                    </select>
+                  </td>
+                  <td style={{ padding: '6px 4px' }}>
+                    <select value={kpi.criticality} onChange={(e) => setDraftField(i, 'criticality', e.target.value)} style={inputStyle}>
+                      <option value="All">All</option>
+                      {CRITICALITIES.map(crit => <option key={crit} value={crit}>{crit}</option>)}
+                    </select>
+                  </td>
+                  <td style={{ padding: '6px 4px' }}>
+                    <select value={kpi.metric} onChange={(e) => setDraftField(i, 'metric', e.target.value)} style={inputStyle}>
+                      {KPI_METRICS.map(metric => <option key={metric.value} value={metric.value}>{metric.label}</option>)}
+                    </select>
+                  </td>
+                  <td style={{ padding: '6px 4px' }}>
+                    <input
+                      type="number"
+                      min="0"
+                      value={kpi.target}
+                      onChange={(e) => setDraftField(i, 'target', e.target.value)}
+                      style={{ ...inputStyle, width: '56px' }}
+                    />
+                  </td>
+                  <td style={{ padding: '6px 4px' }}>
+                    <input
+                      type="number"
+                      min="0"
+                      value={kpi.tolerance}
+                      onChange={(e) => setDraftField(i, 'tolerance', e.target.value)}
+                      style={{ ...inputStyle, width: '56px' }}
+                    />
+                  </td>
+                  <td style={{ padding: '6px 4px', textAlign: 'right' }}>
+                    <button
+                      onClick={() => setDraft(draft.filter((_, j) => j !== i))}
+                      style={{ padding: '2px 8px', fontSize: '12px', color: '#E31837' }}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div style={{ display: 'flex', gap: '8px', justifyContent: 'flex-end', marginTop: '12px' }}>
+            <button onClick={() => setDraft([...draft, newKpi])} style={{ padding: '4px 10px', fontSize: '12px', marginRight: 'auto' }}>
+              Add KPI
+            </button>
+            <button onClick={() => setDraft(null)} style={{ padding: '4px 10px', fontSize: '12px' }}>Cancel</button>
+            <button
+              onClick={handleSave}
+              disabled={isSaving || !draftIsValid}
+              style={{ padding: '4px 10px', fontSize: '12px', background: '#00B1A9', color: '#fff', border: 'none', opacity: isSaving || !draftIsValid ? 0.6 : 1 }}
+            >
+              {isSaving ? 'Saving...' : 'Save KPIs'}
+            </button>
+          </div>
+        </div>
+      ) : results.length > 0 && (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ background: '#f9fafb', borderBottom: '1px solid #e5e7eb' }}>
+              <th style={thStyle}>KPI</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Target</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Actual</th>
+              <th style={thStyle}>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map(({ kpi, actual, total, state }, i) => (
+              <tr key={i} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                <td style={{ padding: '8px 12px', color: '#1f2937', fontWeight: 500 }}>
+                  {formatKpi(kpi)}
+                  <span style={{ marginLeft: '6px', fontSize: '11px', color: '#6b7280', fontWeight: 400 }}>{total} tags</span>
+                </td>
+                <td style={{ padding: '8px 12px', textAlign: 'right', color: '#6b7280', whiteSpace: 'nowrap' }}>{formatTarget(kpi)}</td>
+                <td style={{ padding: '8px 12px', textAlign: 'right', color: '#1f2937', fontWeight: 600 }}>
+                  {formatActual(kpi, actual)}
+                </td>
+                <td style={{ padding: '8px 12px' }}><RagPill state={state} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <p style={{ fontSize: '11px', color: '#6b7280', margin: '8px 0 0' }}>
+        Measured on the selected area and location; the equipment type, status and criticality filters do not apply.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+import React, { useState } from 'react';
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '10px 12px',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  fontSize: '14px',
+  fontFamily: 'inherit'
+};
+
+// Email / password sign-in. Accounts are created by an admin in Supabase Auth.
+export default function LoginForm({ onSignIn, isSigningIn, error, onClearError }) {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSignIn(email.trim(), password);
+  };
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      background: '#f9fafb',
+      fontFamily: '"IBM Plex Sans", system-ui, sans-serif',
+      color: '#1f2937',
+      padding: '24px'
+    }}>
+      <form
+        onSubmit={handleSubmit}
+        style={{
+          background: '#ffffff',
+          border: '1px solid #e5e7eb',
+          borderRadius: '16px',
+          boxShadow: '0 1px 3px rgba(0,0,0,0.08)',
+          padding: '32px',
+          width: '100%',
+          maxWidth: '360px'
+        }}
+      >
+        <h1 style={{ fontSize: '22px', fontWeight: 700, margin: 0, color: '#00B1A9' }}>
+          PCFK Instrument Health Monitor
+        </h1>
+        <p style={{ color: '#6b7280', margin: '4px 0 24px', fontSize: '14px' }}>
+          Sign in to view the dashboard
+        </p>
+
+        {error && (
+          <p
+            onClick={onClearError}
+            style={{ color: '#E31837', fontSize: '13px', margin: '0 0 16px', cursor: 'pointer' }}
+          >
+            {error}
+          </p>
+        )}
+
+        <label style={{ display: 'block', fontSize: '13px', fontWeight: 500, marginBottom: '4px' }} htmlFor="login-email">
+          Email
+        </label>
+        <input
+          id="login-email"
+          type="email"
+          autoComplete="username"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+          style={{ ...inputStyle, marginBottom: '16px' }}
+        />
+
+        <label style={{ display: 'block', fontSize: '13px', fontWeight: 500, marginBottom: '4px' }} htmlFor="login-password">
+          Password
+        </label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+          style={{ ...inputStyle, marginBottom: '24px' }}
+        />
+
+        <button
+          type="submit"
+          disabled={isSigningIn}
+          style={{
+            width: '100%',
+            padding: '12px',
+            background: '#00B1A9',
+            color: '#fff',
+            border: 'none',
+            borderRadius: '8px',
+            fontSize: '14px',
+            fontWeight: 500,
+            cursor: 'pointer',
+            opacity: isSigningIn ? 0.6 : 1
+          }}
+        >
+          {isSigningIn ? 'Signing in...' : 'Sign In'}
+        </button>
+      </form>
+    </div>
+  );
+}
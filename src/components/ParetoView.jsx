@@ -0,0 +1,160 @@
+import React, { useMemo, useState } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { buildPareto } from '../lib/pareto';
+
+const thStyle = { textAlign: 'left', padding: '10px 16px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' };
+
+const tooltipStyle = {
+  background: '#ffffff',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  fontSize: '13px',
+  boxShadow: '0 4px 12px rgba(0,0,0,0.1)'
+};
+
+const TOP_OPTIONS = [10, 20, 50];
+
+const MAX_BREAKDOWN = 3;
+
+// "Transmitter 12 • Valve 4 • +2 more"
+const formatBreakdown = (counts) => {
+  const shown = counts.slice(0, MAX_BREAKDOWN).map(([name, count]) => `${name} ${count}`).join(' • ');
+  return counts.length > MAX_BREAKDOWN ? `${shown} • +${counts.length - MAX_BREAKDOWN} more` : shown;
+};
+
+const shorten = (text) => (text.length > 24 ? `${text.slice(0, 22)}…` : text);
+
+// Pareto of alarm descriptions: most frequent failure modes with their
+// cumulative share, and where they occur by equipment type and area
+export default function ParetoView({ items, onTagClick }) {
+  const [topCount, setTopCount] = useState(10);
+  const [expandedKey, setExpandedKey] = useState(null);
+
+  const groups = useMemo(() => buildPareto(items), [items]);
+  const shown = groups.slice(0, topCount);
+  const shownShare = shown.length > 0 ? shown[shown.length - 1].cumulativePercent : 0;
+
+  if (items.length === 0) {
+    return (
+      <div style={{ textAlign: 'center', padding: '48px', color: '#6b7280' }}>
+        <p>No alarms matching current filters</p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '24px', fontSize: '13px', color: '#6b7280' }}>
+        <select value={topCount} onChange={(e) => setTopCount(Number(e.target.value))}>
+          {TOP_OPTIONS.map(option => (
+            <option key={option} value={option}>Top {option}</option>
+          ))}
+        </select>
+        <span>
+          {items.length} alarms in {groups.length} groups; the top {shown.length} cover {shownShare}%
+        </span>
+      </div>
+
+      <div style={{ width: '100%', height: '340px', marginBottom: '24px' }}>
+        <ResponsiveContainer width="100%" height="100%">
+          <ComposedChart data={shown} margin={{ top: 8, right: 8, bottom: 48, left: 0 }}>
+            <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
+            <XAxis
+              dataKey="label"
+              tickFormatter={shorten}
+              tick={{ fontSize: 11, fill: '#6b7280' }}
+              angle={-30}
+              textAnchor="end"
+              interval={0}
+            />
+            <YAxis yAxisId="count" tick={{ fontSize: 12, fill: '#6b7280' }} allowDecimals={false} />
+            <YAxis yAxisId="cumulative" orientation="right" domain={[0, 100]} unit="%" tick={{ fontSize: 12, fill: '#6b7280' }} />
+            <Tooltip contentStyle={tooltipStyle} />
+            <ReferenceLine yAxisId="cumulative" y={80} stroke="#6b7280" strokeDasharray="4 4" />
+            <Bar yAxisId="count" dataKey="count" name="Alarms" fill="#20419A" radius={[4, 4, 0, 0]} />
+            <Line yAxisId="cumulative" dataKey="cumulativePercent" name="Cumulative %" stroke="#E31837" strokeWidth={2} dot={{ r: 3 }} />
+          </ComposedChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="scrollbar-thin" style={{ maxHeight: '500px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '8px' }}>
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+          <thead>
+            <tr style={{ background: '#f9fafb', borderBottom: '1px solid #e5e7eb' }}>
+              <th style={thStyle}>#</th>
+              <th style={thStyle}>Alarm</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Count</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>%</th>
+              <th style={{ ...thStyle, textAlign: 'right' }}>Cum. %</th>
+              <th style={thStyle}>Equipment Type</th>
+              <th style={thStyle}>Area</th>
+            </tr>
+          </thead>
+          <tbody>
+            {shown.map(group => {
+              const isExpanded = expandedKey === group.key;
+              return (
+                <React.Fragment key={group.key}>
+                  <tr
+                    onClick={() => setExpandedKey(isExpanded ? null : group.key)}
+                    style={{ borderBottom: '1px solid #e5e7eb', cursor: 'pointer', background: isExpanded ? '#f9fafb' : '#ffffff' }}
+                  >
+                    <td style={{ padding: '10px 16px', color: '#6b7280' }}>{group.rank}</td>
+                    <td style={{ padding: '10px 16px', color: '#1f2937', fontWeight: 500 }}>
+                      {group.label}
+                      {group.wordings.length > 1 && (
+                        <span title={group.wordings.join('\n')} style={{ marginLeft: '8px', fontSize: '11px', color: '#6b7280', fontWeight: 400 }}>
+                          +{group.wordings.length - 1} wording{group.wordings.length > 2 ? 's' : ''}
+                        </span>
+                      )}
+                    </td>
+                    <td style={{ padding: '10px 16px', textAlign: 'right', color: '#1f2937', fontWeight: 600 }}>{group.count}</td>
+                    <td style={{ padding: '10px 16px', textAlign: 'right', color: '#6b7280' }}>{group.percent}</td>
+                    <td style={{ padding: '10px 16px', textAlign: 'right', color: group.cumulativePercent <= 80 ? '#E31837' : '#6b7280' }}>
+                      {group.cumulativePercent}
+                    </td>
+                    <td style={{ padding: '10px 16px', color: '#6b7280' }}>{formatBreakdown(group.byEquipmentType)}</td>
+                    <td style={{ padding: '10px 16px', color: '#6b7280' }}>{formatBreakdown(group.byArea)}</td>
+                  </tr>
+                  {isExpanded && (
+                    <tr style={{ borderBottom: '1px solid #e5e7eb', background: '#f9fafb' }}>
+                      <td />
+                      <td colSpan={6} style={{ padding: '0 16px 12px' }}>
+                        <div style={{ display: 'flex', gap: '32px', flexWrap: 'wrap', fontSize: '12px' }}>
+                          {[['Equipment Type', group.byEquipmentType], ['Area', group.byArea]].map(([title, counts]) => (
+                            <div key={title}>
+                              <p style={{ margin: '0 0 4px', color: '#6b7280', fontSize: '10px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>{title}</p>
+                              {counts.map(([name, count]) => (
+                                <p key={name} style={{ margin: '0 0 2px', color: '#1f2937' }}>{name} <strong>{count}</strong></p>
+                              ))}
+                            </div>
+                          ))}
+                          <div style={{ flex: 1, minWidth: '240px' }}>
+                            <p style={{ margin: '0 0 4px', color: '#6b7280', fontSize: '10px', textTransform: 'uppercase', letterSpacing: '0.5px' }}>Tags</p>
+                            <div style={{ display: 'flex', gap: '4px 12px', flexWrap: 'wrap' }}>
+                              {group.items.map(item => (
+                                <span
+                                  key={item.functionalLocation}
+                                  className="tag-link"
+                                  onClick={() => onTagClick(item)}
+                                  title={item.alarmDescription}
+                                  style={{ color: '#1f2937' }}
+                                >
+                                  {item.functionalLocation}
+                                </span>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
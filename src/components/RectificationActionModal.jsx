@@ -0,0 +1,117 @@
+import React, { useState } from 'react';
+import { RECTIFICATION_STATES } from '../lib/constants';
+
+const inputStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  padding: '8px 12px',
+  fontSize: '13px',
+  fontFamily: 'inherit',
+  marginTop: '4px'
+};
+
+const labelStyle = { display: 'block', marginBottom: '16px', fontSize: '13px', color: '#6b7280' };
+
+// Form for the rectification action attached to one alert
+export default function RectificationActionModal({ item, action, error, onSave, onClose }) {
+  const [draft, setDraft] = useState(() => ({
+    functionalLocation: item.functionalLocation,
+    owner: action?.owner || '',
+    targetDate: action?.targetDate || '',
+    state: action?.state || 'open',
+    sapNotification: action?.sapNotification || ''
+  }));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const setField = (key, value) => setDraft({ ...draft, [key]: value });
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onSave(draft);
+    setIsSaving(false);
+    if (saved) onClose();
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0,0,0,0.5)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1100
+      }}
+    >
+      <div
+        className="card"
+        onClick={(e) => e.stopPropagation()}
+        style={{ padding: '24px', width: '90%', maxWidth: '480px' }}
+      >
+        <h3 style={{ margin: '0 0 4px', color: '#1f2937' }}>Rectification Action</h3>
+        <p style={{ margin: '0 0 20px', color: '#6b7280', fontSize: '13px' }}>
+          {item.functionalLocation} • {item.description}
+        </p>
+
+        <label style={labelStyle}>
+          Owner
+          <input value={draft.owner} onChange={(e) => setField('owner', e.target.value)} style={inputStyle} />
+        </label>
+        <div style={{ display: 'flex', gap: '12px' }}>
+          <label style={{ ...labelStyle, flex: 1 }}>
+            Target Date
+            <input
+              type="date"
+              value={draft.targetDate}
+              onChange={(e) => setField('targetDate', e.target.value)}
+              style={inputStyle}
+            />
+          </label>
+          <label style={{ ...labelStyle, flex: 1 }}>
+            State
+            <select value={draft.state} onChange={(e) => setField('state', e.target.value)} style={inputStyle}>
+              {RECTIFICATION_STATES.map(state => (
+                <option key={state.value} value={state.value}>{state.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <label style={labelStyle}>
+          SAP Notification No. (optional)
+          <input
+            value={draft.sapNotification}
+            onChange={(e) => setField('sapNotification', e.target.value)}
+            style={inputStyle}
+          />
+        </label>
+
+        {error && (
+          <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 16px' }}>{error}</p>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end' }}>
+          <button onClick={onClose}>Cancel</button>
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            style={{
+              background: '#00B1A9',
+              color: '#fff',
+              border: 'none',
+              opacity: isSaving ? 0.6 : 1
+            }}
+          >
+            {isSaving ? 'Saving...' : 'Save Action'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
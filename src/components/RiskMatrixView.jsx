@@ -0,0 +1,237 @@
+import React, { useMemo, useState } from 'react';
+import { CRITICALITIES, STATUSES } from '../lib/constants';
+import { buildRiskMatrix } from '../lib/risk';
+
+const STATUS_COLORS = { 'Healthy': '#00B1A9', 'Caution': '#b8860b', 'Warning': '#E31837' };
+
+const thStyle = { textAlign: 'left', padding: '10px 16px', color: '#6b7280', fontWeight: 600, textTransform: 'uppercase', fontSize: '10px', letterSpacing: '0.5px' };
+
+const weightInputStyle = { width: '56px', padding: '4px 6px', border: '1px solid #e5e7eb', borderRadius: '6px', fontSize: '12px', textAlign: 'center' };
+
+// Heat from pale to PETRONAS red by the cell's share of the highest weight
+const heatColor = (weight, maxWeight) => {
+  const ratio = maxWeight > 0 ? weight / maxWeight : 0;
+  return { background: `rgba(227, 24, 55, ${(0.06 + 0.74 * ratio).toFixed(2)})`, color: ratio > 0.5 ? '#ffffff' : '#1f2937' };
+};
+
+// Criticality × status heatmap with a weighted risk score per area; clicking a
+// cell lists its equipment. Admins can change the weights.
+export default function RiskMatrixView({ items, weights, canConfigure, settingsError, onSaveWeights, onTagClick }) {
+  const [selectedCell, setSelectedCell] = useState(null);
+  const [draftWeights, setDraftWeights] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const matrix = useMemo(() => buildRiskMatrix(items, weights), [items, weights]);
+
+  const selectedItems = useMemo(() => {
+    if (!selectedCell) return [];
+    return [...matrix.cells[selectedCell.crit][selectedCell.status]].sort((a, b) =>
+      a.area.localeCompare(b.area) || a.functionalLocation.localeCompare(b.functionalLocation));
+  }, [matrix, selectedCell]);
+
+  const draftIsValid = draftWeights && CRITICALITIES.every(crit => STATUSES.every(status => {
+    const value = Number(draftWeights[crit][status]);
+    return draftWeights[crit][status] !== '' && Number.isFinite(value) && value >= 0;
+  }));
+
+  const setDraftWeight = (crit, status, value) => setDraftWeights({
+    ...draftWeights,
+    [crit]: { ...draftWeights[crit], [status]: value }
+  });
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const saved = await onSaveWeights(Object.fromEntries(CRITICALITIES.map(crit => [
+      crit,
+      Object.fromEntries(STATUSES.map(status => [status, Number(draftWeights[crit][status])]))
+    ])));
+    setIsSaving(false);
+    if (saved) setDraftWeights(null);
+  };
+
+  return (
+    <div>
+      <div style={{ display: 'flex', gap: '24px', flexWrap: 'wrap', alignItems: 'flex-start', marginBottom: '24px' }}>
+        <div style={{ flex: '1 1 420px' }}>
+          <table style={{ width: '100%', borderCollapse: 'separate', borderSpacing: '6px', fontSize: '13px' }}>
+            <thead>
+              <tr>
+                <th style={thStyle} />
+                {STATUSES.map(status => (
+                  <th key={status} style={{ ...thStyle, textAlign: 'center', color: STATUS_COLORS[status] }}>{status}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {CRITICALITIES.map(crit => (
+                <tr key={crit}>
+                  <th style={{ ...thStyle, fontSize: '13px', color: '#1f2937' }}>{crit}</th>
+                  {STATUSES.map(status => {
+                    const count = matrix.cells[crit][status].length;
+                    const weight = weights[crit][status];
+                    const isSelected = selectedCell?.crit === crit && selectedCell?.status === status;
+                    return (
+                      <td
+                        key={status}
+                        onClick={() => !draftWeights && setSelectedCell(isSelected ? null : { crit, status })}
+                        title={`${crit} • ${status}: ${count} tags × weight ${weight}`}
+                        style={{
+                          ...heatColor(weight, matrix.maxWeight),
+                          padding: '16px 8px',
+                          borderRadius: '8px',
+                          textAlign: 'center',
+                          cursor: draftWeights ? 'default' : 'pointer',
+                          outline: isSelected ? '3px solid #20419A' : 'none'
+                        }}
+                      >
+                        <div style={{ fontSize: '24px', fontWeight: 700, fontFamily: '"Museo Sans", "IBM Plex Sans", sans-serif' }}>
+                          {count}
+                        </div>
+                        {draftWeights ? (
+                          <input
+                            type="number"
+                            min="0"
+                            value={draftWeights[crit][status]}
+                            onChange={(e) => setDraftWeight(crit, status, e.target.value)}
+                            onClick={(e) => e.stopPropagation()}
+                            style={weightInputStyle}
+                          />
+                        ) : (
+                          <div style={{ fontSize: '11px', opacity: 0.8 }}>weight {weight}</div>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center', justifyContent: 'flex-end', marginTop: '8px', fontSize: '12px', color: '#6b7280' }}>
+            {matrix.unclassifiedCount > 0 && (
+              <span style={{ marginRight: 'auto' }}>{matrix.unclassifiedCount} tags without a C1/C2/C3 criticality are not shown</span>
+            )}
+            {canConfigure && (draftWeights ? (
+              <>
+                <button onClick={() => setDraftWeights(null)} style={{ padding: '4px 10px', fontSize: '12px' }}>Cancel</button>
+                <button
+                  onClick={handleSave}
+                  disabled={isSaving || !draftIsValid}
+                  style={{ padding: '4px 10px', fontSize: '12px', background: '#00B1A9', color: '#fff', border: 'none', opacity: isSaving || !draftIsValid ? 0.6 : 1 }}
+                >
+                  {isSaving ? 'Saving...' : 'Save Weights'}
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={() => {
+                  setSelectedCell(null);
+                  setDraftWeights(weights);
+                }}
+                style={{ padding: '4px 10px', fontSize: '12px' }}
+              >
+                Edit Weights
+              </button>
+            ))}
+          </div>
+          {settingsError && (
+            <p style={{ color: '#E31837', fontSize: '13px', margin: '8px 0 0' }}>{settingsError}</p>
+          )}
+        </div>
+
+        <div style={{ flex: '1 1 320px' }}>
+          <h4 style={{ margin: '0 0 12px', fontSize: '14px', fontWeight: 600, color: '#1f2937' }}>
+            Weighted Risk Score
+          </h4>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+            <thead>
+              <tr style={{ background: '#f9fafb', borderBottom: '1px solid #e5e7eb' }}>
+                <th style={thStyle}>Area</th>
+                <th style={{ ...thStyle, textAlign: 'right' }}>Tags</th>
+                <th style={{ ...thStyle, textAlign: 'right' }}>Points</th>
+                <th style={{ ...thStyle, width: '40%' }}>Risk Index</th>
+              </tr>
+            </thead>
+            <tbody>
+              {[...matrix.areaScores, matrix.plant].map(entry => {
+                const isPlant = entry === matrix.plant;
+                return (
+                  <tr
+                    key={entry.area}
+                    style={{ borderTop: isPlant ? '2px solid #e5e7eb' : '1px solid #f3f4f6', fontWeight: isPlant ? 600 : 400 }}
+                  >
+                    <td style={{ padding: '8px 16px', color: '#1f2937' }}>{entry.area}</td>
+                    <td style={{ padding: '8px 16px', textAlign: 'right', color: '#6b7280' }}>{entry.total}</td>
+                    <td style={{ padding: '8px 16px', textAlign: 'right', color: '#1f2937' }}>{entry.points}</td>
+                    <td style={{ padding: '8px 16px' }}>
+                      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                        <div style={{ flex: 1, height: '8px', background: '#f3f4f6', borderRadius: '4px', overflow: 'hidden' }}>
+                          <div style={{ width: `${entry.index}%`, height: '100%', background: '#E31837' }} />
+                        </div>
+                        <span style={{ minWidth: '40px', textAlign: 'right', color: '#1f2937' }}>{entry.index}</span>
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <p style={{ fontSize: '11px', color: '#6b7280', margin: '8px 0 0' }}>
+            Points add up the weight of every tag. The index is points as a share of every tag sitting in the highest-weighted cell (0–100).
+          </p>
+        </div>
+      </div>
+
+      {selectedCell && (
+        <div>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '12px' }}>
+            <h4 style={{ margin: 0, fontSize: '14px', fontWeight: 600, color: '#1f2937' }}>
+              {selectedCell.crit} • {selectedCell.status} ({selectedItems.length})
+            </h4>
+            <button onClick={() => setSelectedCell(null)} style={{ padding: '4px 10px', fontSize: '12px' }}>Close</button>
+          </div>
+          {selectedItems.length === 0 ? (
+            <p style={{ fontSize: '13px', color: '#6b7280' }}>No equipment in this cell.</p>
+          ) : (
+            <div className="scrollbar-thin" style={{ maxHeight: '420px', overflowY: 'auto', border: '1px solid #e5e7eb', borderRadius: '8px' }}>
+              <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '13px' }}>
+                <thead>
+                  <tr style={{ background: '#f9fafb', borderBottom: '1px solid #e5e7eb' }}>
+                    <th style={thStyle}>Area</th>
+                    <th style={thStyle}>Equipment Type</th>
+                    <th style={thStyle}>Tag No.</th>
+                    <th style={thStyle}>Description</th>
+                    <th style={thStyle}>Alarm</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedItems.map((item, i) => (
+                    <tr
+                      key={item.functionalLocation}
+                      style={{
+                        borderBottom: i < selectedItems.length - 1 ? '1px solid #e5e7eb' : 'none',
+                        background: i % 2 === 0 ? '#ffffff' : '#f9fafb'
+                      }}
+                    >
+                      <td style={{ padding: '10px 16px', color: '#1f2937' }}>{item.area}</td>
+                      <td style={{ padding: '10px 16px', color: '#6b7280' }}>{item.equipmentType}</td>
+                      <td
+                        className="tag-link"
+                        onClick={() => onTagClick(item)}
+                        style={{ padding: '10px 16px', color: '#1f2937', fontWeight: 500 }}
+                      >
+                        {item.functionalLocation}
+                      </td>
+                      <td style={{ padding: '10px 16px', color: '#6b7280' }}>{item.description}</td>
+                      <td style={{ padding: '10px 16px', color: '#E31837' }}>{item.alarmDescription || '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
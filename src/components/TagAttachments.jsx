@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { useTagAttachments } from '../hooks/useTagAttachments';
+import { ATTACHMENT_CATEGORIES } from '../lib/constants';
+import { ATTACHMENT_TYPES, isImageAttachment } from '../lib/storage';
+import { formatDateTime } from '../lib/dates';
+
+const categoryLabel = (value) => ATTACHMENT_CATEGORIES.find(c => c.value === value)?.label || value;
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// Photos as thumbnails, documents as a list; engineers can add and remove files
+export default function TagAttachments({ functionalLocation, canManage }) {
+  const {
+    attachments,
+    isLoading,
+    isUploading,
+    error,
+    isLocalStorage,
+    uploadAttachments,
+    deleteAttachment
+  } = useTagAttachments(functionalLocation);
+  const [category, setCategory] = useState('photo');
+
+  const images = attachments.filter(isImageAttachment);
+  const files = attachments.filter(attachment => !isImageAttachment(attachment));
+
+  const handleFiles = async (e) => {
+    const selected = Array.from(e.target.files);
+    e.target.value = '';
+    if (selected.length > 0) await uploadAttachments(selected, category);
+  };
+
+  const handleDelete = (attachment) => {
+    if (window.confirm(`Delete ${attachment.fileName}?`)) deleteAttachment(attachment);
+  };
+
+  return (
+    <div>
+      {isLocalStorage && (
+        <p style={{ fontSize: '12px', color: '#b8860b', margin: '0 0 12px' }}>
+          Using the local storage stand-in: attachments are kept until the page is reloaded.
+        </p>
+      )}
+
+      {isLoading && attachments.length === 0 && (
+        <div className="pulse" style={{ fontSize: '13px', color: '#00B1A9' }}>Loading attachments...</div>
+      )}
+
+      {!isLoading && attachments.length === 0 && (
+        <p style={{ fontSize: '13px', color: '#6b7280' }}>No photos or documents attached.</p>
+      )}
+
+      {images.length > 0 && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(104px, 1fr))', gap: '8px', marginBottom: '12px' }}>
+          {images.map(image => (
+            <div key={image.id} style={{ position: 'relative' }}>
+              <a href={image.url} target="_blank" rel="noopener noreferrer" title={`${image.fileName} • ${categoryLabel(image.category)}`}>
+                <img
+                  src={image.url}
+                  alt={image.fileName}
+                  style={{ width: '100%', height: '104px', objectFit: 'cover', borderRadius: '8px', border: '1px solid #e5e7eb', display: 'block' }}
+                />
+              </a>
+              {canManage && (
+                <button
+                  onClick={() => handleDelete(image)}
+                  title="Delete"
+                  style={{ position: 'absolute', top: '4px', right: '4px', padding: '0 6px', fontSize: '12px', lineHeight: '18px' }}
+                >
+                  ×
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {files.map(file => (
+        <div
+          key={file.id}
+          style={{ display: 'flex', alignItems: 'center', gap: '8px', padding: '6px 0', fontSize: '13px', borderBottom: '1px solid #f3f4f6' }}
+        >
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="#E31837" strokeWidth="2" style={{ flexShrink: 0 }}>
+            <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+            <polyline points="14,2 14,8 20,8"/>
+          </svg>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <a href={file.url} target="_blank" rel="noopener noreferrer" style={{ color: '#1f2937', fontWeight: 500, wordBreak: 'break-all' }}>
+              {file.fileName}
+            </a>
+            <p style={{ margin: '2px 0 0', fontSize: '11px', color: '#6b7280' }}>
+              {categoryLabel(file.category)} • {formatSize(file.sizeBytes)} • {formatDateTime(file.createdAt)}
+              {file.uploadedBy && ` • ${file.uploadedBy}`}
+            </p>
+          </div>
+          {canManage && (
+            <button onClick={() => handleDelete(file)} style={{ padding: '4px 10px', fontSize: '12px', color: '#E31837' }}>
+              Delete
+            </button>
+          )}
+        </div>
+      ))}
+
+      {error && (
+        <p style={{ color: '#E31837', fontSize: '13px', margin: '8px 0' }}>{error}</p>
+      )}
+
+      {canManage && (
+        <div style={{ display: 'flex', gap: '8px', alignItems: 'center', marginTop: '12px', flexWrap: 'wrap' }}>
+          <select value={category} onChange={(e) => setCategory(e.target.value)} style={{ padding: '6px 10px', fontSize: '13px' }}>
+            {ATTACHMENT_CATEGORIES.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <label
+            style={{
+              padding: '6px 12px',
+              fontSize: '13px',
+              border: '1px solid #e5e7eb',
+              borderRadius: '8px',
+              cursor: isUploading ? 'wait' : 'pointer',
+              opacity: isUploading ? 0.6 : 1
+            }}
+          >
+            {isUploading ? 'Uploading...' : 'Attach Files'}
+            <input
+              type="file"
+              multiple
+              accept={ATTACHMENT_TYPES.join(',')}
+              onChange={handleFiles}
+              disabled={isUploading}
+              style={{ display: 'none' }}
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
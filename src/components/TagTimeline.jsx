@@ -0,0 +1,105 @@
+import React from 'react';
+import { useTagHistory } from '../hooks/useTagHistory';
+import { formatDateTime } from '../lib/dates';
+
+const STATUS_BADGE = {
+  'Healthy': { bg: 'rgba(0, 177, 169, 0.15)', text: '#00B1A9' },
+  'Caution': { bg: 'rgba(253, 185, 36, 0.15)', text: '#b8860b' },
+  'Warning': { bg: 'rgba(227, 24, 55, 0.15)', text: '#E31837' }
+};
+
+const CHANGE_LABELS = {
+  added: 'Added',
+  changed: 'Changed',
+  retired: 'Removed from upload',
+  restored: 'Back in upload',
+  edited: 'Edited in dashboard'
+};
+
+const StatusBadge = ({ status }) => {
+  if (!status) return <span style={{ fontSize: '12px', color: '#9ca3af' }}>none</span>;
+  const colors = STATUS_BADGE[status] || { bg: '#f3f4f6', text: '#6b7280' };
+  return (
+    <span style={{
+      padding: '2px 8px',
+      borderRadius: '4px',
+      fontSize: '11px',
+      fontWeight: 600,
+      textTransform: 'uppercase',
+      background: colors.bg,
+      color: colors.text
+    }}>
+      {status}
+    </span>
+  );
+};
+
+const FieldChange = ({ label, from, to }) => {
+  if (from === to) return null;
+  return (
+    <p style={{ margin: '4px 0 0', fontSize: '12px', color: '#6b7280' }}>
+      <span style={{ fontWeight: 500, color: '#1f2937' }}>{label}:</span>{' '}
+      {from ? <span style={{ textDecoration: 'line-through' }}>{from}</span> : <em>empty</em>}
+      {' → '}
+      {to || <em>empty</em>}
+    </p>
+  );
+};
+
+// Status transition timeline for one functional location, newest first
+export default function TagTimeline({ functionalLocation }) {
+  const { changes, isLoading, error, isSupabaseConfigured } = useTagHistory(functionalLocation);
+
+  if (!isSupabaseConfigured) {
+    return <p style={{ fontSize: '13px', color: '#6b7280' }}>History is only available when Supabase is configured.</p>;
+  }
+
+  if (isLoading) {
+    return <div className="pulse" style={{ fontSize: '13px', color: '#00B1A9' }}>Loading history...</div>;
+  }
+
+  if (error) {
+    return <p style={{ fontSize: '13px', color: '#E31837' }}>{error}</p>;
+  }
+
+  if (changes.length === 0) {
+    return <p style={{ fontSize: '13px', color: '#6b7280' }}>No changes recorded for this tag yet.</p>;
+  }
+
+  return (
+    <div style={{ borderLeft: '2px solid #e5e7eb', marginLeft: '6px', paddingLeft: '16px' }}>
+      {changes.map(change => (
+        <div key={change.id} style={{ position: 'relative', paddingBottom: '16px' }}>
+          <span style={{
+            position: 'absolute',
+            left: '-23px',
+            top: '4px',
+            width: '10px',
+            height: '10px',
+            borderRadius: '50%',
+            background: STATUS_BADGE[change.newStatus]?.text || '#9ca3af',
+            border: '2px solid #ffffff'
+          }} />
+          <p style={{ margin: 0, fontSize: '12px', color: '#6b7280' }}>
+            {formatDateTime(change.changedAt)}
+            {change.fileName && ` • ${change.fileName}`}
+            {change.changedBy && ` • ${change.changedBy}`}
+          </p>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '4px', flexWrap: 'wrap' }}>
+            <span style={{ fontSize: '13px', fontWeight: 500, color: '#1f2937' }}>{CHANGE_LABELS[change.changeType]}</span>
+            <StatusBadge status={change.oldStatus} />
+            <span style={{ color: '#6b7280' }}>→</span>
+            <StatusBadge status={change.newStatus} />
+          </div>
+          {(change.changeType === 'changed' || change.changeType === 'edited') && (
+            <>
+              <FieldChange label="Criticality" from={change.oldCriticality} to={change.newCriticality} />
+              <FieldChange label="Alarm" from={change.oldAlarmDescription} to={change.newAlarmDescription} />
+              <FieldChange label="Rectification" from={change.oldRectification} to={change.newRectification} />
+            </>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import React, { useMemo, useState } from 'react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { TREND_METRICS, TREND_SPLITS, buildTrendSeries } from '../lib/trends';
+
+const SERIES_COLORS = ['#00B1A9', '#20419A', '#763F98', '#BFD730', '#FDB924', '#E31837', '#6b7280', '#0ea5e9', '#f97316', '#14532d'];
+
+const CRITICALITY_COLORS = { 'C1': '#E31837', 'C2': '#FDB924', 'C3': '#00B1A9' };
+
+const tooltipStyle = {
+  background: '#ffffff',
+  border: '1px solid #e5e7eb',
+  borderRadius: '8px',
+  fontSize: '13px',
+  boxShadow: '0 4px 12px rgba(0,0,0,0.1)'
+};
+
+// Health trend charts built from stored upload snapshots
+export default function TrendsView({ trendCounts, isLoading, error, filters }) {
+  const [metric, setMetric] = useState('health');
+  const [splitBy, setSplitBy] = useState('none');
+  const [granularity, setGranularity] = useState('upload');
+
+  const { series, points, hiddenSeriesCount } = useMemo(() => {
+    if (!trendCounts) return { series: [], points: [], hiddenSeriesCount: 0 };
+    return buildTrendSeries(trendCounts, { ...filters, splitBy, metric, granularity });
+  }, [trendCounts, filters, splitBy, metric, granularity]);
+
+  const colorFor = (name, index) =>
+    (splitBy === 'criticality' && CRITICALITY_COLORS[name]) || SERIES_COLORS[index % SERIES_COLORS.length];
+
+  if (isLoading || !trendCounts) {
+    return (
+      <div className="pulse" style={{ textAlign: 'center', padding: '48px', color: '#00B1A9' }}>
+        Loading trend data...
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {error && (
+        <p style={{ color: '#E31837', fontSize: '13px', margin: '0 0 16px' }}>{error}</p>
+      )}
+
+      <div style={{ display: 'flex', gap: '12px', flexWrap: 'wrap', marginBottom: '24px' }}>
+        <select value={metric} onChange={(e) => setMetric(e.target.value)}>
+          {TREND_METRICS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select value={splitBy} onChange={(e) => setSplitBy(e.target.value)}>
+          {TREND_SPLITS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select value={granularity} onChange={(e) => setGranularity(e.target.value)}>
+          <option value="upload">Every upload</option>
+          <option value="month">Monthly (last upload of month)</option>
+        </select>
+      </div>
+
+      {points.length === 0 || series.length === 0 ? (
+        <div style={{ textAlign: 'center', padding: '48px', color: '#6b7280' }}>
+          <p>No upload history matching current filters</p>
+        </div>
+      ) : (
+        <>
+          <div style={{ width: '100%', height: '360px' }}>
+            <ResponsiveContainer width="100%" height="100%">
+              <LineChart data={points} margin={{ top: 8, right: 24, bottom: 8, left: 0 }}>
+                <CartesianGrid stroke="#e5e7eb" strokeDasharray="3 3" />
+                <XAxis dataKey="label" tick={{ fontSize: 12, fill: '#6b7280' }} />
+                <YAxis
+                  tick={{ fontSize: 12, fill: '#6b7280' }}
+                  domain={metric === 'health' ? [0, 100] : [0, 'auto']}
+                  unit={metric === 'health' ? '%' : ''}
+                  allowDecimals={metric === 'health'}
+                />
+                <Tooltip contentStyle={tooltipStyle} />
+                <Legend wrapperStyle={{ fontSize: '13px' }} />
+                {series.map((name, index) => (
+                  <Line
+                    key={name}
+                    type="monotone"
+                    dataKey={name}
+                    stroke={colorFor(name, index)}
+                    strokeWidth={2}
+                    dot={{ r: 3 }}
+                    connectNulls
+                  />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+          {hiddenSeriesCount > 0 && (
+            <p style={{ fontSize: '12px', color: '#6b7280', margin: '8px 0 0', textAlign: 'right' }}>
+              Showing the {series.length} largest groups; {hiddenSeriesCount} more hidden - narrow the filters to see them
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState, useCallback, useEffect } from 'react';
+import { supabase } from '../lib/supabase';
+import { DEFAULT_ALARM_RULES, fromDbRule, toDbRule } from '../lib/alarmRules';
+
+// Alarm classification rules; the built-in rules apply until Supabase has loaded
+export function useAlarmRules() {
+  const [rules, setRules] = useState(DEFAULT_ALARM_RULES);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  const fetchRules = useCallback(async () => {
+    if (!isSupabaseConfigured) {
+      setIsLoading(false);
+      return DEFAULT_ALARM_RULES;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('alarm_rules')
+        .select('*')
+        .order('id', { ascending: true });
+
+      if (fetchError) throw fetchError;
+
+      const loaded = data.map(fromDbRule);
+      setRules(loaded);
+      setIsLoading(false);
+      return loaded;
+    } catch (err) {
+      console.error('Error fetching alarm rules:', err);
+      setError(`Failed to load alarm rules: ${err.message}`);
+      setIsLoading(false);
+      return [];
+    }
+  }, [isSupabaseConfigured]);
+
+  // Create or update a rule (rules without an id are inserted)
+  const saveRule = useCallback(async (rule) => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return null;
+    }
+
+    setError(null);
+
+    try {
+      const record = toDbRule(rule);
+      const query = rule.id
+        ? supabase.from('alarm_rules').update(record).eq('id', rule.id)
+        : supabase.from('alarm_rules').insert(record);
+
+      const { data, error: saveError } = await query.select('*').single();
+
+      if (saveError) throw saveError;
+
+      await fetchRules();
+      return fromDbRule(data);
+    } catch (err) {
+      console.error('Error saving alarm rule:', err);
+      setError(`Failed to save alarm rule: ${err.message}`);
+      return null;
+    }
+  }, [isSupabaseConfigured, fetchRules]);
+
+  // Delete a rule
+  const deleteRule = useCallback(async (id) => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return false;
+    }
+
+    setError(null);
+
+    try {
+      const { error: deleteError } = await supabase
+        .from('alarm_rules')
+        .delete()
+        .eq('id', id);
+
+      if (deleteError) throw deleteError;
+
+      await fetchRules();
+      return true;
+    } catch (err) {
+      console.error('Error deleting alarm rule:', err);
+      setError(`Failed to delete alarm rule: ${err.message}`);
+      return false;
+    }
+  }, [isSupabaseConfigured, fetchRules]);
+
+  // Clear error message
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Load rules on initial mount
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  return {
+    rules,
+    isLoading,
+    error,
+    isSupabaseConfigured,
+    fetchRules,
+    saveRule,
+    deleteRule,
+    clearError
+  };
+}
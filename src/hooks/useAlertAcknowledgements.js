@@ -0,0 +1,114 @@
+import { useState, useCallback, useEffect } from 'react';
+import { supabase, fetchAllPages } from '../lib/supabase';
+import { fromDbAcknowledgement } from '../lib/acknowledgements';
+
+// Acknowledged and shelved alerts keyed by functional location
+export function useAlertAcknowledgements() {
+  const [acknowledgements, setAcknowledgements] = useState({});
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  const fetchAcknowledgements = useCallback(async () => {
+    if (!isSupabaseConfigured) return {};
+
+    try {
+      const rows = await fetchAllPages((from, to) => supabase
+        .from('alert_acknowledgements')
+        .select('*')
+        .order('functional_location', { ascending: true })
+        .range(from, to));
+
+      const byLocation = Object.fromEntries(rows.map(row => [row.functional_location, fromDbAcknowledgement(row)]));
+      setAcknowledgements(byLocation);
+      return byLocation;
+    } catch (err) {
+      console.error('Error fetching acknowledgements:', err);
+      setError(`Failed to load acknowledged alerts: ${err.message}`);
+      return {};
+    }
+  }, [isSupabaseConfigured]);
+
+  // kind: 'acknowledged' or 'shelved'; shelvedUntil (YYYY-MM-DD) and reason are required to shelve
+  const acknowledgeAlert = useCallback(async (item, { kind, reason = '', shelvedUntil = null }) => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return null;
+    }
+
+    setError(null);
+
+    try {
+      const { data, error: saveError } = await supabase
+        .from('alert_acknowledgements')
+        .upsert({
+          functional_location: item.functionalLocation,
+          kind,
+          reason: reason.trim() || null,
+          shelved_until: kind === 'shelved' ? shelvedUntil : null,
+          acknowledged_status: item.status
+        }, { onConflict: 'functional_location' })
+        .select('*')
+        .single();
+
+      if (saveError) throw saveError;
+
+      const saved = fromDbAcknowledgement(data);
+      setAcknowledgements(prev => ({ ...prev, [saved.functionalLocation]: saved }));
+      return saved;
+    } catch (err) {
+      console.error('Error acknowledging alert:', err);
+      setError(`Failed to ${kind === 'shelved' ? 'shelve' : 'acknowledge'} ${item.functionalLocation}: ${err.message}`);
+      return null;
+    }
+  }, [isSupabaseConfigured]);
+
+  // Put an acknowledged or shelved alert back into the counts
+  const releaseAlert = useCallback(async (item) => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return false;
+    }
+
+    setError(null);
+
+    try {
+      const { error: deleteError } = await supabase
+        .from('alert_acknowledgements')
+        .delete()
+        .eq('functional_location', item.functionalLocation);
+
+      if (deleteError) throw deleteError;
+
+      setAcknowledgements(prev => {
+        const next = { ...prev };
+        delete next[item.functionalLocation];
+        return next;
+      });
+      return true;
+    } catch (err) {
+      console.error('Error releasing alert:', err);
+      setError(`Failed to restore ${item.functionalLocation} to the alert counts: ${err.message}`);
+      return false;
+    }
+  }, [isSupabaseConfigured]);
+
+  // Clear error message
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  useEffect(() => {
+    fetchAcknowledgements();
+  }, [fetchAcknowledgements]);
+
+  return {
+    acknowledgements,
+    error,
+    isSupabaseConfigured,
+    fetchAcknowledgements,
+    acknowledgeAlert,
+    releaseAlert,
+    clearError
+  };
+}
@@ -0,0 +1,72 @@
+import { useState, useCallback } from 'react';
+import { supabase, fetchAllPages } from '../lib/supabase';
+
+// Start of a YYYY-MM-DD day in local time, as an ISO timestamp
+const startOfDay = (date, offsetDays = 0) => {
+  const day = new Date(`${date}T00:00:00`);
+  day.setDate(day.getDate() + offsetDays);
+  return day.toISOString();
+};
+
+// Loads audit log entries, newest first
+export function useAuditLog() {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  // action: an AUDIT_ACTIONS value or 'All'; from / to: inclusive YYYY-MM-DD dates or ''
+  const fetchEntries = useCallback(async ({ action = 'All', from = '', to = '' } = {}) => {
+    if (!isSupabaseConfigured) return [];
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const rows = await fetchAllPages((rangeFrom, rangeTo) => {
+        let query = supabase
+          .from('audit_log')
+          .select('id, created_at, action, outcome, user_name, file_name, area_counts, error_message, details, snapshot_id')
+          .order('created_at', { ascending: false })
+          .order('id', { ascending: false });
+
+        if (action !== 'All') query = query.eq('action', action);
+        if (from) query = query.gte('created_at', startOfDay(from));
+        if (to) query = query.lt('created_at', startOfDay(to, 1));
+
+        return query.range(rangeFrom, rangeTo);
+      });
+
+      const transformed = rows.map(item => ({
+        id: item.id,
+        createdAt: new Date(item.created_at),
+        action: item.action,
+        outcome: item.outcome,
+        userName: item.user_name || '',
+        fileName: item.file_name || '',
+        areaCounts: item.area_counts || {},
+        errorMessage: item.error_message || '',
+        details: item.details || {},
+        snapshotId: item.snapshot_id
+      }));
+
+      setEntries(transformed);
+      setIsLoading(false);
+      return transformed;
+    } catch (err) {
+      console.error('Error fetching audit log:', err);
+      setError(`Failed to load activity: ${err.message}`);
+      setIsLoading(false);
+      return [];
+    }
+  }, [isSupabaseConfigured]);
+
+  return {
+    entries,
+    isLoading,
+    error,
+    isSupabaseConfigured,
+    fetchEntries
+  };
+}
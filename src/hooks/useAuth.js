@@ -0,0 +1,116 @@
+import { createContext, useContext, useState, useCallback, useEffect, useMemo } from 'react';
+import { supabase } from '../lib/supabase';
+
+// Signed-in user shared with the dashboard: { id, email, name, role, isLocal }
+export const AuthContext = createContext(null);
+
+export function useCurrentUser() {
+  return useContext(AuthContext);
+}
+
+// Without Supabase there is nothing to protect, so local mode keeps full access
+const LOCAL_USER = { id: null, email: null, name: 'Local', role: 'admin', isLocal: true };
+
+// Supabase Auth session and the signed-in user's dashboard role
+export function useAuth() {
+  const [session, setSession] = useState(undefined);
+  const [role, setRole] = useState(null);
+  const [isSigningIn, setIsSigningIn] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+  const userId = session?.user.id;
+
+  // Track the current session
+  useEffect(() => {
+    if (!isSupabaseConfigured) return;
+
+    supabase.auth.getSession().then(({ data }) => setSession(data.session));
+
+    const { data: { subscription } } = supabase.auth.onAuthStateChange((_event, newSession) => {
+      setSession(newSession);
+    });
+
+    return () => subscription.unsubscribe();
+  }, [isSupabaseConfigured]);
+
+  // Load the role of the signed-in user (users without a role row are viewers)
+  useEffect(() => {
+    if (!userId) {
+      setRole(null);
+      return;
+    }
+
+    let cancelled = false;
+    supabase
+      .from('user_roles')
+      .select('role')
+      .eq('user_id', userId)
+      .maybeSingle()
+      .then(({ data, error: fetchError }) => {
+        if (cancelled) return;
+        if (fetchError) {
+          console.error('Error fetching user role:', fetchError);
+          setError(`Failed to load your role: ${fetchError.message}`);
+        }
+        setRole(data?.role || 'viewer');
+      });
+
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  const signIn = useCallback(async (email, password) => {
+    setIsSigningIn(true);
+    setError(null);
+
+    try {
+      const { error: signInError } = await supabase.auth.signInWithPassword({ email, password });
+      if (signInError) throw signInError;
+
+      setIsSigningIn(false);
+      return true;
+    } catch (err) {
+      console.error('Error signing in:', err);
+      setError(`Failed to sign in: ${err.message}`);
+      setIsSigningIn(false);
+      return false;
+    }
+  }, []);
+
+  const signOut = useCallback(async () => {
+    const { error: signOutError } = await supabase.auth.signOut();
+    if (signOutError) {
+      console.error('Error signing out:', signOutError);
+      setError(`Failed to sign out: ${signOutError.message}`);
+    }
+  }, []);
+
+  // Clear error message
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  const user = useMemo(() => {
+    if (!isSupabaseConfigured) return LOCAL_USER;
+    if (!session || !role) return null;
+    return {
+      id: session.user.id,
+      email: session.user.email,
+      name: session.user.user_metadata?.full_name || session.user.email,
+      role,
+      isLocal: false
+    };
+  }, [isSupabaseConfigured, session, role]);
+
+  return {
+    user,
+    // Waiting for the stored session, or for the role of a restored session
+    isLoading: isSupabaseConfigured && (session === undefined || (session !== null && role === null)),
+    isSigningIn,
+    error,
+    isSupabaseConfigured,
+    signIn,
+    signOut,
+    clearError
+  };
+}
@@ -0,0 +1,67 @@
+import { useState, useCallback, useEffect } from 'react';
+import { supabase, fetchAllPages } from '../lib/supabase';
+
+// Comment count and latest comment per functional location
+export function useCommentSummary() {
+  const [summary, setSummary] = useState({});
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  const fetchSummary = useCallback(async () => {
+    if (!isSupabaseConfigured) return {};
+
+    try {
+      const rows = await fetchAllPages((from, to) => supabase
+        .from('tag_comment_summary')
+        .select('*')
+        .order('functional_location', { ascending: true })
+        .range(from, to));
+
+      const byLocation = Object.fromEntries(rows.map(row => [row.functional_location, {
+        count: row.comment_count,
+        latestBody: row.latest_body,
+        latestAuthorName: row.latest_author_name || '',
+        latestCreatedAt: new Date(row.latest_created_at)
+      }]));
+
+      setSummary(byLocation);
+      return byLocation;
+    } catch (err) {
+      console.error('Error fetching comment summary:', err);
+      setError(`Failed to load comment counts: ${err.message}`);
+      return {};
+    }
+  }, [isSupabaseConfigured]);
+
+  // Count a comment that was just posted without reloading every thread
+  const addToSummary = useCallback((comment) => {
+    setSummary(prev => ({
+      ...prev,
+      [comment.functionalLocation]: {
+        count: (prev[comment.functionalLocation]?.count || 0) + 1,
+        latestBody: comment.body,
+        latestAuthorName: comment.authorName,
+        latestCreatedAt: comment.createdAt
+      }
+    }));
+  }, []);
+
+  // Clear error message
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  return {
+    summary,
+    error,
+    isSupabaseConfigured,
+    fetchSummary,
+    addToSummary,
+    clearError
+  };
+}
@@ -0,0 +1,83 @@
+import { useState, useCallback, useEffect } from 'react';
+import { supabase } from '../lib/supabase';
+
+// One shared dashboard setting; defaultValue is used until an admin saves one
+export function useDashboardSetting(key, defaultValue) {
+  const [storedValue, setStoredValue] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  const fetchSetting = useCallback(async () => {
+    if (!isSupabaseConfigured) {
+      setIsLoading(false);
+      return null;
+    }
+
+    setIsLoading(true);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('dashboard_settings')
+        .select('value')
+        .eq('key', key)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+
+      setStoredValue(data ? data.value : null);
+      setIsLoading(false);
+      return data ? data.value : null;
+    } catch (err) {
+      console.error(`Error fetching setting ${key}:`, err);
+      setError(`Failed to load settings: ${err.message}`);
+      setIsLoading(false);
+      return null;
+    }
+  }, [isSupabaseConfigured, key]);
+
+  const saveValue = useCallback(async (value) => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return false;
+    }
+
+    setError(null);
+
+    try {
+      const { error: saveError } = await supabase
+        .from('dashboard_settings')
+        .upsert({ key, value }, { onConflict: 'key' });
+
+      if (saveError) throw saveError;
+
+      setStoredValue(value);
+      return true;
+    } catch (err) {
+      console.error(`Error saving setting ${key}:`, err);
+      setError(`Failed to save settings: ${err.message}`);
+      return false;
+    }
+  }, [isSupabaseConfigured, key]);
+
+  // Clear error message
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Load the setting on initial mount
+  useEffect(() => {
+    fetchSetting();
+  }, [fetchSetting]);
+
+  return {
+    value: storedValue ?? defaultValue,
+    isLoading,
+    error,
+    isSupabaseConfigured,
+    fetchSetting,
+    saveValue,
+    clearError
+  };
+}
@@ -1,5 +1,7 @@
 import { useState, useCallback, useEffect } from 'react';
-import { supabase } from '../lib/supabase';
+import { supabase, fetchAllPages } from '../lib/supabase';
+import { fromDbRecord, toDbRecord, countByArea } from '../lib/equipment';
+import { EDITABLE_FIELDS, STATUSES } from '../lib/constants';
 
 export function useEquipmentData() {
   const [data, setData] = useState(null);
@@ -8,6 +10,19 @@ export function useEquipmentData() {
   const [error, setError] = useState(null);
   const [lastRefreshedAt, setLastRefreshedAt] = useState(null);
 
+  // A failed import / clear / restore rolls back in the database, including its
+  // audit entry, so the failure is recorded separately
+  const logFailedAction = useCallback(async (action, { fileName = null, areaCounts = {}, message, details = null }) => {
+    const { error: logError } = await supabase.rpc('log_failed_action', {
+      p_action: action,
+      p_file_name: fileName,
+      p_area_counts: areaCounts,
+      p_error_message: message,
+      p_details: details
+    });
+    if (logError) console.error('Error recording failed action:', logError);
+  }, []);
+
   // Check if Supabase is configured
   const isSupabaseConfigured = supabase !== null;
 
@@ -30,28 +45,15 @@ export function useEquipmentData() {
         .eq('id', 1)
         .single();
 
-      // Fetch all equipment data with pagination (Supabase default limit is 1000)
-      let allEquipment = [];
-      const pageSize = 1000;
-      let from = 0;
-      let hasMore = true;
-
-      while (hasMore) {
-        const { data, error: fetchError } = await supabase
-          .from('equipment')
-          .select('*')
-          .order('area', { ascending: true })
-          .order('equipment_type', { ascending: true })
-          .range(from, from + pageSize - 1);
-
-        if (fetchError) throw fetchError;
-
-        allEquipment = allEquipment.concat(data);
-        hasMore = data.length === pageSize;
-        from += pageSize;
-      }
-
-      const equipmentResult = { data: allEquipment };
+      // Fetch all active equipment data
+      const allEquipment = await fetchAllPages((from, to) => supabase
+        .from('equipment')
+        .select('*')
+        .is('retired_at', null)
+        .order('area', { ascending: true })
+        .order('equipment_type', { ascending: true })
+        .order('functional_location', { ascending: true })
+        .range(from, to));
 
       // Set last refreshed timestamp (may not exist yet)
       if (metaResult.data?.last_refreshed_at) {
@@ -59,17 +61,7 @@ export function useEquipmentData() {
       }
 
       // Transform database format to app format
-      const transformedData = equipmentResult.data.map(item => ({
-        area: item.area,
-        equipmentType: item.equipment_type || '',
-        description: item.description || '',
-        functionalLocation: item.functional_location || '',
-        criticality: item.criticality || '',
-        status: item.status,
-        alarmDescription: item.alarm_description || '',
-        rectification: item.rectification || '',
-        notificationDate: item.notification_date || ''
-      }));
+      const transformedData = allEquipment.map(fromDbRecord);
 
       setData(transformedData.length > 0 ? transformedData : null);
       setIsLoading(false);
@@ -82,16 +74,20 @@ export function useEquipmentData() {
     }
   }, [isSupabaseConfigured]);
 
-  // Save equipment data to Supabase (UPSERT based on functional_location)
-  const saveEquipment = useCallback(async (equipmentData) => {
+  // Save equipment data to Supabase (UPSERT based on functional_location) via the
+  // import_equipment function. Only new or changed rows are written; rows of `areas`
+  // missing from the upload follow retirePolicy, other areas are left untouched.
+  // Each import is recorded as a snapshot and in the audit log.
+  // Resolves to { snapshotId, inserted, updated, unchanged, retired, areas }.
+  const saveEquipment = useCallback(async (equipmentData, { retirePolicy = 'retire', areas = null, fileName = null } = {}) => {
     if (!isSupabaseConfigured) {
       setError('Supabase is not configured. Please set environment variables.');
-      return false;
+      return null;
     }
 
     if (!equipmentData || equipmentData.length === 0) {
       setError('No data to save.');
-      return false;
+      return null;
     }
 
     setIsSaving(true);
@@ -99,62 +95,41 @@ export function useEquipmentData() {
 
     try {
       // Transform app format to database format
-      const dbRecords = equipmentData.map(item => ({
-        area: item.area,
-        status: item.status,
-        equipment_type: item.equipmentType || null,
-        description: item.description || null,
-        functional_location: item.functionalLocation || null,
-        criticality: item.criticality || null,
-        alarm_description: item.alarmDescription || null,
-        rectification: item.rectification || null,
-        notification_date: parseDate(item.notificationDate)
-      }));
-
-      // Delete existing data first, then insert new data
-      // This is simpler and doesn't require unique constraints
-      const { error: deleteError } = await supabase
-        .from('equipment')
-        .delete()
-        .neq('id', '00000000-0000-0000-0000-000000000000');
+      const dbRecords = equipmentData.map(toDbRecord);
 
-      if (deleteError) throw deleteError;
+      // Upsert, retire and stamp dashboard_meta in one database transaction
+      const { data: summary, error: importError } = await supabase.rpc('import_equipment', {
+        p_rows: dbRecords,
+        p_areas: areas,
+        p_retire_policy: retirePolicy,
+        p_file_name: fileName
+      });
 
-      // Insert all new records
-      const { error: insertError } = await supabase
-        .from('equipment')
-        .insert(dbRecords);
+      if (importError) throw importError;
 
-      if (insertError) throw insertError;
+      setLastRefreshedAt(new Date(summary.refreshedAt));
+      setIsSaving(false);
 
-      // Update the last refreshed timestamp
-      const now = new Date();
-      const { error: metaError } = await supabase
-        .from('dashboard_meta')
-        .upsert({
-          id: 1,
-          last_refreshed_at: now.toISOString(),
-          refreshed_by: 'Admin'
-        });
-
-      if (metaError) {
-        console.warn('Failed to update refresh timestamp:', metaError);
-      } else {
-        setLastRefreshedAt(now);
-      }
+      // Reload so rows of other areas and kept rows are shown alongside the new ones
+      await fetchEquipment();
 
-      setData(equipmentData);
-      setIsSaving(false);
-      return true;
+      return summary;
     } catch (err) {
       console.error('Error saving equipment:', err);
       setError(`Failed to save data: ${err.message}`);
       setIsSaving(false);
-      return false;
+      logFailedAction('import', {
+        fileName,
+        areaCounts: countByArea(equipmentData),
+        message: err.message,
+        details: { retirePolicy, areas }
+      });
+      return null;
     }
-  }, [isSupabaseConfigured]);
+  }, [isSupabaseConfigured, fetchEquipment, logFailedAction]);
 
-  // Clear all equipment data from Supabase
+  // Clear all equipment data from Supabase. The clear is recorded as a snapshot,
+  // so the dataset before it can be brought back with restorePreviousDataset.
   const clearAllData = useCallback(async () => {
     if (!isSupabaseConfigured) {
       setError('Supabase is not configured. Please set environment variables.');
@@ -165,24 +140,127 @@ export function useEquipmentData() {
     setError(null);
 
     try {
-      // Delete all records
-      const { error: deleteError } = await supabase
-        .from('equipment')
-        .delete()
-        .neq('id', '00000000-0000-0000-0000-000000000000'); // Delete all (neq is a workaround for "delete all")
+      const { data: summary, error: clearError } = await supabase.rpc('clear_equipment');
 
-      if (deleteError) throw deleteError;
+      if (clearError) throw clearError;
 
       setData(null);
+      setLastRefreshedAt(new Date(summary.refreshedAt));
       setIsSaving(false);
       return true;
     } catch (err) {
       console.error('Error clearing data:', err);
       setError(`Failed to clear data: ${err.message}`);
       setIsSaving(false);
+      logFailedAction('clear', { message: err.message });
       return false;
     }
-  }, [isSupabaseConfigured]);
+  }, [isSupabaseConfigured, logFailedAction]);
+
+  // Revert the equipment table to its state before the last import or Clear All.
+  // Resolves to { snapshotId, restoredFrom, restoredFromCreatedAt, fileName, inserted, updated, retired }.
+  const restorePreviousDataset = useCallback(async () => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return null;
+    }
+
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      const { data: summary, error: restoreError } = await supabase.rpc('restore_previous_dataset');
+
+      if (restoreError) throw restoreError;
+
+      setLastRefreshedAt(new Date(summary.refreshedAt));
+      setIsSaving(false);
+
+      await fetchEquipment();
+
+      return summary;
+    } catch (err) {
+      console.error('Error restoring data:', err);
+      setError(`Failed to restore data: ${err.message}`);
+      setIsSaving(false);
+      logFailedAction('restore', { message: err.message });
+      return null;
+    }
+  }, [isSupabaseConfigured, fetchEquipment, logFailedAction]);
+
+  // Edit status, criticality, alarm description and / or rectification of one record.
+  // The change is shown straight away and rolled back if the database rejects it.
+  // The edit fails if someone else changed the record since it was loaded (its
+  // updated_at no longer matches); the record is then reloaded.
+  // Resolves to the updated record, or null.
+  const updateEquipmentRecord = useCallback(async (item, changes) => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return null;
+    }
+
+    if ('status' in changes && !STATUSES.includes(changes.status)) {
+      setError(`Invalid status "${changes.status}". Use one of: ${STATUSES.join(', ')}.`);
+      return null;
+    }
+
+    const replaceRecord = (record) => setData(prev => prev && prev.map(row => (
+      row.functionalLocation === item.functionalLocation ? record : row
+    )));
+
+    const editedFields = EDITABLE_FIELDS.filter(field => field.value in changes);
+    const dbChanges = Object.fromEntries(editedFields.map(field => [field.column, changes[field.value]]));
+
+    setError(null);
+    replaceRecord({ ...item, ...changes });
+
+    try {
+      const { data: updated, error: updateError } = await supabase.rpc('update_equipment_record', {
+        p_functional_location: item.functionalLocation,
+        p_changes: dbChanges,
+        p_expected_updated_at: item.updatedAt
+      });
+
+      if (updateError) throw updateError;
+
+      const record = fromDbRecord(updated);
+      replaceRecord(record);
+      return record;
+    } catch (err) {
+      console.error('Error updating equipment record:', err);
+      replaceRecord(item);
+      logFailedAction('edit', {
+        areaCounts: { [item.area]: 1 },
+        message: err.message,
+        details: {
+          functionalLocation: item.functionalLocation,
+          changes: Object.fromEntries(editedFields.map(field => [
+            field.column,
+            { from: item[field.value], to: changes[field.value] }
+          ]))
+        }
+      });
+
+      // serialization_failure: the record changed since it was loaded
+      if (err.code === '40001') {
+        setError(`${item.functionalLocation} was changed by someone else since you loaded it. The latest values are shown; please make your edit again.`);
+        const { data: latest, error: reloadError } = await supabase
+          .from('equipment')
+          .select('*')
+          .eq('functional_location', item.functionalLocation)
+          .is('retired_at', null)
+          .maybeSingle();
+        if (reloadError) {
+          console.error('Error reloading equipment record:', reloadError);
+        } else if (latest) {
+          replaceRecord(fromDbRecord(latest));
+        }
+      } else {
+        setError(`Failed to update ${item.functionalLocation}: ${err.message}`);
+      }
+      return null;
+    }
+  }, [isSupabaseConfigured, logFailedAction]);
 
   // Clear error message
   const clearError = useCallback(() => {
@@ -205,49 +283,8 @@ export function useEquipmentData() {
     fetchEquipment,
     saveEquipment,
     clearAllData,
+    restorePreviousDataset,
+    updateEquipmentRecord,
     clearError
   };
 }
-
-// Helper function to parse various date formats to ISO date string
-function parseDate(dateValue) {
-  if (!dateValue) return null;
-
-  const monthMap = {
-    'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
-    'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
-  };
-
-  let date;
-
-  // Handle Excel serial date number
-  if (typeof dateValue === 'number') {
-    date = new Date((dateValue - 25569) * 86400 * 1000);
-  }
-  // Handle string date
-  else if (typeof dateValue === 'string') {
-    // Try DD-MMM-YYYY format (e.g., "15-Nov-2025")
-    const ddMmmYyyyMatch = dateValue.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
-    if (ddMmmYyyyMatch) {
-      const day = parseInt(ddMmmYyyyMatch[1]);
-      const monthStr = ddMmmYyyyMatch[2].toLowerCase();
-      const year = parseInt(ddMmmYyyyMatch[3]);
-      if (monthMap[monthStr] !== undefined) {
-        date = new Date(year, monthMap[monthStr], day);
-      }
-    }
-    // Try standard date parsing
-    if (!date || isNaN(date.getTime())) {
-      date = new Date(dateValue);
-    }
-  }
-  // Handle Date object
-  else if (dateValue instanceof Date) {
-    date = dateValue;
-  }
-
-  if (!date || isNaN(date.getTime())) return null;
-
-  // Return ISO date string (YYYY-MM-DD)
-  return date.toISOString().split('T')[0];
-}
@@ -0,0 +1,117 @@
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { supabase } from '../lib/supabase';
+import { DEFAULT_PROFILE } from '../lib/columnMapping';
+
+export function useMappingProfiles() {
+  const [savedProfiles, setSavedProfiles] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  // Saved profiles come first so they win detection ties against the built-in default
+  const profiles = useMemo(() => [...savedProfiles, DEFAULT_PROFILE], [savedProfiles]);
+
+  // Fetch saved column mapping profiles from Supabase
+  const fetchProfiles = useCallback(async () => {
+    if (!isSupabaseConfigured) {
+      setIsLoading(false);
+      return [];
+    }
+
+    setIsLoading(true);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('column_mapping_profiles')
+        .select('id, name, mappings')
+        .order('name', { ascending: true });
+
+      if (fetchError) throw fetchError;
+
+      setSavedProfiles(data);
+      setIsLoading(false);
+      return data;
+    } catch (err) {
+      console.error('Error fetching mapping profiles:', err);
+      setError(`Failed to load column mappings: ${err.message}`);
+      setIsLoading(false);
+      return [];
+    }
+  }, [isSupabaseConfigured]);
+
+  // Create or update a profile (profiles without an id are inserted)
+  const saveProfile = useCallback(async (profile) => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return null;
+    }
+
+    setError(null);
+
+    try {
+      const record = { name: profile.name.trim(), mappings: profile.mappings };
+      const query = profile.id
+        ? supabase.from('column_mapping_profiles').update(record).eq('id', profile.id)
+        : supabase.from('column_mapping_profiles').insert(record);
+
+      const { data, error: saveError } = await query.select('id, name, mappings').single();
+
+      if (saveError) throw saveError;
+
+      await fetchProfiles();
+      return data;
+    } catch (err) {
+      console.error('Error saving mapping profile:', err);
+      setError(`Failed to save column mapping: ${err.message}`);
+      return null;
+    }
+  }, [isSupabaseConfigured, fetchProfiles]);
+
+  // Delete a saved profile
+  const deleteProfile = useCallback(async (id) => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return false;
+    }
+
+    setError(null);
+
+    try {
+      const { error: deleteError } = await supabase
+        .from('column_mapping_profiles')
+        .delete()
+        .eq('id', id);
+
+      if (deleteError) throw deleteError;
+
+      await fetchProfiles();
+      return true;
+    } catch (err) {
+      console.error('Error deleting mapping profile:', err);
+      setError(`Failed to delete column mapping: ${err.message}`);
+      return false;
+    }
+  }, [isSupabaseConfigured, fetchProfiles]);
+
+  // Clear error message
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Load profiles on initial mount
+  useEffect(() => {
+    fetchProfiles();
+  }, [fetchProfiles]);
+
+  return {
+    profiles,
+    isLoading,
+    error,
+    isSupabaseConfigured,
+    fetchProfiles,
+    saveProfile,
+    deleteProfile,
+    clearError
+  };
+}
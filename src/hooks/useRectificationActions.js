@@ -0,0 +1,88 @@
+import { useState, useCallback, useEffect } from 'react';
+import { supabase, fetchAllPages } from '../lib/supabase';
+import { fromDbAction, toDbAction } from '../lib/rectification';
+
+// Rectification actions keyed by functional location
+export function useRectificationActions() {
+  const [actions, setActions] = useState({});
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  const fetchActions = useCallback(async () => {
+    if (!isSupabaseConfigured) {
+      setIsLoading(false);
+      return {};
+    }
+
+    setIsLoading(true);
+
+    try {
+      const rows = await fetchAllPages((from, to) => supabase
+        .from('rectification_actions')
+        .select('*')
+        .order('functional_location', { ascending: true })
+        .range(from, to));
+
+      const byLocation = Object.fromEntries(rows.map(row => [row.functional_location, fromDbAction(row)]));
+
+      setActions(byLocation);
+      setIsLoading(false);
+      return byLocation;
+    } catch (err) {
+      console.error('Error fetching rectification actions:', err);
+      setError(`Failed to load rectification actions: ${err.message}`);
+      setIsLoading(false);
+      return {};
+    }
+  }, [isSupabaseConfigured]);
+
+  // Create or update the action for action.functionalLocation
+  const saveAction = useCallback(async (action) => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return null;
+    }
+
+    setError(null);
+
+    try {
+      const { data, error: saveError } = await supabase
+        .from('rectification_actions')
+        .upsert(toDbAction(action), { onConflict: 'functional_location' })
+        .select('*')
+        .single();
+
+      if (saveError) throw saveError;
+
+      const saved = fromDbAction(data);
+      setActions(prev => ({ ...prev, [saved.functionalLocation]: saved }));
+      return saved;
+    } catch (err) {
+      console.error('Error saving rectification action:', err);
+      setError(`Failed to save rectification action: ${err.message}`);
+      return null;
+    }
+  }, [isSupabaseConfigured]);
+
+  // Clear error message
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Load actions on initial mount
+  useEffect(() => {
+    fetchActions();
+  }, [fetchActions]);
+
+  return {
+    actions,
+    isLoading,
+    error,
+    isSupabaseConfigured,
+    fetchActions,
+    saveAction,
+    clearError
+  };
+}
@@ -0,0 +1,152 @@
+import { useState, useCallback, useEffect, useMemo } from 'react';
+import { supabase, fetchAllPages } from '../lib/supabase';
+import { fromDbRecord } from '../lib/equipment';
+
+export function useSnapshots() {
+  const [snapshots, setSnapshots] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [trendCounts, setTrendCounts] = useState(null);
+  const [isLoadingTrends, setIsLoadingTrends] = useState(false);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  // Fetch the list of upload snapshots, newest first
+  const fetchSnapshots = useCallback(async () => {
+    if (!isSupabaseConfigured) return [];
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('upload_snapshots')
+        .select('id, created_at, uploaded_by, file_name, row_count, area_counts, status_counts, import_summary, kind, restored_from')
+        .order('created_at', { ascending: false });
+
+      if (fetchError) throw fetchError;
+
+      const transformed = data.map(item => ({
+        id: item.id,
+        createdAt: new Date(item.created_at),
+        uploadedBy: item.uploaded_by || '',
+        fileName: item.file_name || '',
+        rowCount: item.row_count,
+        areaCounts: item.area_counts || {},
+        statusCounts: item.status_counts || {},
+        importSummary: item.import_summary,
+        kind: item.kind || 'import',
+        restoredFrom: item.restored_from
+      }));
+
+      setSnapshots(transformed);
+      setIsLoading(false);
+      return transformed;
+    } catch (err) {
+      console.error('Error fetching snapshots:', err);
+      setError(`Failed to load upload history: ${err.message}`);
+      setIsLoading(false);
+      return [];
+    }
+  }, [isSupabaseConfigured]);
+
+  // Fetch the equipment rows stored with a snapshot (app format)
+  const fetchSnapshotRows = useCallback(async (snapshotId) => {
+    if (!isSupabaseConfigured) return null;
+
+    setError(null);
+
+    try {
+      const rows = await fetchAllPages((from, to) => supabase
+        .from('snapshot_equipment')
+        .select('area, status, equipment_type, description, functional_location, criticality, alarm_description, rectification, notification_date')
+        .eq('snapshot_id', snapshotId)
+        .order('id', { ascending: true })
+        .range(from, to));
+
+      return rows.map(fromDbRecord);
+    } catch (err) {
+      console.error('Error fetching snapshot rows:', err);
+      setError(`Failed to load snapshot: ${err.message}`);
+      return null;
+    }
+  }, [isSupabaseConfigured]);
+
+  // Fetch per-snapshot status counts (grouped by area, equipment type and criticality) for trend charts
+  const fetchTrendCounts = useCallback(async () => {
+    if (!isSupabaseConfigured) return [];
+
+    setIsLoadingTrends(true);
+    setError(null);
+
+    try {
+      const rows = await fetchAllPages((from, to) => supabase
+        .from('snapshot_status_counts')
+        .select('snapshot_id, created_at, area, equipment_type, criticality, status, item_count')
+        .order('created_at', { ascending: true })
+        .order('snapshot_id', { ascending: true })
+        .order('area', { ascending: true })
+        .order('equipment_type', { ascending: true })
+        .order('criticality', { ascending: true })
+        .order('status', { ascending: true })
+        .range(from, to));
+
+      const transformed = rows.map(item => ({
+        snapshotId: item.snapshot_id,
+        createdAt: new Date(item.created_at),
+        area: item.area,
+        equipmentType: item.equipment_type || '',
+        criticality: item.criticality || '',
+        status: item.status,
+        count: item.item_count
+      }));
+
+      setTrendCounts(transformed);
+      setIsLoadingTrends(false);
+      return transformed;
+    } catch (err) {
+      console.error('Error fetching trend data:', err);
+      setError(`Failed to load trend data: ${err.message}`);
+      // Mark as loaded so the Trends tab shows the error instead of retrying forever
+      setTrendCounts([]);
+      setIsLoadingTrends(false);
+      return [];
+    }
+  }, [isSupabaseConfigured]);
+
+  // Snapshot that "Restore previous dataset" would bring back: the one before the
+  // latest import or clear (mirrors restore_previous_dataset in the database).
+  // Edits snapshots are never the change being undone but can be brought back.
+  const restoreTarget = useMemo(() => {
+    const latest = snapshots.find(snapshot => snapshot.kind !== 'edits');
+    if (!latest) return null;
+    const undoneId = latest.kind === 'restore' ? latest.restoredFrom : latest.id;
+    const undoneIndex = snapshots.findIndex(snapshot => snapshot.id === undoneId);
+    if (undoneIndex === -1) return null;
+    return snapshots[undoneIndex + 1] || null;
+  }, [snapshots]);
+
+  // Clear error message
+  const clearError = useCallback(() => {
+    setError(null);
+  }, []);
+
+  // Load snapshot list on initial mount
+  useEffect(() => {
+    fetchSnapshots();
+  }, [fetchSnapshots]);
+
+  return {
+    snapshots,
+    isLoading,
+    error,
+    isSupabaseConfigured,
+    fetchSnapshots,
+    fetchSnapshotRows,
+    restoreTarget,
+    trendCounts,
+    isLoadingTrends,
+    fetchTrendCounts,
+    clearError
+  };
+}
@@ -0,0 +1,63 @@
+import { useState, useCallback, useEffect } from 'react';
+import { supabase } from '../lib/supabase';
+
+// Loads audit log entries recorded against one functional location (record edits)
+export function useTagActivity(functionalLocation) {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  const fetchActivity = useCallback(async () => {
+    if (!isSupabaseConfigured || !functionalLocation) {
+      setEntries([]);
+      return [];
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('audit_log')
+        .select('id, created_at, action, outcome, user_name, error_message, details')
+        .eq('details->>functionalLocation', functionalLocation)
+        .order('created_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (fetchError) throw fetchError;
+
+      const transformed = data.map(item => ({
+        id: item.id,
+        createdAt: new Date(item.created_at),
+        action: item.action,
+        outcome: item.outcome,
+        userName: item.user_name || '',
+        errorMessage: item.error_message || '',
+        details: item.details || {}
+      }));
+
+      setEntries(transformed);
+      setIsLoading(false);
+      return transformed;
+    } catch (err) {
+      console.error('Error fetching tag activity:', err);
+      setError(`Failed to load notes and actions: ${err.message}`);
+      setIsLoading(false);
+      return [];
+    }
+  }, [isSupabaseConfigured, functionalLocation]);
+
+  useEffect(() => {
+    fetchActivity();
+  }, [fetchActivity]);
+
+  return {
+    entries,
+    isLoading,
+    error,
+    isSupabaseConfigured,
+    fetchActivity
+  };
+}
@@ -0,0 +1,96 @@
+import { useState, useCallback, useEffect } from 'react';
+import { attachmentStore, validateAttachment } from '../lib/storage';
+import { useCurrentUser } from './useAuth';
+
+// Photos and documents attached to one functional location, newest first
+export function useTagAttachments(functionalLocation) {
+  const [attachments, setAttachments] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const currentUser = useCurrentUser();
+
+  const fetchAttachments = useCallback(async () => {
+    if (!functionalLocation) {
+      setAttachments([]);
+      return [];
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const list = await attachmentStore.list(functionalLocation);
+      setAttachments(list);
+      setIsLoading(false);
+      return list;
+    } catch (err) {
+      console.error('Error fetching attachments:', err);
+      setError(`Failed to load attachments: ${err.message}`);
+      setIsLoading(false);
+      return [];
+    }
+  }, [functionalLocation]);
+
+  // Upload files one by one; files that fail validation are skipped and reported
+  const uploadAttachments = useCallback(async (files, category) => {
+    const problems = [];
+    setIsUploading(true);
+    setError(null);
+
+    for (const file of files) {
+      const problem = validateAttachment(file);
+      if (problem) {
+        problems.push(problem);
+        continue;
+      }
+
+      try {
+        const attachment = await attachmentStore.upload(functionalLocation, file, {
+          category,
+          uploadedBy: currentUser?.name || null
+        });
+        setAttachments(prev => [attachment, ...prev]);
+      } catch (err) {
+        console.error('Error uploading attachment:', err);
+        problems.push(`${file.name}: ${err.message}`);
+      }
+    }
+
+    if (problems.length > 0) {
+      setError(`Some files were not attached. ${problems.join('; ')}`);
+    }
+    setIsUploading(false);
+    return problems.length === 0;
+  }, [functionalLocation, currentUser]);
+
+  const deleteAttachment = useCallback(async (attachment) => {
+    setError(null);
+
+    try {
+      await attachmentStore.remove(attachment);
+      setAttachments(prev => prev.filter(a => a.id !== attachment.id));
+      return true;
+    } catch (err) {
+      console.error('Error deleting attachment:', err);
+      setError(`Failed to delete ${attachment.fileName}: ${err.message}`);
+      return false;
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAttachments();
+  }, [fetchAttachments]);
+
+  return {
+    attachments,
+    isLoading,
+    isUploading,
+    error,
+    isLocalStorage: attachmentStore.isLocal,
+    fetchAttachments,
+    uploadAttachments,
+    deleteAttachment
+  };
+}
@@ -0,0 +1,99 @@
+import { useState, useCallback, useEffect } from 'react';
+import { supabase } from '../lib/supabase';
+
+const fromDbComment = (row) => ({
+  id: row.id,
+  functionalLocation: row.functional_location,
+  body: row.body,
+  authorName: row.author_name || '',
+  createdAt: new Date(row.created_at)
+});
+
+// Comment thread for one functional location, oldest first
+export function useTagComments(functionalLocation) {
+  const [comments, setComments] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isPosting, setIsPosting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  const fetchComments = useCallback(async () => {
+    if (!isSupabaseConfigured || !functionalLocation) {
+      setComments([]);
+      return [];
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('tag_comments')
+        .select('id, functional_location, body, author_name, created_at')
+        .eq('functional_location', functionalLocation)
+        .order('created_at', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (fetchError) throw fetchError;
+
+      const transformed = data.map(fromDbComment);
+      setComments(transformed);
+      setIsLoading(false);
+      return transformed;
+    } catch (err) {
+      console.error('Error fetching comments:', err);
+      setError(`Failed to load comments: ${err.message}`);
+      setIsLoading(false);
+      return [];
+    }
+  }, [isSupabaseConfigured, functionalLocation]);
+
+  // Resolves to the posted comment, or null
+  const postComment = useCallback(async (body) => {
+    if (!isSupabaseConfigured) {
+      setError('Supabase is not configured. Please set environment variables.');
+      return null;
+    }
+
+    setIsPosting(true);
+    setError(null);
+
+    try {
+      const { data, error: postError } = await supabase
+        .from('tag_comments')
+        .insert({
+          functional_location: functionalLocation,
+          body: body.trim()
+        })
+        .select('id, functional_location, body, author_name, created_at')
+        .single();
+
+      if (postError) throw postError;
+
+      const comment = fromDbComment(data);
+      setComments(prev => [...prev, comment]);
+      setIsPosting(false);
+      return comment;
+    } catch (err) {
+      console.error('Error posting comment:', err);
+      setError(`Failed to post comment: ${err.message}`);
+      setIsPosting(false);
+      return null;
+    }
+  }, [isSupabaseConfigured, functionalLocation]);
+
+  useEffect(() => {
+    fetchComments();
+  }, [fetchComments]);
+
+  return {
+    comments,
+    isLoading,
+    isPosting,
+    error,
+    isSupabaseConfigured,
+    fetchComments,
+    postComment
+  };
+}
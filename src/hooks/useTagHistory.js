@@ -0,0 +1,70 @@
+import { useState, useCallback, useEffect } from 'react';
+import { supabase } from '../lib/supabase';
+
+// Loads the status change log for one functional location
+export function useTagHistory(functionalLocation) {
+  const [changes, setChanges] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isSupabaseConfigured = supabase !== null;
+
+  const fetchHistory = useCallback(async () => {
+    if (!isSupabaseConfigured || !functionalLocation) {
+      setChanges([]);
+      return [];
+    }
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('equipment_status_changes')
+        .select('id, snapshot_id, changed_at, changed_by, change_type, old_status, new_status, old_alarm_description, new_alarm_description, old_rectification, new_rectification, old_criticality, new_criticality, upload_snapshots(file_name)')
+        .eq('functional_location', functionalLocation)
+        .order('changed_at', { ascending: false })
+        .order('id', { ascending: false });
+
+      if (fetchError) throw fetchError;
+
+      const transformed = data.map(item => ({
+        id: item.id,
+        snapshotId: item.snapshot_id,
+        fileName: item.upload_snapshots?.file_name || '',
+        changedAt: new Date(item.changed_at),
+        changedBy: item.changed_by || '',
+        changeType: item.change_type,
+        oldStatus: item.old_status,
+        newStatus: item.new_status,
+        oldAlarmDescription: item.old_alarm_description || '',
+        newAlarmDescription: item.new_alarm_description || '',
+        oldRectification: item.old_rectification || '',
+        newRectification: item.new_rectification || '',
+        oldCriticality: item.old_criticality || '',
+        newCriticality: item.new_criticality || ''
+      }));
+
+      setChanges(transformed);
+      setIsLoading(false);
+      return transformed;
+    } catch (err) {
+      console.error('Error fetching tag history:', err);
+      setError(`Failed to load history: ${err.message}`);
+      setIsLoading(false);
+      return [];
+    }
+  }, [isSupabaseConfigured, functionalLocation]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  return {
+    changes,
+    isLoading,
+    error,
+    isSupabaseConfigured,
+    fetchHistory
+  };
+}
@@ -0,0 +1,22 @@
+import { toLocalIsoDate } from './dates';
+
+// Transform database format to app format
+export function fromDbAcknowledgement(row) {
+  return {
+    functionalLocation: row.functional_location,
+    kind: row.kind,
+    reason: row.reason || '',
+    shelvedUntil: row.shelved_until || '',
+    acknowledgedStatus: row.acknowledged_status || '',
+    acknowledgedBy: row.acknowledged_by || '',
+    createdAt: new Date(row.created_at)
+  };
+}
+
+// Acknowledged alerts stay out of the counts until their status changes;
+// shelved alerts only until the shelve-until date has passed
+export function isAlertSuppressed(acknowledgement, item, today = toLocalIsoDate()) {
+  if (!acknowledgement || acknowledgement.acknowledgedStatus !== item.status) return false;
+  if (acknowledgement.kind === 'shelved') return acknowledgement.shelvedUntil >= today;
+  return true;
+}
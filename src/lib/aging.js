@@ -0,0 +1,72 @@
+import { toDate, toLocalIsoDate } from './dates';
+import { formatCriticality } from './equipment';
+
+// Age buckets for open alerts, in days since the notification date
+export const AGE_BUCKETS = [
+  { label: '0–30 days', max: 30 },
+  { label: '31–90 days', max: 90 },
+  { label: '91–180 days', max: 180 },
+  { label: '180+ days', max: Infinity }
+];
+
+// Days an alert may stay open per criticality before it breaches its SLA
+export const DEFAULT_SLA_DAYS = { C1: 30, C2: 90, C3: 180 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Notification dates from Supabase are YYYY-MM-DD; read them as local dates
+// so the day count does not shift with the time zone
+const toNotificationDate = (value) => (
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : toDate(value)
+);
+
+// Whole days since the notification date, or null when there is no usable date
+export function getDaysOpen(item, today = new Date()) {
+  const opened = toNotificationDate(item.notificationDate);
+  if (!opened) return null;
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  const openedDay = new Date(opened.getFullYear(), opened.getMonth(), opened.getDate());
+  return Math.max(0, Math.round((start - openedDay) / DAY_MS));
+}
+
+// Days open, SLA and breach per alert, plus counts per age bucket split by
+// criticality for the bucket chart. Alerts without a notification date are
+// only counted in undatedCount.
+export function buildAgingAnalysis(items, slaDays, today = new Date()) {
+  const rows = [];
+  let undatedCount = 0;
+
+  items.forEach(item => {
+    const daysOpen = getDaysOpen(item, today);
+    if (daysOpen === null) {
+      undatedCount++;
+      return;
+    }
+    const criticality = formatCriticality(item.criticality);
+    const sla = slaDays[criticality] ?? DEFAULT_SLA_DAYS[criticality] ?? null;
+    rows.push({
+      item,
+      notifiedOn: toLocalIsoDate(toNotificationDate(item.notificationDate)),
+      daysOpen,
+      criticality,
+      sla,
+      isBreached: sla !== null && daysOpen > sla
+    });
+  });
+
+  const buckets = AGE_BUCKETS.map(bucket => ({ name: bucket.label, C1: 0, C2: 0, C3: 0, Other: 0, total: 0 }));
+  rows.forEach(row => {
+    const bucket = buckets[AGE_BUCKETS.findIndex(b => row.daysOpen <= b.max)];
+    bucket[DEFAULT_SLA_DAYS[row.criticality] !== undefined ? row.criticality : 'Other']++;
+    bucket.total++;
+  });
+
+  return {
+    rows,
+    buckets,
+    breached: rows.filter(row => row.isBreached),
+    undatedCount
+  };
+}
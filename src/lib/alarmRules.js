@@ -0,0 +1,107 @@
+// Ways a rule can match an alarm
+export const ALARM_RULE_TYPES = [
+  { value: 'keyword', label: 'Keywords', placeholder: 'Words in the alarm description, comma separated' },
+  { value: 'regex', label: 'Regular expression', placeholder: 'Case-insensitive pattern on the alarm description' },
+  { value: 'equipment_type', label: 'Equipment type', placeholder: 'Equipment type, e.g. Analyzer' }
+];
+
+// Alarms in this category are listed on the Obsolescence tab instead of Alerts
+export const OBSOLESCENCE_CATEGORY = 'Obsolescence';
+
+// Shown for alarms no rule matches
+export const UNCATEGORISED = 'Uncategorised';
+
+// Used when Supabase is not configured; supabase/migrations/017_alarm_rules.sql seeds the same rules
+export const DEFAULT_ALARM_RULES = [
+  { id: 'default-1', category: 'Obsolescence', matchType: 'keyword', pattern: 'obsolete, obsolescence, end of life, end-of-life, no spare, no spares, discontinued' },
+  { id: 'default-2', category: 'Calibration', matchType: 'keyword', pattern: 'calibration, calibrate, drift, zero shift, span error' },
+  { id: 'default-3', category: 'Communication Fault', matchType: 'keyword', pattern: 'communication, comm fault, comms, fieldbus, no signal' },
+  { id: 'default-4', category: 'Power', matchType: 'keyword', pattern: 'power, battery, low voltage, power supply' },
+  { id: 'default-5', category: 'Process', matchType: 'regex', pattern: '\\b(process|trip|hh|ll)\\b' }
+];
+
+// Transform database format to app format
+export function fromDbRule(row) {
+  return {
+    id: row.id,
+    category: row.category,
+    matchType: row.match_type,
+    pattern: row.pattern
+  };
+}
+
+// Transform app format to database format
+export function toDbRule(rule) {
+  return {
+    category: rule.category.trim(),
+    match_type: rule.matchType,
+    pattern: rule.pattern.trim()
+  };
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive match on any of the comma-separated keywords at the start
+// of a word, so 'obsolete' also finds 'obsoleted' but not 'nonobsolete'
+const keywordRegex = (pattern) => {
+  const keywords = pattern.split(',').map(keyword => keyword.trim()).filter(Boolean);
+  if (keywords.length === 0) return null;
+  return new RegExp(`(^|\\W)(${keywords.map(escapeRegex).join('|')})`, 'i');
+};
+
+// Predicate for one rule; throws on an invalid regular expression
+export function compileRule(rule) {
+  if (rule.matchType === 'equipment_type') {
+    const type = rule.pattern.trim().toLowerCase();
+    return (item) => (item.equipmentType || '').toLowerCase() === type;
+  }
+  const regex = rule.matchType === 'regex' ? new RegExp(rule.pattern.trim(), 'i') : keywordRegex(rule.pattern);
+  if (!regex) return () => false;
+  return (item) => regex.test(item.alarmDescription || '');
+}
+
+// Error message for a rule that cannot be saved, or null
+export function validateRule(rule) {
+  if (!rule.category.trim()) return 'Enter a category';
+  if (!rule.pattern.trim()) return 'Enter what the rule should match';
+  try {
+    compileRule(rule);
+  } catch (err) {
+    return err.message;
+  }
+  return null;
+}
+
+// Categories in the order they first appear in the rules
+export function getAlarmCategories(rules) {
+  return [...new Set(rules.map(rule => rule.category))];
+}
+
+// Map of functional location to the categories of every matching rule
+// ([UNCATEGORISED] when none match). Rules with a broken regex are skipped.
+export function classifyAlarms(items, rules) {
+  const matchers = rules.flatMap(rule => {
+    try {
+      return [{ category: rule.category, matches: compileRule(rule) }];
+    } catch (err) {
+      console.error(`Skipping alarm rule ${rule.id}:`, err);
+      return [];
+    }
+  });
+
+  return new Map(items.map(item => {
+    const categories = [...new Set(matchers.filter(matcher => matcher.matches(item)).map(matcher => matcher.category))];
+    return [item.functionalLocation, categories.length > 0 ? categories : [UNCATEGORISED]];
+  }));
+}
+
+// Alarm count per category, for the category filter and the rules preview
+export function countByCategory(classified) {
+  const counts = {};
+  classified.forEach(categories => {
+    categories.forEach(category => {
+      counts[category] = (counts[category] || 0) + 1;
+    });
+  });
+  return counts;
+}
@@ -0,0 +1,26 @@
+import { formatDateTime } from './dates';
+
+const formatValue = (value) => (value === null || value === undefined || value === '' ? 'empty' : String(value));
+
+// One-line description of what the action did
+export function describeAuditEntry(entry) {
+  const { action, details } = entry;
+  if (action === 'import' && details.inserted !== undefined) {
+    return `${details.inserted} inserted, ${details.updated} updated, ${details.unchanged} unchanged, `
+      + `${details.retired} ${details.retirePolicy === 'delete' ? 'deleted' : 'retired'}`;
+  }
+  if (action === 'clear' && details.deleted !== undefined) {
+    return `${details.deleted} rows deleted`;
+  }
+  if (action === 'restore' && details.restoredFromCreatedAt) {
+    return `Restored the dataset from ${formatDateTime(new Date(details.restoredFromCreatedAt))}: `
+      + `${details.inserted} inserted, ${details.updated} updated, ${details.retired} retired`;
+  }
+  if (action === 'edit' && details.changes) {
+    const changes = Object.entries(details.changes)
+      .map(([field, { from, to }]) => `${field} ${formatValue(from)} → ${formatValue(to)}`)
+      .join('; ');
+    return `${details.functionalLocation}: ${changes}`;
+  }
+  return '';
+}
@@ -0,0 +1,92 @@
+import * as XLSX from 'xlsx';
+import { AREAS } from './constants';
+
+// App fields that can be mapped from workbook headers
+export const MAPPING_FIELDS = [
+  { key: 'status', label: 'Status', required: true },
+  { key: 'equipmentType', label: 'Equipment Type' },
+  { key: 'description', label: 'Description' },
+  { key: 'functionalLocation', label: 'Functional Location' },
+  { key: 'criticality', label: 'Criticality' },
+  { key: 'alarmDescription', label: 'Alarm Description' },
+  { key: 'rectification', label: 'Rectification' },
+  { key: 'notificationDate', label: 'Notification Date' }
+];
+
+// Built-in profile matching the master workbook layout (including its historic typos)
+export const DEFAULT_PROFILE = {
+  id: null,
+  name: 'Default',
+  isBuiltIn: true,
+  mappings: {
+    status: ['Status'],
+    equipmentType: ['Equiment Type', 'Equipment Type'],
+    description: ['Description'],
+    functionalLocation: ['Functional Location'],
+    criticality: ['Criticality', 'Fleet'],
+    alarmDescription: ['Alarm Description'],
+    rectification: ['Rectification'],
+    notificationDate: ['Notification Date', 'Date']
+  }
+};
+
+const normalizeHeader = (header) => String(header).trim().toLowerCase();
+
+// Collect the header row of every area sheet in the workbook
+export function getWorkbookHeaders(workbook) {
+  const headers = new Set();
+  AREAS.forEach(sheetName => {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet) return;
+    const [headerRow = []] = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+    headerRow.forEach(header => {
+      if (header !== undefined && header !== null && header !== '') headers.add(String(header).trim());
+    });
+  });
+  return [...headers];
+}
+
+// Fields of a profile that have no matching header in the workbook
+export function getUnmappedFields(profile, headers) {
+  const available = new Set(headers.map(normalizeHeader));
+  return MAPPING_FIELDS.filter(field =>
+    !(profile.mappings[field.key] || []).some(alias => available.has(normalizeHeader(alias)))
+  );
+}
+
+// Pick the profile that maps the most fields for the given headers.
+// Earlier profiles win ties, so saved profiles should come before the default.
+export function detectProfile(profiles, headers) {
+  let best = null;
+  let bestScore = -1;
+  profiles.forEach(profile => {
+    const score = MAPPING_FIELDS.length - getUnmappedFields(profile, headers).length;
+    if (score > bestScore) {
+      best = profile;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+// Build a reader that pulls app fields out of a sheet_to_json row using the profile's aliases
+export function createRowMapper(profile) {
+  const aliases = {};
+  MAPPING_FIELDS.forEach(field => {
+    aliases[field.key] = (profile.mappings[field.key] || []).map(normalizeHeader);
+  });
+
+  return (row) => {
+    const normalizedRow = {};
+    Object.keys(row).forEach(header => {
+      normalizedRow[normalizeHeader(header)] = row[header];
+    });
+
+    const mapped = {};
+    MAPPING_FIELDS.forEach(field => {
+      const alias = aliases[field.key].find(a => normalizedRow[a] !== undefined && normalizedRow[a] !== '');
+      mapped[field.key] = alias ? normalizedRow[alias] : '';
+    });
+    return mapped;
+  };
+}
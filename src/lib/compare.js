@@ -0,0 +1,65 @@
+import { formatCriticality } from './equipment';
+
+export const COMPARE_CATEGORIES = [
+  { key: 'newAlerts', label: 'New Alerts', color: '#E31837' },
+  { key: 'escalated', label: 'Escalated (Caution → Warning)', color: '#E31837' },
+  { key: 'resolved', label: 'Resolved', color: '#00B1A9' },
+  { key: 'criticalityChanged', label: 'Criticality Changed', color: '#20419A' },
+  { key: 'unchanged', label: 'Unchanged Alerts', color: '#b8860b' }
+];
+
+const isAlert = (item) => item && item.status !== 'Healthy';
+
+// Categorise the differences between two equipment sets keyed on functional location.
+// Each result item is the current row (or the previous one if it was removed) with
+// `previous` holding the row from the base set.
+export function compareEquipmentSets(baseRows, targetRows) {
+  const baseByLocation = new Map(baseRows.map(item => [item.functionalLocation, item]));
+  const targetByLocation = new Map(targetRows.map(item => [item.functionalLocation, item]));
+
+  const result = Object.fromEntries(COMPARE_CATEGORIES.map(category => [category.key, []]));
+
+  targetRows.forEach(current => {
+    const previous = baseByLocation.get(current.functionalLocation) || null;
+    const entry = { ...current, previous, removed: false };
+
+    if (isAlert(current) && !isAlert(previous)) {
+      result.newAlerts.push(entry);
+    } else if (previous?.status === 'Caution' && current.status === 'Warning') {
+      result.escalated.push(entry);
+    } else if (isAlert(previous) && current.status === 'Healthy') {
+      result.resolved.push(entry);
+    } else if (isAlert(previous) && previous.status === current.status && previous.alarmDescription === current.alarmDescription) {
+      result.unchanged.push(entry);
+    }
+
+    if (previous && formatCriticality(previous.criticality) !== formatCriticality(current.criticality)) {
+      result.criticalityChanged.push(entry);
+    }
+  });
+
+  // Alerts whose tag is no longer in the newer set count as resolved
+  baseRows.forEach(previous => {
+    if (isAlert(previous) && !targetByLocation.has(previous.functionalLocation)) {
+      result.resolved.push({ ...previous, previous, removed: true });
+    }
+  });
+
+  return result;
+}
+
+// Count every category per value of `field` (e.g. 'area' or 'equipmentType').
+// Returns rows like { name: 'Urea', newAlerts: 2, escalated: 0, ... } sorted by name.
+export function countCategoriesBy(result, field) {
+  const rows = {};
+  COMPARE_CATEGORIES.forEach(category => {
+    result[category.key].forEach(item => {
+      const name = item[field] || 'Unknown';
+      if (!rows[name]) {
+        rows[name] = { name, ...Object.fromEntries(COMPARE_CATEGORIES.map(c => [c.key, 0])) };
+      }
+      rows[name][category.key]++;
+    });
+  });
+  return Object.values(rows).sort((a, b) => a.name.localeCompare(b.name));
+}
@@ -0,0 +1,54 @@
+// Sheet names in the master workbook, one per plant area
+export const AREAS = ['Ammonia', 'Utility', 'Urea', 'PDF UET', 'System', 'Turbomachinery'];
+
+// Status values accepted by the equipment table CHECK constraint
+export const STATUSES = ['Healthy', 'Caution', 'Warning'];
+
+// Criticality classes, most critical first
+export const CRITICALITIES = ['C1', 'C2', 'C3'];
+
+// Equipment fields engineers can edit from the dashboard, with their database columns
+export const EDITABLE_FIELDS = [
+  { value: 'status', column: 'status', label: 'Status' },
+  { value: 'criticality', column: 'criticality', label: 'Criticality' },
+  { value: 'alarmDescription', column: 'alarm_description', label: 'Alarm Description' },
+  { value: 'rectification', column: 'rectification', label: 'Rectification' }
+];
+
+// What happens to equipment rows that are missing from a new upload
+export const RETIRE_POLICIES = [
+  { value: 'retire', label: 'Mark as retired (hidden from dashboard)' },
+  { value: 'keep', label: 'Keep as they are' },
+  { value: 'delete', label: 'Delete permanently' }
+];
+
+// Progress of a rectification action, in workflow order
+export const RECTIFICATION_STATES = [
+  { value: 'open', label: 'Open' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'awaiting_parts', label: 'Awaiting Parts' },
+  { value: 'done', label: 'Done' }
+];
+
+// Kinds of file attached to a tag
+export const ATTACHMENT_CATEGORIES = [
+  { value: 'photo', label: 'Photo' },
+  { value: 'datasheet', label: 'Datasheet' },
+  { value: 'calibration_certificate', label: 'Calibration Certificate' },
+  { value: 'other', label: 'Other' }
+];
+
+// Dashboard roles, lowest to highest; each role can do everything the ones before it can
+export const ROLES = [
+  { value: 'viewer', label: 'Viewer' },
+  { value: 'engineer', label: 'Engineer' },
+  { value: 'admin', label: 'Admin' }
+];
+
+// Action types recorded in the audit log
+export const AUDIT_ACTIONS = [
+  { value: 'import', label: 'Import' },
+  { value: 'clear', label: 'Clear All' },
+  { value: 'restore', label: 'Restore' },
+  { value: 'edit', label: 'Record Edit' }
+];
@@ -0,0 +1,77 @@
+const MONTH_MAP = {
+  'jan': 0, 'feb': 1, 'mar': 2, 'apr': 3, 'may': 4, 'jun': 5,
+  'jul': 6, 'aug': 7, 'sep': 8, 'oct': 9, 'nov': 10, 'dec': 11
+};
+
+// Convert an Excel serial number, DD-MMM-YYYY string, ISO string or Date to a Date.
+// Returns null when the value cannot be understood.
+export function toDate(dateValue) {
+  if (!dateValue) return null;
+
+  let date;
+
+  // Handle Excel serial date number
+  if (typeof dateValue === 'number') {
+    date = new Date((dateValue - 25569) * 86400 * 1000);
+  }
+  // Handle string date
+  else if (typeof dateValue === 'string') {
+    // Try DD-MMM-YYYY format (e.g., "15-Nov-2025")
+    const ddMmmYyyyMatch = dateValue.match(/^(\d{1,2})-([A-Za-z]{3})-(\d{4})$/);
+    if (ddMmmYyyyMatch) {
+      const day = parseInt(ddMmmYyyyMatch[1]);
+      const monthStr = ddMmmYyyyMatch[2].toLowerCase();
+      const year = parseInt(ddMmmYyyyMatch[3]);
+      if (MONTH_MAP[monthStr] !== undefined) {
+        date = new Date(year, MONTH_MAP[monthStr], day);
+      }
+    }
+    // Try standard date parsing
+    if (!date || isNaN(date.getTime())) {
+      date = new Date(dateValue);
+    }
+  }
+  // Handle Date object
+  else if (dateValue instanceof Date) {
+    date = dateValue;
+  }
+
+  if (!date || isNaN(date.getTime())) return null;
+  return date;
+}
+
+// Parse various date formats to an ISO date string (YYYY-MM-DD)
+export function parseDate(dateValue) {
+  const date = toDate(dateValue);
+  if (!date) return null;
+  return date.toISOString().split('T')[0];
+}
+
+// Calendar date in local time as YYYY-MM-DD (parseDate uses UTC)
+export function toLocalIsoDate(date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Format a timestamp for display, e.g. "5 Nov 2025, 02:30 pm"
+export function formatDateTime(date) {
+  if (!date) return null;
+  return date.toLocaleString('en-MY', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true
+  });
+}
+
+// Format a YYYY-MM-DD date for display, e.g. "5 Nov 2025"
+export function formatIsoDate(isoDate) {
+  if (!isoDate) return null;
+  return new Date(`${isoDate}T00:00:00`).toLocaleDateString('en-MY', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+}
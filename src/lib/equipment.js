@@ -0,0 +1,77 @@
+import { parseDate } from './dates';
+
+// Transform database format to app format
+export function fromDbRecord(item) {
+  return {
+    area: item.area,
+    equipmentType: item.equipment_type || '',
+    description: item.description || '',
+    functionalLocation: item.functional_location || '',
+    criticality: item.criticality || '',
+    status: item.status,
+    alarmDescription: item.alarm_description || '',
+    rectification: item.rectification || '',
+    notificationDate: item.notification_date || '',
+    // Kept as the raw timestamp string so edits can detect concurrent changes
+    updatedAt: item.updated_at || ''
+  };
+}
+
+// Transform app format to database format
+export function toDbRecord(item) {
+  return {
+    area: item.area,
+    status: item.status,
+    equipment_type: item.equipmentType || null,
+    description: item.description || null,
+    functional_location: item.functionalLocation,
+    criticality: item.criticality || null,
+    alarm_description: item.alarmDescription || null,
+    rectification: item.rectification || null,
+    notification_date: parseDate(item.notificationDate)
+  };
+}
+
+// Format criticality to C1/C2/C3 format
+export function formatCriticality(criticality) {
+  if (!criticality) return '-';
+  const critMap = {
+    'high': 'C1',
+    'medium': 'C2',
+    'low': 'C3',
+    'c1': 'C1',
+    'c2': 'C2',
+    'c3': 'C3'
+  };
+  return critMap[String(criticality).toLowerCase()] || criticality;
+}
+
+// Group items by equipment type, sorted alphabetically
+export function groupByEquipmentType(items) {
+  const groups = {};
+  items.forEach(item => {
+    if (!groups[item.equipmentType]) {
+      groups[item.equipmentType] = [];
+    }
+    groups[item.equipmentType].push(item);
+  });
+  return Object.keys(groups).sort().map(type => ({
+    equipmentType: type,
+    items: groups[type]
+  }));
+}
+
+// Count items per area, e.g. { Urea: 120, Ammonia: 80 }
+export function countByArea(items) {
+  return items.reduce((counts, item) => {
+    counts[item.area] = (counts[item.area] || 0) + 1;
+    return counts;
+  }, {});
+}
+
+// Parent of a functional location: everything before the last separator,
+// e.g. 'PCFK-UR-FT-1001' -> 'PCFK-UR-FT'. Empty when there is no parent.
+export function getParentLocation(functionalLocation) {
+  const match = String(functionalLocation || '').match(/^(.+)[-./][^-./]+$/);
+  return match ? match[1] : '';
+}
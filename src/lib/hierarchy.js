@@ -0,0 +1,76 @@
+// How functional locations are read as a hierarchy: the first segments
+// (split on the separator) are the named levels, the rest is the tag,
+// e.g. PCFK-AMM-101-PT-1001 -> Plant PCFK / Unit AMM / System 101
+export const DEFAULT_HIERARCHY = { separator: '-', levels: ['Plant', 'Unit', 'System'] };
+
+// Fill in a stored hierarchy setting with the defaults
+export function mergeHierarchyConfig(config) {
+  return {
+    separator: config?.separator || DEFAULT_HIERARCHY.separator,
+    levels: Array.isArray(config?.levels) && config.levels.length > 0 ? config.levels : DEFAULT_HIERARCHY.levels
+  };
+}
+
+// Node ids from the top level down, e.g. ['PCFK', 'PCFK-AMM', 'PCFK-AMM-101'].
+// A location with fewer segments than levels stops at its own depth.
+export function getLocationPath(functionalLocation, { separator, levels }) {
+  const segments = String(functionalLocation || '').split(separator).filter(Boolean);
+  return segments.slice(0, levels.length).map((_, i) => segments.slice(0, i + 1).join(separator));
+}
+
+// Location filter for a selected node id, or null for no filter
+export function toLocationFilter(nodeId, { separator }) {
+  return nodeId ? { id: nodeId, prefix: `${nodeId}${separator}` } : null;
+}
+
+// Whether an item is the node itself or anywhere below it
+export function matchesLocation(item, locationFilter) {
+  if (!locationFilter) return true;
+  return item.functionalLocation === locationFilter.id || item.functionalLocation.startsWith(locationFilter.prefix);
+}
+
+const emptyNode = (id, name, depth, level) => ({
+  id,
+  name,
+  depth,
+  level,
+  total: 0,
+  Healthy: 0,
+  Caution: 0,
+  Warning: 0,
+  healthPercent: 0,
+  children: []
+});
+
+// Tree of hierarchy nodes with status counts rolled up to every level;
+// children are sorted by name
+export function buildLocationTree(items, config) {
+  const nodes = new Map();
+  const roots = [];
+
+  items.forEach(item => {
+    let parent = null;
+    getLocationPath(item.functionalLocation, config).forEach((id, depth) => {
+      if (!nodes.has(id)) {
+        const node = emptyNode(id, id.slice(parent ? parent.id.length + config.separator.length : 0), depth, config.levels[depth]);
+        nodes.set(id, node);
+        (parent ? parent.children : roots).push(node);
+      }
+      const node = nodes.get(id);
+      node.total++;
+      if (node[item.status] !== undefined) node[item.status]++;
+      parent = node;
+    });
+  });
+
+  const finish = (list) => {
+    list.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    list.forEach(node => {
+      node.healthPercent = Number(((node.Healthy / node.total) * 100).toFixed(1));
+      finish(node.children);
+    });
+    return list;
+  };
+
+  return finish(roots);
+}
@@ -0,0 +1,100 @@
+import { AREAS, CRITICALITIES } from './constants';
+import { formatCriticality } from './equipment';
+
+// Measures a KPI can target; 'min' targets are floors, 'max' targets are ceilings
+export const KPI_METRICS = [
+  { value: 'health_percent', label: 'Health %', direction: 'min' },
+  { value: 'warning_count', label: 'Warnings', direction: 'max' },
+  { value: 'caution_count', label: 'Cautions', direction: 'max' }
+];
+
+// Area and criticality of 'All' cover the whole plant and every criticality.
+// Tolerance is how far past the target still counts as amber rather than red.
+export const DEFAULT_KPI_TARGETS = [
+  { area: 'All', criticality: 'All', metric: 'health_percent', target: 90, tolerance: 5 },
+  { area: 'Ammonia', criticality: 'All', metric: 'health_percent', target: 95, tolerance: 3 },
+  { area: 'All', criticality: 'C1', metric: 'warning_count', target: 0, tolerance: 0 }
+];
+
+export const RAG_COLORS = { green: '#00B1A9', amber: '#FDB924', red: '#E31837', none: '#9ca3af' };
+
+export const RAG_LABELS = { green: 'On target', amber: 'Near target', red: 'Missed', none: 'No tags' };
+
+const getMetric = (value) => KPI_METRICS.find(metric => metric.value === value);
+
+// Drop stored KPIs that no longer make sense (unknown metric, area or criticality)
+export function normaliseKpis(kpis) {
+  if (!Array.isArray(kpis)) return DEFAULT_KPI_TARGETS;
+  return kpis
+    .filter(kpi => getMetric(kpi?.metric) &&
+      (kpi.area === 'All' || AREAS.includes(kpi.area)) &&
+      (kpi.criticality === 'All' || CRITICALITIES.includes(kpi.criticality)))
+    .map(kpi => ({
+      area: kpi.area,
+      criticality: kpi.criticality,
+      metric: kpi.metric,
+      target: Number(kpi.target) || 0,
+      tolerance: Math.max(0, Number(kpi.tolerance) || 0)
+    }));
+}
+
+// "Ammonia C1 Warnings", "Plant Health %"
+export function formatKpi(kpi) {
+  const scope = [kpi.area === 'All' ? 'Plant' : kpi.area, kpi.criticality === 'All' ? null : kpi.criticality];
+  return [...scope, getMetric(kpi.metric).label].filter(Boolean).join(' ');
+}
+
+// "≥ 95%", "≤ 0"
+export function formatTarget(kpi) {
+  const metric = getMetric(kpi.metric);
+  return `${metric.direction === 'min' ? '≥' : '≤'} ${kpi.target}${metric.value === 'health_percent' ? '%' : ''}`;
+}
+
+// "93.5%", "2", or "-" when nothing is in scope
+export function formatActual(kpi, actual) {
+  if (actual === null) return '-';
+  return `${actual}${kpi.metric === 'health_percent' ? '%' : ''}`;
+}
+
+// Where an actual value sits against the KPI: green meets the target, amber
+// is within the tolerance of it, red is further out
+export function getRagState(kpi, actual) {
+  if (actual === null) return 'none';
+  const isMin = getMetric(kpi.metric).direction === 'min';
+  const gap = isMin ? kpi.target - actual : actual - kpi.target;
+  if (gap <= 0) return 'green';
+  return gap <= kpi.tolerance ? 'amber' : 'red';
+}
+
+// Measure a KPI over the items in its area and criticality; actual is null
+// when no items are in scope
+export function measureKpi(kpi, items) {
+  const scoped = items.filter(item =>
+    (kpi.area === 'All' || item.area === kpi.area) &&
+    (kpi.criticality === 'All' || formatCriticality(item.criticality) === kpi.criticality));
+  if (scoped.length === 0) return { actual: null, total: 0 };
+
+  let actual;
+  if (kpi.metric === 'health_percent') {
+    const healthy = scoped.filter(item => item.status === 'Healthy').length;
+    actual = Math.round((healthy / scoped.length) * 1000) / 10;
+  } else {
+    const status = kpi.metric === 'warning_count' ? 'Warning' : 'Caution';
+    actual = scoped.filter(item => item.status === status).length;
+  }
+  return { actual, total: scoped.length };
+}
+
+export function evaluateKpis(kpis, items) {
+  return kpis.map(kpi => {
+    const { actual, total } = measureKpi(kpi, items);
+    return { kpi, actual, total, state: getRagState(kpi, actual) };
+  });
+}
+
+// Health % target for an area's headline figure: the area's own KPI,
+// falling back to the plant-wide one
+export function findHealthTarget(kpis, area) {
+  const healthKpis = kpis.filter(kpi => kpi.metric === 'health_percent' && kpi.criticality === 'All');
+  return healthKpis.find(kpi => kpi.area === area) || healthKpis.find(kpi => kpi.area === 'All') || null;
+}
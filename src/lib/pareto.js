@@ -0,0 +1,61 @@
+// Filler words dropped when grouping alarm descriptions
+const STOP_WORDS = new Set(['a', 'an', 'the', 'of', 'at', 'on', 'in', 'is', 'to', 'and', 'for', 'with']);
+
+// Grouping key for an alarm description: lower case, punctuation and
+// numbers (setpoints, tag numbers) removed, filler words dropped, so
+// "High Temp. (120C)" and "high temp" land in the same group
+export function normaliseAlarmText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !/\d/.test(word) && !STOP_WORDS.has(word))
+    .join(' ');
+}
+
+const countBy = (items, key) => items.reduce((counts, item) => {
+  const value = item[key] || 'Unknown';
+  counts[value] = (counts[value] || 0) + 1;
+  return counts;
+}, {});
+
+// Sorted [name, count] pairs, largest first
+export const sortCounts = (counts) => Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+
+// Alarm groups by normalised description, most frequent first, with share,
+// cumulative share and counts per equipment type and area. Each group is
+// labelled with its most common original wording.
+export function buildPareto(items) {
+  const groups = new Map();
+
+  items.forEach(item => {
+    const key = normaliseAlarmText(item.alarmDescription) || '(no text)';
+    if (!groups.has(key)) groups.set(key, { key, items: [], wordings: {} });
+    const group = groups.get(key);
+    const wording = String(item.alarmDescription).trim();
+    group.items.push(item);
+    group.wordings[wording] = (group.wordings[wording] || 0) + 1;
+  });
+
+  const total = items.length;
+  let cumulative = 0;
+
+  return [...groups.values()]
+    .sort((a, b) => b.items.length - a.items.length || a.key.localeCompare(b.key))
+    .map((group, index) => {
+      cumulative += group.items.length;
+      const wordings = sortCounts(group.wordings);
+      return {
+        rank: index + 1,
+        key: group.key,
+        label: wordings[0][0],
+        wordings: wordings.map(([wording]) => wording),
+        count: group.items.length,
+        percent: Number(((group.items.length / total) * 100).toFixed(1)),
+        cumulativePercent: Number(((cumulative / total) * 100).toFixed(1)),
+        byEquipmentType: sortCounts(countBy(group.items, 'equipmentType')),
+        byArea: sortCounts(countBy(group.items, 'area')),
+        items: group.items
+      };
+    });
+}
@@ -0,0 +1,35 @@
+import { RECTIFICATION_STATES } from './constants';
+import { toLocalIsoDate } from './dates';
+
+// Transform database format to app format
+export function fromDbAction(row) {
+  return {
+    functionalLocation: row.functional_location,
+    owner: row.owner || '',
+    targetDate: row.target_date || '',
+    state: row.state,
+    sapNotification: row.sap_notification || '',
+    updatedBy: row.updated_by || '',
+    updatedAt: row.updated_at ? new Date(row.updated_at) : null
+  };
+}
+
+// Transform app format to database format
+export function toDbAction(action) {
+  return {
+    functional_location: action.functionalLocation,
+    owner: action.owner.trim() || null,
+    target_date: action.targetDate || null,
+    state: action.state,
+    sap_notification: action.sapNotification.trim() || null
+  };
+}
+
+export function formatActionState(state) {
+  return RECTIFICATION_STATES.find(s => s.value === state)?.label || state;
+}
+
+// An action that is not done and whose target date has passed
+export function isActionOverdue(action, today = toLocalIsoDate()) {
+  return Boolean(action && action.state !== 'done' && action.targetDate && action.targetDate < today);
+}
@@ -0,0 +1,56 @@
+import { CRITICALITIES, STATUSES } from './constants';
+import { formatCriticality } from './equipment';
+
+// Risk weight per criticality and status; a tag contributes the weight of its cell
+export const DEFAULT_RISK_WEIGHTS = {
+  C1: { Healthy: 0, Caution: 6, Warning: 9 },
+  C2: { Healthy: 0, Caution: 4, Warning: 6 },
+  C3: { Healthy: 0, Caution: 2, Warning: 3 }
+};
+
+// Fill in cells missing from a stored weights setting with the defaults
+export function mergeRiskWeights(weights) {
+  return Object.fromEntries(CRITICALITIES.map(crit => [
+    crit,
+    { ...DEFAULT_RISK_WEIGHTS[crit], ...(weights?.[crit] || {}) }
+  ]));
+}
+
+// Criticality × status matrix with the items in each cell, and a weighted risk
+// score per area: points is the sum of the weights of its tags, index scales
+// that to 0-100 against every tag sitting in the highest-weighted cell.
+// Tags without a C1/C2/C3 criticality are left out and counted separately.
+export function buildRiskMatrix(items, weights) {
+  const cells = Object.fromEntries(CRITICALITIES.map(crit => [
+    crit,
+    Object.fromEntries(STATUSES.map(status => [status, []]))
+  ]));
+  const maxWeight = Math.max(...CRITICALITIES.flatMap(crit => STATUSES.map(status => weights[crit][status])));
+  const areas = {};
+  let unclassifiedCount = 0;
+
+  items.forEach(item => {
+    const crit = formatCriticality(item.criticality);
+    if (!cells[crit] || !cells[crit][item.status]) {
+      unclassifiedCount++;
+      return;
+    }
+    cells[crit][item.status].push(item);
+    if (!areas[item.area]) areas[item.area] = { area: item.area, total: 0, points: 0 };
+    areas[item.area].total++;
+    areas[item.area].points += weights[crit][item.status];
+  });
+
+  const toScore = (entry) => ({
+    ...entry,
+    index: entry.total > 0 && maxWeight > 0 ? Number(((entry.points / (entry.total * maxWeight)) * 100).toFixed(1)) : 0
+  });
+
+  const areaScores = Object.values(areas).map(toScore).sort((a, b) => b.index - a.index);
+  const plant = toScore(areaScores.reduce(
+    (sum, entry) => ({ area: 'Plant', total: sum.total + entry.total, points: sum.points + entry.points }),
+    { area: 'Plant', total: 0, points: 0 }
+  ));
+
+  return { cells, areaScores, plant, maxWeight, unclassifiedCount };
+}
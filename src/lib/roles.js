@@ -0,0 +1,12 @@
+import { ROLES } from './constants';
+
+const rank = (role) => ROLES.findIndex(r => r.value === role);
+
+// True when `role` is at least `requiredRole` in the ROLES order
+export function hasRole(role, requiredRole) {
+  return rank(role) !== -1 && rank(role) >= rank(requiredRole);
+}
+
+export function formatRole(role) {
+  return ROLES.find(r => r.value === role)?.label || role;
+}
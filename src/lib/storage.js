@@ -0,0 +1,160 @@
+import { supabase } from './supabase';
+
+// Private Supabase Storage bucket created by migration 014
+export const ATTACHMENT_BUCKET = 'equipment-attachments';
+
+// Matches the bucket's file_size_limit and allowed_mime_types
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+export const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'application/pdf'];
+
+// Signed URLs for the private bucket stay valid for an hour
+const SIGNED_URL_SECONDS = 3600;
+
+// Why a file cannot be attached, or null
+export function validateAttachment(file) {
+  if (!ATTACHMENT_TYPES.includes(file.type)) {
+    return `${file.name}: only images (JPEG, PNG, WebP, GIF, HEIC) and PDFs can be attached`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name}: files must be 10 MB or smaller`;
+  }
+  return null;
+}
+
+export function isImageAttachment(attachment) {
+  return attachment.contentType?.startsWith('image/') && attachment.contentType !== 'image/heic';
+}
+
+// <functional location>/<timestamp>-<file name>, with characters Storage rejects replaced
+const buildPath = (functionalLocation, fileName) => {
+  const safe = (value) => value.replace(/[^A-Za-z0-9._-]/g, '_');
+  return `${safe(functionalLocation)}/${Date.now()}-${safe(fileName)}`;
+};
+
+// Transform database format to app format
+const fromDbAttachment = (row, url) => ({
+  id: row.id,
+  functionalLocation: row.functional_location,
+  storagePath: row.storage_path,
+  fileName: row.file_name,
+  contentType: row.content_type || '',
+  sizeBytes: row.size_bytes || 0,
+  category: row.category,
+  uploadedBy: row.uploaded_by || '',
+  createdAt: new Date(row.created_at),
+  url
+});
+
+// Files in the Supabase Storage bucket, described by rows in tag_attachments
+function createSupabaseAttachmentStore() {
+  const bucket = () => supabase.storage.from(ATTACHMENT_BUCKET);
+
+  return {
+    isLocal: false,
+
+    async list(functionalLocation) {
+      const { data, error } = await supabase
+        .from('tag_attachments')
+        .select('*')
+        .eq('functional_location', functionalLocation)
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      if (data.length === 0) return [];
+
+      const { data: urls, error: urlError } = await bucket()
+        .createSignedUrls(data.map(row => row.storage_path), SIGNED_URL_SECONDS);
+
+      if (urlError) throw urlError;
+
+      const urlByPath = Object.fromEntries(urls.map(url => [url.path, url.signedUrl]));
+      return data.map(row => fromDbAttachment(row, urlByPath[row.storage_path] || null));
+    },
+
+    async upload(functionalLocation, file, { category, uploadedBy }) {
+      const path = buildPath(functionalLocation, file.name);
+
+      const { error: uploadError } = await bucket().upload(path, file, { contentType: file.type });
+      if (uploadError) throw uploadError;
+
+      const { data, error } = await supabase
+        .from('tag_attachments')
+        .insert({
+          functional_location: functionalLocation,
+          storage_path: path,
+          file_name: file.name,
+          content_type: file.type,
+          size_bytes: file.size,
+          category,
+          uploaded_by: uploadedBy
+        })
+        .select('*')
+        .single();
+
+      if (error) {
+        // Don't leave an orphaned file behind
+        await bucket().remove([path]);
+        throw error;
+      }
+
+      const { data: signed } = await bucket().createSignedUrl(path, SIGNED_URL_SECONDS);
+      return fromDbAttachment(data, signed?.signedUrl || null);
+    },
+
+    async remove(attachment) {
+      const { error } = await supabase
+        .from('tag_attachments')
+        .delete()
+        .eq('id', attachment.id);
+
+      if (error) throw error;
+
+      const { error: removeError } = await bucket().remove([attachment.storagePath]);
+      if (removeError) throw removeError;
+    }
+  };
+}
+
+// Stand-in for development and tests without Supabase Storage: files are kept in
+// memory as object URLs until the page is reloaded
+function createLocalAttachmentStore() {
+  let attachments = [];
+  let nextId = 1;
+
+  return {
+    isLocal: true,
+
+    async list(functionalLocation) {
+      return attachments
+        .filter(attachment => attachment.functionalLocation === functionalLocation)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async upload(functionalLocation, file, { category, uploadedBy }) {
+      const attachment = {
+        id: nextId++,
+        functionalLocation,
+        storagePath: buildPath(functionalLocation, file.name),
+        fileName: file.name,
+        contentType: file.type,
+        sizeBytes: file.size,
+        category,
+        uploadedBy,
+        createdAt: new Date(),
+        url: URL.createObjectURL(file)
+      };
+      attachments = [...attachments, attachment];
+      return attachment;
+    },
+
+    async remove(attachment) {
+      attachments = attachments.filter(a => a.id !== attachment.id);
+      URL.revokeObjectURL(attachment.url);
+    }
+  };
+}
+
+// VITE_ATTACHMENT_STORAGE=local selects the stand-in; it is also used when Supabase is not configured
+export const attachmentStore = import.meta.env.VITE_ATTACHMENT_STORAGE === 'local' || supabase === null
+  ? createLocalAttachmentStore()
+  : createSupabaseAttachmentStore();
@@ -12,3 +12,23 @@ if (!supabaseUrl || !supabaseAnonKey) {
 export const supabase = supabaseUrl && supabaseAnonKey
   ? createClient(supabaseUrl, supabaseAnonKey)
   : null;
+
+// Fetch every row of a query with pagination (Supabase default limit is 1000).
+// buildQuery receives the range to request and must return a query builder.
+export async function fetchAllPages(buildQuery, pageSize = 1000) {
+  let allRows = [];
+  let from = 0;
+  let hasMore = true;
+
+  while (hasMore) {
+    const { data, error } = await buildQuery(from, from + pageSize - 1);
+
+    if (error) throw error;
+
+    allRows = allRows.concat(data);
+    hasMore = data.length === pageSize;
+    from += pageSize;
+  }
+
+  return allRows;
+}
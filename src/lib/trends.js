@@ -0,0 +1,92 @@
+import { formatCriticality } from './equipment';
+
+export const TREND_METRICS = [
+  { value: 'health', label: 'Health %' },
+  { value: 'warning', label: 'Warning count' },
+  { value: 'caution', label: 'Caution count' }
+];
+
+export const TREND_SPLITS = [
+  { value: 'none', label: 'Overall' },
+  { value: 'area', label: 'By Area' },
+  { value: 'equipmentType', label: 'By Equipment Type' },
+  { value: 'criticality', label: 'By Criticality' }
+];
+
+// Lines beyond this are dropped (largest groups are kept) to keep charts readable
+export const MAX_TREND_SERIES = 10;
+
+const seriesKey = (row, splitBy) => {
+  if (splitBy === 'area') return row.area;
+  if (splitBy === 'equipmentType') return row.equipmentType || 'Unknown';
+  if (splitBy === 'criticality') return formatCriticality(row.criticality);
+  return 'Overall';
+};
+
+const metricValue = (bucket, metric) => {
+  if (metric === 'warning') return bucket.Warning;
+  if (metric === 'caution') return bucket.Caution;
+  return bucket.total > 0 ? Number(((bucket.Healthy / bucket.total) * 100).toFixed(1)) : null;
+};
+
+// Turn snapshot_status_counts rows into recharts points: one point per snapshot,
+// one key per series. Filters use the same semantics as the dashboard selects.
+// With monthly granularity only the last snapshot of each month is kept.
+export function buildTrendSeries(counts, { area, equipmentType, status, criticality, splitBy, metric, granularity }) {
+  const filtered = counts.filter(row => {
+    if (area !== 'All' && row.area !== area) return false;
+    if (equipmentType !== 'All' && row.equipmentType !== equipmentType) return false;
+    if (status !== 'All' && row.status !== status) return false;
+    if (criticality !== 'All' && formatCriticality(row.criticality) !== criticality) return false;
+    return true;
+  });
+
+  // Snapshots in chronological order, optionally reduced to one per month
+  const snapshotsById = new Map();
+  counts.forEach(row => snapshotsById.set(row.snapshotId, row.createdAt));
+  let snapshotIds = [...snapshotsById.keys()].sort((a, b) => snapshotsById.get(a) - snapshotsById.get(b));
+
+  if (granularity === 'month') {
+    const lastPerMonth = new Map();
+    snapshotIds.forEach(id => {
+      const date = snapshotsById.get(id);
+      lastPerMonth.set(`${date.getFullYear()}-${date.getMonth()}`, id);
+    });
+    snapshotIds = [...lastPerMonth.values()];
+  }
+
+  // Group counts per snapshot and series
+  const buckets = {};
+  const seriesTotals = {};
+  filtered.forEach(row => {
+    const key = seriesKey(row, splitBy);
+    if (key === '-') return; // Skip items without criticality when splitting by it
+    if (!buckets[row.snapshotId]) buckets[row.snapshotId] = {};
+    if (!buckets[row.snapshotId][key]) {
+      buckets[row.snapshotId][key] = { Healthy: 0, Caution: 0, Warning: 0, total: 0 };
+    }
+    buckets[row.snapshotId][key][row.status] += row.count;
+    buckets[row.snapshotId][key].total += row.count;
+    seriesTotals[key] = (seriesTotals[key] || 0) + row.count;
+  });
+
+  const allSeries = Object.keys(seriesTotals).sort((a, b) => seriesTotals[b] - seriesTotals[a]);
+  const series = allSeries.slice(0, MAX_TREND_SERIES).sort();
+
+  const points = snapshotIds.map(id => {
+    const date = snapshotsById.get(id);
+    const point = {
+      snapshotId: id,
+      label: granularity === 'month'
+        ? date.toLocaleDateString('en-MY', { month: 'short', year: '2-digit' })
+        : date.toLocaleDateString('en-MY', { day: 'numeric', month: 'short', year: '2-digit' })
+    };
+    series.forEach(key => {
+      const bucket = buckets[id]?.[key];
+      point[key] = bucket ? metricValue(bucket, metric) : null;
+    });
+    return point;
+  });
+
+  return { series, points, hiddenSeriesCount: allSeries.length - series.length };
+}
@@ -0,0 +1,101 @@
+import * as XLSX from 'xlsx';
+import { AREAS, STATUSES } from './constants';
+import { toDate } from './dates';
+import { DEFAULT_PROFILE, createRowMapper, getUnmappedFields, getWorkbookHeaders } from './columnMapping';
+
+// Parse an uploaded workbook into equipment rows plus a validation report.
+// Headers are resolved through the given column-mapping profile.
+// Nothing is saved here - the report is shown to the admin before committing.
+export function parseWorkbook(workbook, profile = DEFAULT_PROFILE) {
+  const mapRow = createRowMapper(profile);
+  const rows = [];
+  const sheets = [];
+  // Functional Location is the upsert key, so it must be unique across all sheets
+  const seenLocations = new Map();
+  const unknownSheets = workbook.SheetNames.filter(name => !AREAS.includes(name));
+
+  AREAS.forEach(sheetName => {
+    if (!workbook.SheetNames.includes(sheetName)) return;
+
+    const sheet = workbook.Sheets[sheetName];
+    const jsonData = XLSX.utils.sheet_to_json(sheet);
+    const sheetReport = {
+      name: sheetName,
+      totalRows: jsonData.length,
+      accepted: 0,
+      rejected: 0,
+      rejectReasons: {},
+      issues: []
+    };
+
+    const reject = (reason, rowNumber, message) => {
+      sheetReport.rejected++;
+      sheetReport.rejectReasons[reason] = (sheetReport.rejectReasons[reason] || 0) + 1;
+      if (message) sheetReport.issues.push({ rowNumber, message, rejected: true });
+    };
+
+    jsonData.forEach(row => {
+      // __rowNum__ is the zero-based worksheet row, so +1 gives the row number shown in Excel
+      const rowNumber = row.__rowNum__ !== undefined ? row.__rowNum__ + 1 : null;
+      const fields = mapRow(row);
+      const status = fields.status ? String(fields.status).trim() : '';
+
+      if (!STATUSES.includes(status)) {
+        reject(status ? `Unknown status "${status}"` : 'Missing status');
+        return;
+      }
+
+      const item = {
+        area: sheetName,
+        equipmentType: String(fields.equipmentType || 'Unknown').trim(),
+        description: fields.description,
+        functionalLocation: String(fields.functionalLocation).trim(),
+        criticality: fields.criticality,
+        status: status,
+        alarmDescription: fields.alarmDescription,
+        rectification: fields.rectification,
+        notificationDate: fields.notificationDate
+      };
+
+      if (!item.functionalLocation) {
+        reject('Missing Functional Location', rowNumber,
+          `Missing Functional Location${item.description ? ` (${item.description})` : ''}`);
+        return;
+      }
+
+      const firstSeen = seenLocations.get(item.functionalLocation);
+      if (firstSeen) {
+        reject('Duplicate Functional Location', rowNumber,
+          `Duplicate ${item.functionalLocation} (first seen in ${firstSeen.sheet}${firstSeen.rowNumber ? ` row ${firstSeen.rowNumber}` : ''})`);
+        return;
+      }
+      seenLocations.set(item.functionalLocation, { sheet: sheetName, rowNumber });
+
+      if (item.notificationDate && !toDate(item.notificationDate)) {
+        sheetReport.issues.push({
+          rowNumber,
+          message: `Unparseable Notification Date "${item.notificationDate}" on ${item.functionalLocation} - imported without a date`,
+          rejected: false
+        });
+      }
+
+      sheetReport.accepted++;
+      rows.push(item);
+    });
+
+    sheets.push(sheetReport);
+  });
+
+  const report = {
+    profileName: profile.name,
+    unmappedFields: getUnmappedFields(profile, getWorkbookHeaders(workbook)).map(field => field.label),
+    sheets,
+    // Only areas with at least one accepted row are replaced; the rest are left untouched
+    areas: sheets.filter(sheet => sheet.accepted > 0).map(sheet => sheet.name),
+    unknownSheets,
+    totalAccepted: sheets.reduce((sum, s) => sum + s.accepted, 0),
+    totalRejected: sheets.reduce((sum, s) => sum + s.rejected, 0)
+  };
+
+  return { rows, report };
+}
@@ -0,0 +1,33 @@
+-- ============================================
+-- Migration 001: Upsert equipment on functional_location
+-- Run after supabase/schema.sql
+-- ============================================
+
+-- Rows that are no longer in the uploaded workbook are retired instead of deleted
+ALTER TABLE equipment ADD COLUMN IF NOT EXISTS retired_at TIMESTAMPTZ;
+
+-- Rows without a functional location cannot be matched on re-upload
+DELETE FROM equipment WHERE functional_location IS NULL OR btrim(functional_location) = '';
+
+-- Keep only the most recently updated row per functional location
+DELETE FROM equipment e
+USING equipment newer
+WHERE e.functional_location = newer.functional_location
+  AND (newer.updated_at, newer.id) > (e.updated_at, e.id);
+
+ALTER TABLE equipment ALTER COLUMN functional_location SET NOT NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'equipment_functional_location_key'
+  ) THEN
+    ALTER TABLE equipment
+      ADD CONSTRAINT equipment_functional_location_key UNIQUE (functional_location);
+  END IF;
+END $$;
+
+-- The unique constraint's index replaces the plain one
+DROP INDEX IF EXISTS idx_equipment_functional_location;
+
+CREATE INDEX IF NOT EXISTS idx_equipment_retired_at ON equipment(retired_at);
@@ -0,0 +1,240 @@
+-- ============================================
+-- Migration 004: Versioned upload snapshots
+-- Every import is kept as an immutable snapshot of the full equipment
+-- set, so past uploads can be browsed read-only from the dashboard.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS upload_snapshots (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  uploaded_by TEXT,
+  file_name TEXT,
+  row_count INTEGER NOT NULL DEFAULT 0,
+  area_counts JSONB NOT NULL DEFAULT '{}'::jsonb,   -- {"Ammonia": 120, ...}
+  status_counts JSONB NOT NULL DEFAULT '{}'::jsonb, -- {"Healthy": 300, ...}
+  import_summary JSONB                              -- inserted / updated / unchanged / retired
+);
+
+CREATE INDEX IF NOT EXISTS idx_upload_snapshots_created_at ON upload_snapshots(created_at DESC);
+
+-- Equipment rows as they were right after the snapshot's import
+CREATE TABLE IF NOT EXISTS snapshot_equipment (
+  id BIGSERIAL PRIMARY KEY,
+  snapshot_id UUID NOT NULL REFERENCES upload_snapshots(id),
+  area TEXT NOT NULL,
+  status TEXT NOT NULL,
+  equipment_type TEXT,
+  description TEXT,
+  functional_location TEXT NOT NULL,
+  criticality TEXT,
+  alarm_description TEXT,
+  rectification TEXT,
+  notification_date DATE
+);
+
+CREATE INDEX IF NOT EXISTS idx_snapshot_equipment_snapshot ON snapshot_equipment(snapshot_id);
+CREATE INDEX IF NOT EXISTS idx_snapshot_equipment_location ON snapshot_equipment(functional_location, snapshot_id);
+
+-- Snapshots are immutable: block updates and deletes
+CREATE OR REPLACE FUNCTION prevent_snapshot_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'Upload snapshots are immutable (% on %)', TG_OP, TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS upload_snapshots_immutable ON upload_snapshots;
+CREATE TRIGGER upload_snapshots_immutable
+  BEFORE UPDATE OR DELETE ON upload_snapshots
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_snapshot_changes();
+
+DROP TRIGGER IF EXISTS snapshot_equipment_immutable ON snapshot_equipment;
+CREATE TRIGGER snapshot_equipment_immutable
+  BEFORE UPDATE OR DELETE ON snapshot_equipment
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_snapshot_changes();
+
+ALTER TABLE upload_snapshots DISABLE ROW LEVEL SECURITY;
+ALTER TABLE snapshot_equipment DISABLE ROW LEVEL SECURITY;
+
+-- Copy the current active equipment set into a new snapshot.
+-- Counts are computed up front because snapshot rows cannot be updated afterwards.
+CREATE OR REPLACE FUNCTION create_equipment_snapshot(
+  p_uploaded_by TEXT,
+  p_file_name TEXT,
+  p_import_summary JSONB DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  v_snapshot_id UUID;
+  v_row_count INTEGER;
+  v_area_counts JSONB;
+  v_status_counts JSONB;
+BEGIN
+  SELECT count(*) INTO v_row_count FROM equipment WHERE retired_at IS NULL;
+
+  SELECT COALESCE(jsonb_object_agg(area, n), '{}'::jsonb) INTO v_area_counts
+  FROM (SELECT area, count(*) AS n FROM equipment WHERE retired_at IS NULL GROUP BY area) a;
+
+  SELECT COALESCE(jsonb_object_agg(status, n), '{}'::jsonb) INTO v_status_counts
+  FROM (SELECT status, count(*) AS n FROM equipment WHERE retired_at IS NULL GROUP BY status) s;
+
+  INSERT INTO upload_snapshots (uploaded_by, file_name, row_count, area_counts, status_counts, import_summary)
+  VALUES (p_uploaded_by, p_file_name, v_row_count, v_area_counts, v_status_counts, p_import_summary)
+  RETURNING id INTO v_snapshot_id;
+
+  INSERT INTO snapshot_equipment (
+    snapshot_id, area, status, equipment_type, description, functional_location,
+    criticality, alarm_description, rectification, notification_date
+  )
+  SELECT
+    v_snapshot_id, area, status, equipment_type, description, functional_location,
+    criticality, alarm_description, rectification, notification_date
+  FROM equipment
+  WHERE retired_at IS NULL;
+
+  RETURN v_snapshot_id;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP FUNCTION IF EXISTS import_equipment(JSONB, TEXT[], TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION import_equipment(
+  p_rows JSONB,
+  p_areas TEXT[] DEFAULT NULL,
+  p_retire_policy TEXT DEFAULT 'retire',
+  p_refreshed_by TEXT DEFAULT 'Admin',
+  p_file_name TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_total INTEGER;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_areas TEXT[];
+  v_snapshot_id UUID;
+BEGIN
+  IF p_retire_policy NOT IN ('retire', 'keep', 'delete') THEN
+    RAISE EXCEPTION 'Unknown retire policy: %', p_retire_policy;
+  END IF;
+
+  IF p_rows IS NULL OR jsonb_typeof(p_rows) <> 'array' OR jsonb_array_length(p_rows) = 0 THEN
+    RAISE EXCEPTION 'No equipment rows to import';
+  END IF;
+
+  v_total := jsonb_array_length(p_rows);
+
+  -- Areas being replaced default to the areas present in the upload
+  v_areas := COALESCE(
+    p_areas,
+    ARRAY(SELECT DISTINCT r->>'area' FROM jsonb_array_elements(p_rows) r)
+  );
+
+  -- Insert new rows and update rows whose content changed (or that were retired).
+  -- xmax = 0 only for freshly inserted tuples, which tells inserts and updates apart.
+  WITH incoming AS (
+    SELECT *
+    FROM jsonb_to_recordset(p_rows) AS r(
+      area TEXT,
+      status TEXT,
+      equipment_type TEXT,
+      description TEXT,
+      functional_location TEXT,
+      criticality TEXT,
+      alarm_description TEXT,
+      rectification TEXT,
+      notification_date DATE
+    )
+  ),
+  upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM incoming
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Apply the retire policy to active rows of the uploaded areas that are not in this upload.
+  -- Rows of areas without a sheet in the workbook are left untouched.
+  IF p_retire_policy = 'retire' THEN
+    UPDATE equipment e
+    SET retired_at = v_now
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  ELSIF p_retire_policy = 'delete' THEN
+    DELETE FROM equipment e
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  END IF;
+
+  -- Stamp the refresh in the same transaction
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, p_refreshed_by)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  -- Record the resulting equipment set as an immutable snapshot
+  v_snapshot_id := create_equipment_snapshot(
+    p_refreshed_by,
+    p_file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'unchanged', v_total - v_inserted - v_updated,
+      'retired', v_retired,
+      'retirePolicy', p_retire_policy,
+      'areas', to_jsonb(v_areas)
+    )
+  );
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'unchanged', v_total - v_inserted - v_updated,
+    'retired', v_retired,
+    'retirePolicy', p_retire_policy,
+    'areas', to_jsonb(v_areas),
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql;
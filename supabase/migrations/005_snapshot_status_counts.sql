@@ -0,0 +1,18 @@
+-- ============================================
+-- Migration 005: Snapshot status counts for trend charts
+-- Aggregates snapshot rows so the Trends tab does not have to
+-- download every row of every snapshot.
+-- ============================================
+
+CREATE OR REPLACE VIEW snapshot_status_counts AS
+SELECT
+  s.id AS snapshot_id,
+  s.created_at,
+  e.area,
+  e.equipment_type,
+  e.criticality,
+  e.status,
+  count(*)::INTEGER AS item_count
+FROM upload_snapshots s
+JOIN snapshot_equipment e ON e.snapshot_id = s.id
+GROUP BY s.id, s.created_at, e.area, e.equipment_type, e.criticality, e.status;
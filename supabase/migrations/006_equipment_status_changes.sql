@@ -0,0 +1,211 @@
+-- ============================================
+-- Migration 006: Per-tag status change log
+-- import_equipment records every status, alarm description and
+-- rectification transition per functional location, tied to the
+-- upload snapshot that caused it.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS equipment_status_changes (
+  id BIGSERIAL PRIMARY KEY,
+  functional_location TEXT NOT NULL,
+  snapshot_id UUID REFERENCES upload_snapshots(id),
+  changed_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  changed_by TEXT,
+  change_type TEXT NOT NULL CHECK (change_type IN ('added', 'changed', 'retired', 'restored')),
+  old_status TEXT,
+  new_status TEXT,
+  old_alarm_description TEXT,
+  new_alarm_description TEXT,
+  old_rectification TEXT,
+  new_rectification TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_equipment_status_changes_location
+  ON equipment_status_changes(functional_location, changed_at DESC);
+
+ALTER TABLE equipment_status_changes DISABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION import_equipment(
+  p_rows JSONB,
+  p_areas TEXT[] DEFAULT NULL,
+  p_retire_policy TEXT DEFAULT 'retire',
+  p_refreshed_by TEXT DEFAULT 'Admin',
+  p_file_name TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_total INTEGER;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_areas TEXT[];
+  v_snapshot_id UUID;
+BEGIN
+  IF p_retire_policy NOT IN ('retire', 'keep', 'delete') THEN
+    RAISE EXCEPTION 'Unknown retire policy: %', p_retire_policy;
+  END IF;
+
+  IF p_rows IS NULL OR jsonb_typeof(p_rows) <> 'array' OR jsonb_array_length(p_rows) = 0 THEN
+    RAISE EXCEPTION 'No equipment rows to import';
+  END IF;
+
+  v_total := jsonb_array_length(p_rows);
+
+  -- Keep the pre-import state so transitions can be logged afterwards
+  DROP TABLE IF EXISTS pg_temp.pre_import_equipment;
+  CREATE TEMP TABLE pre_import_equipment ON COMMIT DROP AS
+  SELECT functional_location, status, alarm_description, rectification, retired_at
+  FROM equipment;
+
+  -- Areas being replaced default to the areas present in the upload
+  v_areas := COALESCE(
+    p_areas,
+    ARRAY(SELECT DISTINCT r->>'area' FROM jsonb_array_elements(p_rows) r)
+  );
+
+  -- Insert new rows and update rows whose content changed (or that were retired).
+  -- xmax = 0 only for freshly inserted tuples, which tells inserts and updates apart.
+  WITH incoming AS (
+    SELECT *
+    FROM jsonb_to_recordset(p_rows) AS r(
+      area TEXT,
+      status TEXT,
+      equipment_type TEXT,
+      description TEXT,
+      functional_location TEXT,
+      criticality TEXT,
+      alarm_description TEXT,
+      rectification TEXT,
+      notification_date DATE
+    )
+  ),
+  upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM incoming
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Apply the retire policy to active rows of the uploaded areas that are not in this upload.
+  -- Rows of areas without a sheet in the workbook are left untouched.
+  IF p_retire_policy = 'retire' THEN
+    UPDATE equipment e
+    SET retired_at = v_now
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  ELSIF p_retire_policy = 'delete' THEN
+    DELETE FROM equipment e
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  END IF;
+
+  -- Stamp the refresh in the same transaction
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, p_refreshed_by)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  -- Record the resulting equipment set as an immutable snapshot
+  v_snapshot_id := create_equipment_snapshot(
+    p_refreshed_by,
+    p_file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'unchanged', v_total - v_inserted - v_updated,
+      'retired', v_retired,
+      'retirePolicy', p_retire_policy,
+      'areas', to_jsonb(v_areas)
+    )
+  );
+
+  -- Log status / alarm description / rectification transitions against the pre-import state
+  INSERT INTO equipment_status_changes (
+    functional_location, snapshot_id, changed_at, changed_by, change_type,
+    old_status, new_status,
+    old_alarm_description, new_alarm_description,
+    old_rectification, new_rectification
+  )
+  SELECT
+    COALESCE(cur.functional_location, pre.functional_location),
+    v_snapshot_id,
+    v_now,
+    p_refreshed_by,
+    CASE
+      WHEN pre.functional_location IS NULL THEN 'added'
+      WHEN cur.functional_location IS NULL OR cur.retired_at IS NOT NULL THEN 'retired'
+      WHEN pre.retired_at IS NOT NULL THEN 'restored'
+      ELSE 'changed'
+    END,
+    CASE WHEN pre.retired_at IS NULL THEN pre.status END,
+    CASE WHEN cur.retired_at IS NULL THEN cur.status END,
+    CASE WHEN pre.retired_at IS NULL THEN pre.alarm_description END,
+    CASE WHEN cur.retired_at IS NULL THEN cur.alarm_description END,
+    CASE WHEN pre.retired_at IS NULL THEN pre.rectification END,
+    CASE WHEN cur.retired_at IS NULL THEN cur.rectification END
+  FROM equipment cur
+  FULL OUTER JOIN pre_import_equipment pre ON pre.functional_location = cur.functional_location
+  WHERE
+    -- added
+    (pre.functional_location IS NULL AND cur.retired_at IS NULL)
+    -- retired or deleted
+    OR (pre.retired_at IS NULL AND pre.functional_location IS NOT NULL
+        AND (cur.functional_location IS NULL OR cur.retired_at IS NOT NULL))
+    -- restored
+    OR (pre.retired_at IS NOT NULL AND cur.functional_location IS NOT NULL AND cur.retired_at IS NULL)
+    -- changed while active
+    OR (pre.retired_at IS NULL AND cur.retired_at IS NULL
+        AND pre.functional_location IS NOT NULL AND cur.functional_location IS NOT NULL
+        AND (pre.status, pre.alarm_description, pre.rectification)
+          IS DISTINCT FROM (cur.status, cur.alarm_description, cur.rectification));
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'unchanged', v_total - v_inserted - v_updated,
+    'retired', v_retired,
+    'retirePolicy', p_retire_policy,
+    'areas', to_jsonb(v_areas),
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql;
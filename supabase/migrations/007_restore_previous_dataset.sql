@@ -0,0 +1,422 @@
+-- ============================================
+-- Migration 007: Restore previous dataset
+-- Clear All becomes a recorded snapshot instead of a bare DELETE, and
+-- restore_previous_dataset reverts the equipment table to the state
+-- before the last import or clear. Every restore is itself recorded
+-- as a snapshot (kind = 'restore') so it can be audited.
+-- ============================================
+
+ALTER TABLE upload_snapshots
+  ADD COLUMN IF NOT EXISTS kind TEXT NOT NULL DEFAULT 'import'
+    CHECK (kind IN ('import', 'clear', 'restore'));
+
+-- For restores: the import / clear snapshot whose equipment set was brought back
+ALTER TABLE upload_snapshots
+  ADD COLUMN IF NOT EXISTS restored_from UUID REFERENCES upload_snapshots(id);
+
+DROP FUNCTION IF EXISTS create_equipment_snapshot(TEXT, TEXT, JSONB);
+
+-- Copy the current active equipment set into a new snapshot.
+-- Counts are computed up front because snapshot rows cannot be updated afterwards.
+CREATE OR REPLACE FUNCTION create_equipment_snapshot(
+  p_uploaded_by TEXT,
+  p_file_name TEXT,
+  p_import_summary JSONB DEFAULT NULL,
+  p_kind TEXT DEFAULT 'import',
+  p_restored_from UUID DEFAULT NULL
+)
+RETURNS UUID AS $$
+DECLARE
+  v_snapshot_id UUID;
+  v_row_count INTEGER;
+  v_area_counts JSONB;
+  v_status_counts JSONB;
+BEGIN
+  SELECT count(*) INTO v_row_count FROM equipment WHERE retired_at IS NULL;
+
+  SELECT COALESCE(jsonb_object_agg(area, n), '{}'::jsonb) INTO v_area_counts
+  FROM (SELECT area, count(*) AS n FROM equipment WHERE retired_at IS NULL GROUP BY area) a;
+
+  SELECT COALESCE(jsonb_object_agg(status, n), '{}'::jsonb) INTO v_status_counts
+  FROM (SELECT status, count(*) AS n FROM equipment WHERE retired_at IS NULL GROUP BY status) s;
+
+  INSERT INTO upload_snapshots (uploaded_by, file_name, row_count, area_counts, status_counts, import_summary, kind, restored_from)
+  VALUES (p_uploaded_by, p_file_name, v_row_count, v_area_counts, v_status_counts, p_import_summary, p_kind, p_restored_from)
+  RETURNING id INTO v_snapshot_id;
+
+  INSERT INTO snapshot_equipment (
+    snapshot_id, area, status, equipment_type, description, functional_location,
+    criticality, alarm_description, rectification, notification_date
+  )
+  SELECT
+    v_snapshot_id, area, status, equipment_type, description, functional_location,
+    criticality, alarm_description, rectification, notification_date
+  FROM equipment
+  WHERE retired_at IS NULL;
+
+  RETURN v_snapshot_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Keep the current equipment state so transitions can be logged after a change
+CREATE OR REPLACE FUNCTION capture_equipment_state()
+RETURNS VOID AS $$
+BEGIN
+  DROP TABLE IF EXISTS pg_temp.pre_import_equipment;
+  CREATE TEMP TABLE pre_import_equipment ON COMMIT DROP AS
+  SELECT functional_location, status, alarm_description, rectification, retired_at
+  FROM equipment;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Log status / alarm description / rectification transitions against the captured state
+CREATE OR REPLACE FUNCTION log_equipment_changes(
+  p_snapshot_id UUID,
+  p_changed_by TEXT,
+  p_changed_at TIMESTAMPTZ
+)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO equipment_status_changes (
+    functional_location, snapshot_id, changed_at, changed_by, change_type,
+    old_status, new_status,
+    old_alarm_description, new_alarm_description,
+    old_rectification, new_rectification
+  )
+  SELECT
+    COALESCE(cur.functional_location, pre.functional_location),
+    p_snapshot_id,
+    p_changed_at,
+    p_changed_by,
+    CASE
+      WHEN pre.functional_location IS NULL THEN 'added'
+      WHEN cur.functional_location IS NULL OR cur.retired_at IS NOT NULL THEN 'retired'
+      WHEN pre.retired_at IS NOT NULL THEN 'restored'
+      ELSE 'changed'
+    END,
+    CASE WHEN pre.retired_at IS NULL THEN pre.status END,
+    CASE WHEN cur.retired_at IS NULL THEN cur.status END,
+    CASE WHEN pre.retired_at IS NULL THEN pre.alarm_description END,
+    CASE WHEN cur.retired_at IS NULL THEN cur.alarm_description END,
+    CASE WHEN pre.retired_at IS NULL THEN pre.rectification END,
+    CASE WHEN cur.retired_at IS NULL THEN cur.rectification END
+  FROM equipment cur
+  FULL OUTER JOIN pg_temp.pre_import_equipment pre ON pre.functional_location = cur.functional_location
+  WHERE
+    -- added
+    (pre.functional_location IS NULL AND cur.retired_at IS NULL)
+    -- retired or deleted
+    OR (pre.retired_at IS NULL AND pre.functional_location IS NOT NULL
+        AND (cur.functional_location IS NULL OR cur.retired_at IS NOT NULL))
+    -- restored
+    OR (pre.retired_at IS NOT NULL AND cur.functional_location IS NOT NULL AND cur.retired_at IS NULL)
+    -- changed while active
+    OR (pre.retired_at IS NULL AND cur.retired_at IS NULL
+        AND pre.functional_location IS NOT NULL AND cur.functional_location IS NOT NULL
+        AND (pre.status, pre.alarm_description, pre.rectification)
+          IS DISTINCT FROM (cur.status, cur.alarm_description, cur.rectification));
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION import_equipment(
+  p_rows JSONB,
+  p_areas TEXT[] DEFAULT NULL,
+  p_retire_policy TEXT DEFAULT 'retire',
+  p_refreshed_by TEXT DEFAULT 'Admin',
+  p_file_name TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_total INTEGER;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_areas TEXT[];
+  v_snapshot_id UUID;
+BEGIN
+  IF p_retire_policy NOT IN ('retire', 'keep', 'delete') THEN
+    RAISE EXCEPTION 'Unknown retire policy: %', p_retire_policy;
+  END IF;
+
+  IF p_rows IS NULL OR jsonb_typeof(p_rows) <> 'array' OR jsonb_array_length(p_rows) = 0 THEN
+    RAISE EXCEPTION 'No equipment rows to import';
+  END IF;
+
+  v_total := jsonb_array_length(p_rows);
+
+  PERFORM capture_equipment_state();
+
+  -- Areas being replaced default to the areas present in the upload
+  v_areas := COALESCE(
+    p_areas,
+    ARRAY(SELECT DISTINCT r->>'area' FROM jsonb_array_elements(p_rows) r)
+  );
+
+  -- Insert new rows and update rows whose content changed (or that were retired).
+  -- xmax = 0 only for freshly inserted tuples, which tells inserts and updates apart.
+  WITH incoming AS (
+    SELECT *
+    FROM jsonb_to_recordset(p_rows) AS r(
+      area TEXT,
+      status TEXT,
+      equipment_type TEXT,
+      description TEXT,
+      functional_location TEXT,
+      criticality TEXT,
+      alarm_description TEXT,
+      rectification TEXT,
+      notification_date DATE
+    )
+  ),
+  upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM incoming
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Apply the retire policy to active rows of the uploaded areas that are not in this upload.
+  -- Rows of areas without a sheet in the workbook are left untouched.
+  IF p_retire_policy = 'retire' THEN
+    UPDATE equipment e
+    SET retired_at = v_now
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  ELSIF p_retire_policy = 'delete' THEN
+    DELETE FROM equipment e
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  END IF;
+
+  -- Stamp the refresh in the same transaction
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, p_refreshed_by)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  -- Record the resulting equipment set as an immutable snapshot
+  v_snapshot_id := create_equipment_snapshot(
+    p_refreshed_by,
+    p_file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'unchanged', v_total - v_inserted - v_updated,
+      'retired', v_retired,
+      'retirePolicy', p_retire_policy,
+      'areas', to_jsonb(v_areas)
+    )
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, p_refreshed_by, v_now);
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'unchanged', v_total - v_inserted - v_updated,
+    'retired', v_retired,
+    'retirePolicy', p_retire_policy,
+    'areas', to_jsonb(v_areas),
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Delete every equipment row, recording the (empty) result as a 'clear' snapshot
+-- so the dataset before it can be restored.
+CREATE OR REPLACE FUNCTION clear_equipment(
+  p_cleared_by TEXT DEFAULT 'Admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_deleted INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_snapshot_id UUID;
+BEGIN
+  PERFORM capture_equipment_state();
+
+  DELETE FROM equipment WHERE TRUE;
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+
+  UPDATE dashboard_meta
+  SET last_refreshed_at = v_now, refreshed_by = p_cleared_by
+  WHERE id = 1;
+
+  v_snapshot_id := create_equipment_snapshot(
+    p_cleared_by,
+    NULL,
+    jsonb_build_object('deleted', v_deleted),
+    'clear'
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, p_cleared_by, v_now);
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'deleted', v_deleted,
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+-- Revert the active equipment set to the snapshot taken before the last import or clear.
+-- Restoring again walks further back: a restore undoes the change that produced the
+-- snapshot it restored from, not the restore itself.
+CREATE OR REPLACE FUNCTION restore_previous_dataset(
+  p_restored_by TEXT DEFAULT 'Admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_latest upload_snapshots%ROWTYPE;
+  v_undone upload_snapshots%ROWTYPE;
+  v_target upload_snapshots%ROWTYPE;
+  v_restored_from UUID;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_snapshot_id UUID;
+BEGIN
+  SELECT * INTO v_latest FROM upload_snapshots ORDER BY created_at DESC LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No upload history to restore from';
+  END IF;
+
+  -- The import or clear being undone
+  IF v_latest.kind = 'restore' THEN
+    SELECT * INTO v_undone FROM upload_snapshots WHERE id = v_latest.restored_from;
+  ELSE
+    v_undone := v_latest;
+  END IF;
+
+  SELECT * INTO v_target
+  FROM upload_snapshots
+  WHERE created_at < v_undone.created_at
+  ORDER BY created_at DESC
+  LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No earlier dataset to restore';
+  END IF;
+
+  -- A restore snapshot holds the same rows as the snapshot it restored from
+  v_restored_from := CASE WHEN v_target.kind = 'restore' THEN v_target.restored_from ELSE v_target.id END;
+
+  PERFORM capture_equipment_state();
+
+  WITH upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM snapshot_equipment
+    WHERE snapshot_id = v_target.id
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Active rows that were not in the restored dataset are retired, not deleted
+  UPDATE equipment e
+  SET retired_at = v_now
+  WHERE e.retired_at IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM snapshot_equipment s
+      WHERE s.snapshot_id = v_target.id
+        AND s.functional_location = e.functional_location
+    );
+  GET DIAGNOSTICS v_retired = ROW_COUNT;
+
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, p_restored_by)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  v_snapshot_id := create_equipment_snapshot(
+    p_restored_by,
+    v_target.file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'retired', v_retired,
+      'undoneSnapshotId', v_undone.id
+    ),
+    'restore',
+    v_restored_from
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, p_restored_by, v_now);
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'restoredFrom', v_restored_from,
+    'restoredFromCreatedAt', v_target.created_at,
+    'fileName', v_target.file_name,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'retired', v_retired,
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql;
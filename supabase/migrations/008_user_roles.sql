@@ -0,0 +1,47 @@
+-- ============================================
+-- Migration 008: Dashboard users and roles
+-- Users sign in with Supabase Auth. Each user has one role:
+--   viewer   - read-only dashboard
+--   engineer - viewer, plus record-level work
+--   admin    - can upload, update, clear and restore data
+-- New users start as viewers; promote them with e.g.
+--   UPDATE user_roles SET role = 'admin' WHERE email = 'someone@petronas.com';
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS user_roles (
+  user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
+  email TEXT,
+  role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'engineer', 'admin')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Users can read their own role; roles are changed from the SQL editor
+ALTER TABLE user_roles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can read their own role" ON user_roles;
+CREATE POLICY "Users can read their own role" ON user_roles
+  FOR SELECT
+  TO authenticated
+  USING (user_id = auth.uid());
+
+-- Give every new auth user a viewer role
+CREATE OR REPLACE FUNCTION handle_new_user()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO public.user_roles (user_id, email)
+  VALUES (NEW.id, NEW.email)
+  ON CONFLICT (user_id) DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
+CREATE TRIGGER on_auth_user_created
+  AFTER INSERT ON auth.users
+  FOR EACH ROW
+  EXECUTE FUNCTION handle_new_user();
+
+-- Users created before this migration
+INSERT INTO user_roles (user_id, email)
+SELECT id, email FROM auth.users
+ON CONFLICT (user_id) DO NOTHING;
@@ -0,0 +1,445 @@
+-- ============================================
+-- Migration 009: Row Level Security
+-- Replaces the "RLS disabled" setup with role-based policies:
+--   * signed-in users (any role) can read
+--   * only admins can insert or update equipment, dashboard_meta and
+--     column mapping profiles
+--   * equipment rows are never deleted directly; import_equipment,
+--     clear_equipment and restore_previous_dataset run as SECURITY DEFINER
+--     and check the caller's role themselves
+--   * snapshots and the status change log are written only by those functions
+-- The anon key can no longer read or write anything.
+-- Run supabase/tests/run_rls_tests.sh against a local Postgres to verify.
+-- ============================================
+
+-- Role of the signed-in user, or NULL for anonymous requests
+CREATE OR REPLACE FUNCTION current_user_role()
+RETURNS TEXT AS $$
+  SELECT role FROM user_roles WHERE user_id = auth.uid();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION require_admin(p_message TEXT)
+RETURNS VOID AS $$
+BEGIN
+  IF current_user_role() IS DISTINCT FROM 'admin' THEN
+    RAISE EXCEPTION '%', p_message USING ERRCODE = 'insufficient_privilege';
+  END IF;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- ============================================
+-- Policies
+-- ============================================
+
+ALTER TABLE equipment ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read equipment" ON equipment;
+CREATE POLICY "Signed-in users can read equipment" ON equipment
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Admins can insert equipment" ON equipment;
+CREATE POLICY "Admins can insert equipment" ON equipment
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (current_user_role() = 'admin');
+
+DROP POLICY IF EXISTS "Admins can update equipment" ON equipment;
+CREATE POLICY "Admins can update equipment" ON equipment
+  FOR UPDATE
+  TO authenticated
+  USING (current_user_role() = 'admin')
+  WITH CHECK (current_user_role() = 'admin');
+
+-- No DELETE policy: rows are only removed by the import / clear / restore functions
+
+ALTER TABLE dashboard_meta ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read dashboard meta" ON dashboard_meta;
+CREATE POLICY "Signed-in users can read dashboard meta" ON dashboard_meta
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Admins can insert dashboard meta" ON dashboard_meta;
+CREATE POLICY "Admins can insert dashboard meta" ON dashboard_meta
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (current_user_role() = 'admin');
+
+DROP POLICY IF EXISTS "Admins can update dashboard meta" ON dashboard_meta;
+CREATE POLICY "Admins can update dashboard meta" ON dashboard_meta
+  FOR UPDATE
+  TO authenticated
+  USING (current_user_role() = 'admin')
+  WITH CHECK (current_user_role() = 'admin');
+
+ALTER TABLE column_mapping_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read mapping profiles" ON column_mapping_profiles;
+CREATE POLICY "Signed-in users can read mapping profiles" ON column_mapping_profiles
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage mapping profiles" ON column_mapping_profiles;
+CREATE POLICY "Admins can manage mapping profiles" ON column_mapping_profiles
+  FOR ALL
+  TO authenticated
+  USING (current_user_role() = 'admin')
+  WITH CHECK (current_user_role() = 'admin');
+
+-- History tables are read-only for clients
+ALTER TABLE upload_snapshots ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read snapshots" ON upload_snapshots;
+CREATE POLICY "Signed-in users can read snapshots" ON upload_snapshots
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+ALTER TABLE snapshot_equipment ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read snapshot rows" ON snapshot_equipment;
+CREATE POLICY "Signed-in users can read snapshot rows" ON snapshot_equipment
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+ALTER TABLE equipment_status_changes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read status changes" ON equipment_status_changes;
+CREATE POLICY "Signed-in users can read status changes" ON equipment_status_changes
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- Views run with the owner's rights by default, which would bypass the policies above
+ALTER VIEW snapshot_status_counts SET (security_invoker = true);
+
+-- ============================================
+-- Functions
+-- ============================================
+
+-- Internal helpers are only called from the functions below
+REVOKE EXECUTE ON FUNCTION create_equipment_snapshot(TEXT, TEXT, JSONB, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION capture_equipment_state() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION log_equipment_changes(UUID, TEXT, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+
+-- Imports, clears and restores bypass RLS but require the admin role
+CREATE OR REPLACE FUNCTION import_equipment(
+  p_rows JSONB,
+  p_areas TEXT[] DEFAULT NULL,
+  p_retire_policy TEXT DEFAULT 'retire',
+  p_refreshed_by TEXT DEFAULT 'Admin',
+  p_file_name TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_total INTEGER;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_areas TEXT[];
+  v_snapshot_id UUID;
+BEGIN
+  PERFORM require_admin('Only admins can import equipment data');
+
+  IF p_retire_policy NOT IN ('retire', 'keep', 'delete') THEN
+    RAISE EXCEPTION 'Unknown retire policy: %', p_retire_policy;
+  END IF;
+
+  IF p_rows IS NULL OR jsonb_typeof(p_rows) <> 'array' OR jsonb_array_length(p_rows) = 0 THEN
+    RAISE EXCEPTION 'No equipment rows to import';
+  END IF;
+
+  v_total := jsonb_array_length(p_rows);
+
+  PERFORM capture_equipment_state();
+
+  -- Areas being replaced default to the areas present in the upload
+  v_areas := COALESCE(
+    p_areas,
+    ARRAY(SELECT DISTINCT r->>'area' FROM jsonb_array_elements(p_rows) r)
+  );
+
+  -- Insert new rows and update rows whose content changed (or that were retired).
+  -- xmax = 0 only for freshly inserted tuples, which tells inserts and updates apart.
+  WITH incoming AS (
+    SELECT *
+    FROM jsonb_to_recordset(p_rows) AS r(
+      area TEXT,
+      status TEXT,
+      equipment_type TEXT,
+      description TEXT,
+      functional_location TEXT,
+      criticality TEXT,
+      alarm_description TEXT,
+      rectification TEXT,
+      notification_date DATE
+    )
+  ),
+  upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM incoming
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Apply the retire policy to active rows of the uploaded areas that are not in this upload.
+  -- Rows of areas without a sheet in the workbook are left untouched.
+  IF p_retire_policy = 'retire' THEN
+    UPDATE equipment e
+    SET retired_at = v_now
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  ELSIF p_retire_policy = 'delete' THEN
+    DELETE FROM equipment e
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  END IF;
+
+  -- Stamp the refresh in the same transaction
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, p_refreshed_by)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  -- Record the resulting equipment set as an immutable snapshot
+  v_snapshot_id := create_equipment_snapshot(
+    p_refreshed_by,
+    p_file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'unchanged', v_total - v_inserted - v_updated,
+      'retired', v_retired,
+      'retirePolicy', p_retire_policy,
+      'areas', to_jsonb(v_areas)
+    )
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, p_refreshed_by, v_now);
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'unchanged', v_total - v_inserted - v_updated,
+    'retired', v_retired,
+    'retirePolicy', p_retire_policy,
+    'areas', to_jsonb(v_areas),
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Delete every equipment row, recording the (empty) result as a 'clear' snapshot
+-- so the dataset before it can be restored.
+CREATE OR REPLACE FUNCTION clear_equipment(
+  p_cleared_by TEXT DEFAULT 'Admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_deleted INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_snapshot_id UUID;
+BEGIN
+  PERFORM require_admin('Only admins can clear equipment data');
+
+  PERFORM capture_equipment_state();
+
+  DELETE FROM equipment WHERE TRUE;
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+
+  UPDATE dashboard_meta
+  SET last_refreshed_at = v_now, refreshed_by = p_cleared_by
+  WHERE id = 1;
+
+  v_snapshot_id := create_equipment_snapshot(
+    p_cleared_by,
+    NULL,
+    jsonb_build_object('deleted', v_deleted),
+    'clear'
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, p_cleared_by, v_now);
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'deleted', v_deleted,
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Revert the active equipment set to the snapshot taken before the last import or clear.
+-- Restoring again walks further back: a restore undoes the change that produced the
+-- snapshot it restored from, not the restore itself.
+CREATE OR REPLACE FUNCTION restore_previous_dataset(
+  p_restored_by TEXT DEFAULT 'Admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_latest upload_snapshots%ROWTYPE;
+  v_undone upload_snapshots%ROWTYPE;
+  v_target upload_snapshots%ROWTYPE;
+  v_restored_from UUID;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_snapshot_id UUID;
+BEGIN
+  PERFORM require_admin('Only admins can restore a previous dataset');
+
+  SELECT * INTO v_latest FROM upload_snapshots ORDER BY created_at DESC LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No upload history to restore from';
+  END IF;
+
+  -- The import or clear being undone
+  IF v_latest.kind = 'restore' THEN
+    SELECT * INTO v_undone FROM upload_snapshots WHERE id = v_latest.restored_from;
+  ELSE
+    v_undone := v_latest;
+  END IF;
+
+  SELECT * INTO v_target
+  FROM upload_snapshots
+  WHERE created_at < v_undone.created_at
+  ORDER BY created_at DESC
+  LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No earlier dataset to restore';
+  END IF;
+
+  -- A restore snapshot holds the same rows as the snapshot it restored from
+  v_restored_from := CASE WHEN v_target.kind = 'restore' THEN v_target.restored_from ELSE v_target.id END;
+
+  PERFORM capture_equipment_state();
+
+  WITH upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM snapshot_equipment
+    WHERE snapshot_id = v_target.id
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Active rows that were not in the restored dataset are retired, not deleted
+  UPDATE equipment e
+  SET retired_at = v_now
+  WHERE e.retired_at IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM snapshot_equipment s
+      WHERE s.snapshot_id = v_target.id
+        AND s.functional_location = e.functional_location
+    );
+  GET DIAGNOSTICS v_retired = ROW_COUNT;
+
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, p_restored_by)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  v_snapshot_id := create_equipment_snapshot(
+    p_restored_by,
+    v_target.file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'retired', v_retired,
+      'undoneSnapshotId', v_undone.id
+    ),
+    'restore',
+    v_restored_from
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, p_restored_by, v_now);
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'restoredFrom', v_restored_from,
+    'restoredFromCreatedAt', v_target.created_at,
+    'fileName', v_target.file_name,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'retired', v_retired,
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+REVOKE EXECUTE ON FUNCTION import_equipment(JSONB, TEXT[], TEXT, TEXT, TEXT) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION clear_equipment(TEXT) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION restore_previous_dataset(TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION import_equipment(JSONB, TEXT[], TEXT, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION clear_equipment(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION restore_previous_dataset(TEXT) TO authenticated;
@@ -0,0 +1,493 @@
+-- ============================================
+-- Migration 010: Audit log
+-- One row per import, Clear All, restore and record edit: who, when,
+-- which file, rows per area, and whether it failed. Successful actions
+-- are logged by the functions themselves (in the same transaction);
+-- failures are reported by the dashboard through log_failed_action,
+-- since a failed function call rolls back everything it wrote.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  action TEXT NOT NULL CHECK (action IN ('import', 'clear', 'restore', 'edit')),
+  outcome TEXT NOT NULL DEFAULT 'success' CHECK (outcome IN ('success', 'error')),
+  user_id UUID,
+  user_name TEXT,
+  file_name TEXT,
+  area_counts JSONB NOT NULL DEFAULT '{}'::jsonb, -- {"Urea": 120, ...} rows uploaded / deleted / restored / edited
+  error_message TEXT,
+  details JSONB,                                  -- import summary, edited fields, ...
+  snapshot_id UUID REFERENCES upload_snapshots(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at DESC);
+
+-- The audit log is append-only
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'The audit log is append-only (% on %)', TG_OP, TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+  BEFORE UPDATE OR DELETE ON audit_log
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_audit_log_changes();
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read the audit log" ON audit_log;
+CREATE POLICY "Signed-in users can read the audit log" ON audit_log
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- Record a successful action for the calling user
+CREATE OR REPLACE FUNCTION write_audit_log(
+  p_action TEXT,
+  p_user_name TEXT,
+  p_file_name TEXT,
+  p_area_counts JSONB,
+  p_details JSONB DEFAULT NULL,
+  p_snapshot_id UUID DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO audit_log (action, outcome, user_id, user_name, file_name, area_counts, details, snapshot_id)
+  VALUES (p_action, 'success', auth.uid(), p_user_name, p_file_name, COALESCE(p_area_counts, '{}'::jsonb), p_details, p_snapshot_id);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION write_audit_log(TEXT, TEXT, TEXT, JSONB, JSONB, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Failed imports / clears / restores / edits, reported by the dashboard
+CREATE OR REPLACE FUNCTION log_failed_action(
+  p_action TEXT,
+  p_user_name TEXT,
+  p_file_name TEXT,
+  p_area_counts JSONB,
+  p_error_message TEXT,
+  p_details JSONB DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Sign in to record activity' USING ERRCODE = 'insufficient_privilege';
+  END IF;
+
+  INSERT INTO audit_log (action, outcome, user_id, user_name, file_name, area_counts, error_message, details)
+  VALUES (p_action, 'error', auth.uid(), p_user_name, p_file_name, COALESCE(p_area_counts, '{}'::jsonb), p_error_message, p_details);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION log_failed_action(TEXT, TEXT, TEXT, JSONB, TEXT, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION log_failed_action(TEXT, TEXT, TEXT, JSONB, TEXT, JSONB) TO authenticated;
+
+-- Imports, clears and restores flag their transaction so the row-level edit
+-- trigger below does not log every row they touch
+CREATE OR REPLACE FUNCTION capture_equipment_state()
+RETURNS VOID AS $$
+BEGIN
+  PERFORM set_config('pcfk.bulk_change', 'on', true);
+
+  DROP TABLE IF EXISTS pg_temp.pre_import_equipment;
+  CREATE TEMP TABLE pre_import_equipment ON COMMIT DROP AS
+  SELECT functional_location, status, alarm_description, rectification, retired_at
+  FROM equipment;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Any other update of an equipment row is a record edit
+CREATE OR REPLACE FUNCTION log_equipment_edit()
+RETURNS TRIGGER AS $$
+DECLARE
+  v_changes JSONB;
+BEGIN
+  IF current_setting('pcfk.bulk_change', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+
+  SELECT jsonb_object_agg(n.key, jsonb_build_object('from', o.value, 'to', n.value))
+  INTO v_changes
+  FROM jsonb_each(to_jsonb(NEW)) n
+  JOIN jsonb_each(to_jsonb(OLD)) o USING (key)
+  WHERE n.value IS DISTINCT FROM o.value
+    AND n.key <> 'updated_at';
+
+  IF v_changes IS NOT NULL THEN
+    PERFORM write_audit_log(
+      'edit',
+      COALESCE(auth.email(), session_user::TEXT),
+      NULL,
+      jsonb_build_object(NEW.area, 1),
+      jsonb_build_object('functionalLocation', NEW.functional_location, 'changes', v_changes)
+    );
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS equipment_audit_edit ON equipment;
+CREATE TRIGGER equipment_audit_edit
+  AFTER UPDATE ON equipment
+  FOR EACH ROW
+  EXECUTE FUNCTION log_equipment_edit();
+
+-- Imports, clears and restores now write their own audit entry
+CREATE OR REPLACE FUNCTION import_equipment(
+  p_rows JSONB,
+  p_areas TEXT[] DEFAULT NULL,
+  p_retire_policy TEXT DEFAULT 'retire',
+  p_refreshed_by TEXT DEFAULT 'Admin',
+  p_file_name TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_total INTEGER;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_areas TEXT[];
+  v_snapshot_id UUID;
+BEGIN
+  PERFORM require_admin('Only admins can import equipment data');
+
+  IF p_retire_policy NOT IN ('retire', 'keep', 'delete') THEN
+    RAISE EXCEPTION 'Unknown retire policy: %', p_retire_policy;
+  END IF;
+
+  IF p_rows IS NULL OR jsonb_typeof(p_rows) <> 'array' OR jsonb_array_length(p_rows) = 0 THEN
+    RAISE EXCEPTION 'No equipment rows to import';
+  END IF;
+
+  v_total := jsonb_array_length(p_rows);
+
+  PERFORM capture_equipment_state();
+
+  -- Areas being replaced default to the areas present in the upload
+  v_areas := COALESCE(
+    p_areas,
+    ARRAY(SELECT DISTINCT r->>'area' FROM jsonb_array_elements(p_rows) r)
+  );
+
+  -- Insert new rows and update rows whose content changed (or that were retired).
+  -- xmax = 0 only for freshly inserted tuples, which tells inserts and updates apart.
+  WITH incoming AS (
+    SELECT *
+    FROM jsonb_to_recordset(p_rows) AS r(
+      area TEXT,
+      status TEXT,
+      equipment_type TEXT,
+      description TEXT,
+      functional_location TEXT,
+      criticality TEXT,
+      alarm_description TEXT,
+      rectification TEXT,
+      notification_date DATE
+    )
+  ),
+  upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM incoming
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Apply the retire policy to active rows of the uploaded areas that are not in this upload.
+  -- Rows of areas without a sheet in the workbook are left untouched.
+  IF p_retire_policy = 'retire' THEN
+    UPDATE equipment e
+    SET retired_at = v_now
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  ELSIF p_retire_policy = 'delete' THEN
+    DELETE FROM equipment e
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  END IF;
+
+  -- Stamp the refresh in the same transaction
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, p_refreshed_by)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  -- Record the resulting equipment set as an immutable snapshot
+  v_snapshot_id := create_equipment_snapshot(
+    p_refreshed_by,
+    p_file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'unchanged', v_total - v_inserted - v_updated,
+      'retired', v_retired,
+      'retirePolicy', p_retire_policy,
+      'areas', to_jsonb(v_areas)
+    )
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, p_refreshed_by, v_now);
+
+  PERFORM write_audit_log(
+    'import',
+    p_refreshed_by,
+    p_file_name,
+    (SELECT jsonb_object_agg(area, n)
+     FROM (SELECT r->>'area' AS area, count(*) AS n FROM jsonb_array_elements(p_rows) r GROUP BY 1) a),
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'unchanged', v_total - v_inserted - v_updated,
+      'retired', v_retired,
+      'retirePolicy', p_retire_policy
+    ),
+    v_snapshot_id
+  );
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'unchanged', v_total - v_inserted - v_updated,
+    'retired', v_retired,
+    'retirePolicy', p_retire_policy,
+    'areas', to_jsonb(v_areas),
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Delete every equipment row, recording the (empty) result as a 'clear' snapshot
+-- so the dataset before it can be restored.
+CREATE OR REPLACE FUNCTION clear_equipment(
+  p_cleared_by TEXT DEFAULT 'Admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_deleted INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_snapshot_id UUID;
+  v_area_counts JSONB;
+BEGIN
+  PERFORM require_admin('Only admins can clear equipment data');
+
+  PERFORM capture_equipment_state();
+
+  SELECT COALESCE(jsonb_object_agg(area, n), '{}'::jsonb) INTO v_area_counts
+  FROM (SELECT area, count(*) AS n FROM equipment WHERE retired_at IS NULL GROUP BY area) a;
+
+  DELETE FROM equipment WHERE TRUE;
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+
+  UPDATE dashboard_meta
+  SET last_refreshed_at = v_now, refreshed_by = p_cleared_by
+  WHERE id = 1;
+
+  v_snapshot_id := create_equipment_snapshot(
+    p_cleared_by,
+    NULL,
+    jsonb_build_object('deleted', v_deleted),
+    'clear'
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, p_cleared_by, v_now);
+
+  PERFORM write_audit_log(
+    'clear',
+    p_cleared_by,
+    NULL,
+    v_area_counts,
+    jsonb_build_object('deleted', v_deleted),
+    v_snapshot_id
+  );
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'deleted', v_deleted,
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Revert the active equipment set to the snapshot taken before the last import or clear.
+-- Restoring again walks further back: a restore undoes the change that produced the
+-- snapshot it restored from, not the restore itself.
+CREATE OR REPLACE FUNCTION restore_previous_dataset(
+  p_restored_by TEXT DEFAULT 'Admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_latest upload_snapshots%ROWTYPE;
+  v_undone upload_snapshots%ROWTYPE;
+  v_target upload_snapshots%ROWTYPE;
+  v_restored_from UUID;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_snapshot_id UUID;
+BEGIN
+  PERFORM require_admin('Only admins can restore a previous dataset');
+
+  SELECT * INTO v_latest FROM upload_snapshots ORDER BY created_at DESC LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No upload history to restore from';
+  END IF;
+
+  -- The import or clear being undone
+  IF v_latest.kind = 'restore' THEN
+    SELECT * INTO v_undone FROM upload_snapshots WHERE id = v_latest.restored_from;
+  ELSE
+    v_undone := v_latest;
+  END IF;
+
+  SELECT * INTO v_target
+  FROM upload_snapshots
+  WHERE created_at < v_undone.created_at
+  ORDER BY created_at DESC
+  LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No earlier dataset to restore';
+  END IF;
+
+  -- A restore snapshot holds the same rows as the snapshot it restored from
+  v_restored_from := CASE WHEN v_target.kind = 'restore' THEN v_target.restored_from ELSE v_target.id END;
+
+  PERFORM capture_equipment_state();
+
+  WITH upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM snapshot_equipment
+    WHERE snapshot_id = v_target.id
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Active rows that were not in the restored dataset are retired, not deleted
+  UPDATE equipment e
+  SET retired_at = v_now
+  WHERE e.retired_at IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM snapshot_equipment s
+      WHERE s.snapshot_id = v_target.id
+        AND s.functional_location = e.functional_location
+    );
+  GET DIAGNOSTICS v_retired = ROW_COUNT;
+
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, p_restored_by)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  v_snapshot_id := create_equipment_snapshot(
+    p_restored_by,
+    v_target.file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'retired', v_retired,
+      'undoneSnapshotId', v_undone.id
+    ),
+    'restore',
+    v_restored_from
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, p_restored_by, v_now);
+
+  PERFORM write_audit_log(
+    'restore',
+    p_restored_by,
+    v_target.file_name,
+    v_target.area_counts,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'retired', v_retired,
+      'restoredFrom', v_restored_from,
+      'restoredFromCreatedAt', v_target.created_at
+    ),
+    v_snapshot_id
+  );
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'restoredFrom', v_restored_from,
+    'restoredFromCreatedAt', v_target.created_at,
+    'fileName', v_target.file_name,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'retired', v_retired,
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
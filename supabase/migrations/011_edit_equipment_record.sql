@@ -0,0 +1,103 @@
+-- ============================================
+-- Migration 011: In-dashboard record edits
+-- Engineers and admins can correct the status, criticality, alarm description
+-- and rectification of a single equipment row without re-uploading the
+-- workbook. update_equipment_record rejects the edit when the row changed
+-- since the caller loaded it (updated_at mismatch), logs the edit in the
+-- status change log and, through the equipment_audit_edit trigger from
+-- migration 010, in the audit log.
+-- ============================================
+
+ALTER TABLE equipment_status_changes ADD COLUMN IF NOT EXISTS old_criticality TEXT;
+ALTER TABLE equipment_status_changes ADD COLUMN IF NOT EXISTS new_criticality TEXT;
+
+ALTER TABLE equipment_status_changes DROP CONSTRAINT IF EXISTS equipment_status_changes_change_type_check;
+ALTER TABLE equipment_status_changes ADD CONSTRAINT equipment_status_changes_change_type_check
+  CHECK (change_type IN ('added', 'changed', 'retired', 'restored', 'edited'));
+
+CREATE OR REPLACE FUNCTION require_engineer(p_message TEXT)
+RETURNS VOID AS $$
+BEGIN
+  IF current_user_role() IS NULL OR current_user_role() NOT IN ('engineer', 'admin') THEN
+    RAISE EXCEPTION '%', p_message USING ERRCODE = 'insufficient_privilege';
+  END IF;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+-- p_changes holds any of status, criticality, alarm_description and rectification.
+-- p_expected_updated_at is the updated_at the caller loaded; a different value means
+-- someone else changed the row in the meantime and the edit fails with
+-- serialization_failure (40001). Returns the updated row.
+CREATE OR REPLACE FUNCTION update_equipment_record(
+  p_functional_location TEXT,
+  p_changes JSONB,
+  p_expected_updated_at TIMESTAMPTZ,
+  p_edited_by TEXT DEFAULT 'Admin'
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_old equipment%ROWTYPE;
+  v_new equipment%ROWTYPE;
+  v_unknown TEXT;
+BEGIN
+  PERFORM require_engineer('Only engineers and admins can edit equipment records');
+
+  IF p_changes IS NULL OR jsonb_typeof(p_changes) <> 'object' OR p_changes = '{}'::jsonb THEN
+    RAISE EXCEPTION 'No changes to save';
+  END IF;
+
+  SELECT key INTO v_unknown
+  FROM jsonb_object_keys(p_changes) key
+  WHERE key NOT IN ('status', 'criticality', 'alarm_description', 'rectification')
+  LIMIT 1;
+  IF v_unknown IS NOT NULL THEN
+    RAISE EXCEPTION 'Field % cannot be edited', v_unknown;
+  END IF;
+
+  IF p_changes ? 'status' AND COALESCE(p_changes->>'status', '') NOT IN ('Healthy', 'Caution', 'Warning') THEN
+    RAISE EXCEPTION 'Invalid status: %', p_changes->>'status' USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT * INTO v_old
+  FROM equipment
+  WHERE functional_location = p_functional_location
+    AND retired_at IS NULL
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Equipment % is not in the current dataset', p_functional_location
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF v_old.updated_at IS DISTINCT FROM p_expected_updated_at THEN
+    RAISE EXCEPTION 'Equipment % was changed by someone else since it was loaded', p_functional_location
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  UPDATE equipment SET
+    status = CASE WHEN p_changes ? 'status' THEN p_changes->>'status' ELSE status END,
+    criticality = CASE WHEN p_changes ? 'criticality' THEN NULLIF(p_changes->>'criticality', '') ELSE criticality END,
+    alarm_description = CASE WHEN p_changes ? 'alarm_description' THEN NULLIF(p_changes->>'alarm_description', '') ELSE alarm_description END,
+    rectification = CASE WHEN p_changes ? 'rectification' THEN NULLIF(p_changes->>'rectification', '') ELSE rectification END
+  WHERE id = v_old.id
+  RETURNING * INTO v_new;
+
+  IF (v_old.status, v_old.criticality, v_old.alarm_description, v_old.rectification)
+     IS DISTINCT FROM
+     (v_new.status, v_new.criticality, v_new.alarm_description, v_new.rectification) THEN
+    INSERT INTO equipment_status_changes (
+      functional_location, snapshot_id, changed_at, changed_by, change_type,
+      old_status, new_status, old_alarm_description, new_alarm_description,
+      old_rectification, new_rectification, old_criticality, new_criticality
+    ) VALUES (
+      v_new.functional_location, NULL, v_new.updated_at, p_edited_by, 'edited',
+      v_old.status, v_new.status, v_old.alarm_description, v_new.alarm_description,
+      v_old.rectification, v_new.rectification, v_old.criticality, v_new.criticality
+    );
+  END IF;
+
+  RETURN to_jsonb(v_new);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+REVOKE EXECUTE ON FUNCTION update_equipment_record(TEXT, JSONB, TIMESTAMPTZ, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION update_equipment_record(TEXT, JSONB, TIMESTAMPTZ, TEXT) TO authenticated;
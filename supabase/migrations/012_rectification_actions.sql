@@ -0,0 +1,50 @@
+-- ============================================
+-- Migration 012: Rectification actions
+-- One tracked action per alerting tag: owner, target date, state and an
+-- optional SAP notification number. Keyed on functional_location (like the
+-- status change log) so actions survive re-imports, Clear All and restores.
+-- Engineers and admins can create and update actions; everyone signed in
+-- can read them.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS rectification_actions (
+  functional_location TEXT PRIMARY KEY,
+  owner TEXT,
+  target_date DATE,
+  state TEXT NOT NULL DEFAULT 'open' CHECK (state IN ('open', 'in_progress', 'awaiting_parts', 'done')),
+  sap_notification TEXT,
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rectification_actions_state ON rectification_actions(state, target_date);
+
+DROP TRIGGER IF EXISTS update_rectification_actions_updated_at ON rectification_actions;
+CREATE TRIGGER update_rectification_actions_updated_at
+  BEFORE UPDATE ON rectification_actions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE rectification_actions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read rectification actions" ON rectification_actions;
+CREATE POLICY "Signed-in users can read rectification actions" ON rectification_actions
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Engineers can insert rectification actions" ON rectification_actions;
+CREATE POLICY "Engineers can insert rectification actions" ON rectification_actions
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (current_user_role() IN ('engineer', 'admin'));
+
+DROP POLICY IF EXISTS "Engineers can update rectification actions" ON rectification_actions;
+CREATE POLICY "Engineers can update rectification actions" ON rectification_actions
+  FOR UPDATE
+  TO authenticated
+  USING (current_user_role() IN ('engineer', 'admin'))
+  WITH CHECK (current_user_role() IN ('engineer', 'admin'));
+
+-- No DELETE policy: an action is closed by setting its state to 'done'
@@ -0,0 +1,45 @@
+-- ============================================
+-- Migration 013: Per-tag comment threads
+-- Discussion about a tag, keyed on functional_location so threads survive
+-- re-uploads, Clear All and restores. Every signed-in user can read and post;
+-- comments cannot be edited or deleted.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS tag_comments (
+  id BIGSERIAL PRIMARY KEY,
+  functional_location TEXT NOT NULL,
+  body TEXT NOT NULL CHECK (length(btrim(body)) > 0),
+  author_id UUID DEFAULT auth.uid(),
+  author_name TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tag_comments_location ON tag_comments(functional_location, created_at DESC);
+
+ALTER TABLE tag_comments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read comments" ON tag_comments;
+CREATE POLICY "Signed-in users can read comments" ON tag_comments
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+-- Users post as themselves
+DROP POLICY IF EXISTS "Signed-in users can post comments" ON tag_comments;
+CREATE POLICY "Signed-in users can post comments" ON tag_comments
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (author_id = auth.uid());
+
+-- Comment count and latest comment per tag, for the Alerts and Obsolescence tables
+CREATE OR REPLACE VIEW tag_comment_summary AS
+SELECT DISTINCT ON (functional_location)
+  functional_location,
+  count(*) OVER (PARTITION BY functional_location) AS comment_count,
+  body AS latest_body,
+  author_name AS latest_author_name,
+  created_at AS latest_created_at
+FROM tag_comments
+ORDER BY functional_location, created_at DESC, id DESC;
+
+ALTER VIEW tag_comment_summary SET (security_invoker = true);
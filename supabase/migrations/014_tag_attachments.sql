@@ -0,0 +1,72 @@
+-- ============================================
+-- Migration 014: Photo and document attachments per tag
+-- Files live in the private "equipment-attachments" Storage bucket under
+-- <functional location>/<timestamp>-<file name>; tag_attachments records
+-- what each file is. Both are keyed on functional_location so attachments
+-- survive re-uploads. Signed-in users can view attachments; engineers and
+-- admins can upload and delete them.
+-- ============================================
+
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+  'equipment-attachments',
+  'equipment-attachments',
+  false,
+  10485760,
+  ARRAY['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'application/pdf']
+)
+ON CONFLICT (id) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS tag_attachments (
+  id BIGSERIAL PRIMARY KEY,
+  functional_location TEXT NOT NULL,
+  storage_path TEXT NOT NULL UNIQUE,
+  file_name TEXT NOT NULL,
+  content_type TEXT,
+  size_bytes BIGINT,
+  category TEXT NOT NULL DEFAULT 'photo' CHECK (category IN ('photo', 'datasheet', 'calibration_certificate', 'other')),
+  uploaded_by TEXT,
+  uploaded_by_id UUID DEFAULT auth.uid(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_tag_attachments_location ON tag_attachments(functional_location, created_at DESC);
+
+ALTER TABLE tag_attachments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read attachments" ON tag_attachments;
+CREATE POLICY "Signed-in users can read attachments" ON tag_attachments
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Engineers can add attachments" ON tag_attachments;
+CREATE POLICY "Engineers can add attachments" ON tag_attachments
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (current_user_role() IN ('engineer', 'admin'));
+
+DROP POLICY IF EXISTS "Engineers can delete attachments" ON tag_attachments;
+CREATE POLICY "Engineers can delete attachments" ON tag_attachments
+  FOR DELETE
+  TO authenticated
+  USING (current_user_role() IN ('engineer', 'admin'));
+
+-- Storage objects in the attachments bucket follow the same rules
+DROP POLICY IF EXISTS "Signed-in users can read attachment files" ON storage.objects;
+CREATE POLICY "Signed-in users can read attachment files" ON storage.objects
+  FOR SELECT
+  TO authenticated
+  USING (bucket_id = 'equipment-attachments');
+
+DROP POLICY IF EXISTS "Engineers can upload attachment files" ON storage.objects;
+CREATE POLICY "Engineers can upload attachment files" ON storage.objects
+  FOR INSERT
+  TO authenticated
+  WITH CHECK (bucket_id = 'equipment-attachments' AND public.current_user_role() IN ('engineer', 'admin'));
+
+DROP POLICY IF EXISTS "Engineers can delete attachment files" ON storage.objects;
+CREATE POLICY "Engineers can delete attachment files" ON storage.objects
+  FOR DELETE
+  TO authenticated
+  USING (bucket_id = 'equipment-attachments' AND public.current_user_role() IN ('engineer', 'admin'));
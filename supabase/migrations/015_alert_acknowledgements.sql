@@ -0,0 +1,50 @@
+-- ============================================
+-- Migration 015: Alert acknowledgement and shelving
+-- Engineers can acknowledge a known alert, or shelve it until a date with a
+-- reason. Either way the alert drops out of the headline counts until its
+-- status changes: a later upload (or edit) that changes the tag's status
+-- removes the acknowledgement, so the alert comes back.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS alert_acknowledgements (
+  functional_location TEXT PRIMARY KEY,
+  kind TEXT NOT NULL CHECK (kind IN ('acknowledged', 'shelved')),
+  reason TEXT,
+  shelved_until DATE,
+  acknowledged_status TEXT,       -- equipment status when it was acknowledged / shelved
+  acknowledged_by TEXT,
+  acknowledged_by_id UUID DEFAULT auth.uid(),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  CHECK (kind <> 'shelved' OR (shelved_until IS NOT NULL AND length(btrim(COALESCE(reason, ''))) > 0))
+);
+
+ALTER TABLE alert_acknowledgements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read acknowledgements" ON alert_acknowledgements;
+CREATE POLICY "Signed-in users can read acknowledgements" ON alert_acknowledgements
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Engineers can manage acknowledgements" ON alert_acknowledgements;
+CREATE POLICY "Engineers can manage acknowledgements" ON alert_acknowledgements
+  FOR ALL
+  TO authenticated
+  USING (current_user_role() IN ('engineer', 'admin'))
+  WITH CHECK (current_user_role() IN ('engineer', 'admin'));
+
+-- A status change means the acknowledged alert is no longer the same alert
+CREATE OR REPLACE FUNCTION release_acknowledgement_on_status_change()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM alert_acknowledgements WHERE functional_location = NEW.functional_location;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS equipment_release_acknowledgement ON equipment;
+CREATE TRIGGER equipment_release_acknowledgement
+  AFTER UPDATE OF status ON equipment
+  FOR EACH ROW
+  WHEN (OLD.status IS DISTINCT FROM NEW.status)
+  EXECUTE FUNCTION release_acknowledgement_on_status_change();
@@ -0,0 +1,35 @@
+-- ============================================
+-- Migration 016: Dashboard settings
+-- Shared configuration for the analysis views (e.g. SLA days per
+-- criticality), one JSON value per key. The dashboard falls back to its
+-- built-in defaults for keys that have no row. Everyone signed in can read
+-- the settings; only admins can change them.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS dashboard_settings (
+  key TEXT PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS update_dashboard_settings_updated_at ON dashboard_settings;
+CREATE TRIGGER update_dashboard_settings_updated_at
+  BEFORE UPDATE ON dashboard_settings
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE dashboard_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read dashboard settings" ON dashboard_settings;
+CREATE POLICY "Signed-in users can read dashboard settings" ON dashboard_settings
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage dashboard settings" ON dashboard_settings;
+CREATE POLICY "Admins can manage dashboard settings" ON dashboard_settings
+  FOR ALL
+  TO authenticated
+  USING (current_user_role() = 'admin')
+  WITH CHECK (current_user_role() = 'admin');
@@ -0,0 +1,53 @@
+-- ============================================
+-- Migration 017: Alarm classification rules
+-- Each rule assigns a category (Obsolescence, Calibration, ...) to alarms
+-- whose description contains one of its keywords, matches its regular
+-- expression, or whose equipment type is the given one. An alarm gets every
+-- category with a matching rule. Alarms in the Obsolescence category are
+-- listed on the Obsolescence tab, the rest on Alerts.
+-- Everyone signed in can read the rules; only admins can change them.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS alarm_rules (
+  id BIGSERIAL PRIMARY KEY,
+  category TEXT NOT NULL CHECK (length(btrim(category)) > 0),
+  match_type TEXT NOT NULL CHECK (match_type IN ('keyword', 'regex', 'equipment_type')),
+  pattern TEXT NOT NULL CHECK (length(btrim(pattern)) > 0),  -- comma-separated keywords, a regex or an equipment type
+  updated_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS update_alarm_rules_updated_at ON alarm_rules;
+CREATE TRIGGER update_alarm_rules_updated_at
+  BEFORE UPDATE ON alarm_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE alarm_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read alarm rules" ON alarm_rules;
+CREATE POLICY "Signed-in users can read alarm rules" ON alarm_rules
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage alarm rules" ON alarm_rules;
+CREATE POLICY "Admins can manage alarm rules" ON alarm_rules
+  FOR ALL
+  TO authenticated
+  USING (current_user_role() = 'admin')
+  WITH CHECK (current_user_role() = 'admin');
+
+-- Starter rules (same as DEFAULT_ALARM_RULES in src/lib/alarmRules.js);
+-- only added to an empty table so re-running keeps the admins' changes
+INSERT INTO alarm_rules (category, match_type, pattern, updated_by)
+SELECT category, match_type, pattern, 'migration'
+FROM (VALUES
+  ('Obsolescence', 'keyword', 'obsolete, obsolescence, end of life, end-of-life, no spare, no spares, discontinued'),
+  ('Calibration', 'keyword', 'calibration, calibrate, drift, zero shift, span error'),
+  ('Communication Fault', 'keyword', 'communication, comm fault, comms, fieldbus, no signal'),
+  ('Power', 'keyword', 'power, battery, low voltage, power supply'),
+  ('Process', 'regex', '\b(process|trip|hh|ll)\b')
+) AS seed(category, match_type, pattern)
+WHERE NOT EXISTS (SELECT 1 FROM alarm_rules);
@@ -0,0 +1,38 @@
+-- ============================================
+-- Migration 018: Column mapping profiles
+-- Map workbook headers to dashboard fields, e.g.
+-- {"equipmentType": ["Equipment Type", "Equip. Type"]}
+-- schema.sql creates the table for new installs (migration 009 relies on
+-- it), but databases set up from a schema.sql without it never got it. This
+-- adds it there with the same policies as 009; everything here is safe to
+-- re-run. Everyone signed in can read the profiles; only admins can change them.
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS column_mapping_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  mappings JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS update_column_mapping_profiles_updated_at ON column_mapping_profiles;
+CREATE TRIGGER update_column_mapping_profiles_updated_at
+  BEFORE UPDATE ON column_mapping_profiles
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE column_mapping_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Signed-in users can read mapping profiles" ON column_mapping_profiles;
+CREATE POLICY "Signed-in users can read mapping profiles" ON column_mapping_profiles
+  FOR SELECT
+  TO authenticated
+  USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage mapping profiles" ON column_mapping_profiles;
+CREATE POLICY "Admins can manage mapping profiles" ON column_mapping_profiles
+  FOR ALL
+  TO authenticated
+  USING (current_user_role() = 'admin')
+  WITH CHECK (current_user_role() = 'admin');
@@ -0,0 +1,449 @@
+-- ============================================
+-- Migration 019: Actor taken from the session
+-- import_equipment, clear_equipment, restore_previous_dataset and
+-- update_equipment_record used to record whatever name the dashboard passed
+-- in (p_refreshed_by, p_cleared_by, p_restored_by, p_edited_by). They now
+-- record the signed-in user's email from the JWT, so dashboard_meta,
+-- upload_snapshots, the status change log and the audit log show who really
+-- made the change. The name parameters are dropped.
+-- ============================================
+
+-- Email of the signed-in user, from the JWT or else from user_roles
+CREATE OR REPLACE FUNCTION current_user_name()
+RETURNS TEXT AS $$
+  SELECT COALESCE(auth.email(), (SELECT email FROM user_roles WHERE user_id = auth.uid()));
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+DROP FUNCTION IF EXISTS import_equipment(JSONB, TEXT[], TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS clear_equipment(TEXT);
+DROP FUNCTION IF EXISTS restore_previous_dataset(TEXT);
+DROP FUNCTION IF EXISTS update_equipment_record(TEXT, JSONB, TIMESTAMPTZ, TEXT);
+
+-- Same as migration 010, recording the caller as the importer
+CREATE OR REPLACE FUNCTION import_equipment(
+  p_rows JSONB,
+  p_areas TEXT[] DEFAULT NULL,
+  p_retire_policy TEXT DEFAULT 'retire',
+  p_file_name TEXT DEFAULT NULL
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_total INTEGER;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_areas TEXT[];
+  v_snapshot_id UUID;
+  v_actor TEXT := current_user_name();
+BEGIN
+  PERFORM require_admin('Only admins can import equipment data');
+
+  IF p_retire_policy NOT IN ('retire', 'keep', 'delete') THEN
+    RAISE EXCEPTION 'Unknown retire policy: %', p_retire_policy;
+  END IF;
+
+  IF p_rows IS NULL OR jsonb_typeof(p_rows) <> 'array' OR jsonb_array_length(p_rows) = 0 THEN
+    RAISE EXCEPTION 'No equipment rows to import';
+  END IF;
+
+  v_total := jsonb_array_length(p_rows);
+
+  PERFORM capture_equipment_state();
+
+  -- Areas being replaced default to the areas present in the upload
+  v_areas := COALESCE(
+    p_areas,
+    ARRAY(SELECT DISTINCT r->>'area' FROM jsonb_array_elements(p_rows) r)
+  );
+
+  -- Insert new rows and update rows whose content changed (or that were retired).
+  -- xmax = 0 only for freshly inserted tuples, which tells inserts and updates apart.
+  WITH incoming AS (
+    SELECT *
+    FROM jsonb_to_recordset(p_rows) AS r(
+      area TEXT,
+      status TEXT,
+      equipment_type TEXT,
+      description TEXT,
+      functional_location TEXT,
+      criticality TEXT,
+      alarm_description TEXT,
+      rectification TEXT,
+      notification_date DATE
+    )
+  ),
+  upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM incoming
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Apply the retire policy to active rows of the uploaded areas that are not in this upload.
+  -- Rows of areas without a sheet in the workbook are left untouched.
+  IF p_retire_policy = 'retire' THEN
+    UPDATE equipment e
+    SET retired_at = v_now
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  ELSIF p_retire_policy = 'delete' THEN
+    DELETE FROM equipment e
+    WHERE e.retired_at IS NULL
+      AND e.area = ANY(v_areas)
+      AND NOT EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_rows) r
+        WHERE r->>'functional_location' = e.functional_location
+      );
+    GET DIAGNOSTICS v_retired = ROW_COUNT;
+  END IF;
+
+  -- Stamp the refresh in the same transaction
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, v_actor)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  -- Record the resulting equipment set as an immutable snapshot
+  v_snapshot_id := create_equipment_snapshot(
+    v_actor,
+    p_file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'unchanged', v_total - v_inserted - v_updated,
+      'retired', v_retired,
+      'retirePolicy', p_retire_policy,
+      'areas', to_jsonb(v_areas)
+    )
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, v_actor, v_now);
+
+  PERFORM write_audit_log(
+    'import',
+    v_actor,
+    p_file_name,
+    (SELECT jsonb_object_agg(area, n)
+     FROM (SELECT r->>'area' AS area, count(*) AS n FROM jsonb_array_elements(p_rows) r GROUP BY 1) a),
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'unchanged', v_total - v_inserted - v_updated,
+      'retired', v_retired,
+      'retirePolicy', p_retire_policy
+    ),
+    v_snapshot_id
+  );
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'unchanged', v_total - v_inserted - v_updated,
+    'retired', v_retired,
+    'retirePolicy', p_retire_policy,
+    'areas', to_jsonb(v_areas),
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Same as migration 010, recording the caller as the one who cleared
+CREATE OR REPLACE FUNCTION clear_equipment()
+RETURNS JSONB AS $$
+DECLARE
+  v_deleted INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_snapshot_id UUID;
+  v_area_counts JSONB;
+  v_actor TEXT := current_user_name();
+BEGIN
+  PERFORM require_admin('Only admins can clear equipment data');
+
+  PERFORM capture_equipment_state();
+
+  SELECT COALESCE(jsonb_object_agg(area, n), '{}'::jsonb) INTO v_area_counts
+  FROM (SELECT area, count(*) AS n FROM equipment WHERE retired_at IS NULL GROUP BY area) a;
+
+  DELETE FROM equipment WHERE TRUE;
+  GET DIAGNOSTICS v_deleted = ROW_COUNT;
+
+  UPDATE dashboard_meta
+  SET last_refreshed_at = v_now, refreshed_by = v_actor
+  WHERE id = 1;
+
+  v_snapshot_id := create_equipment_snapshot(
+    v_actor,
+    NULL,
+    jsonb_build_object('deleted', v_deleted),
+    'clear'
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, v_actor, v_now);
+
+  PERFORM write_audit_log(
+    'clear',
+    v_actor,
+    NULL,
+    v_area_counts,
+    jsonb_build_object('deleted', v_deleted),
+    v_snapshot_id
+  );
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'deleted', v_deleted,
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Same as migration 010, recording the caller as the one who restored
+CREATE OR REPLACE FUNCTION restore_previous_dataset()
+RETURNS JSONB AS $$
+DECLARE
+  v_latest upload_snapshots%ROWTYPE;
+  v_undone upload_snapshots%ROWTYPE;
+  v_target upload_snapshots%ROWTYPE;
+  v_restored_from UUID;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_snapshot_id UUID;
+  v_actor TEXT := current_user_name();
+BEGIN
+  PERFORM require_admin('Only admins can restore a previous dataset');
+
+  SELECT * INTO v_latest FROM upload_snapshots ORDER BY created_at DESC LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No upload history to restore from';
+  END IF;
+
+  -- The import or clear being undone
+  IF v_latest.kind = 'restore' THEN
+    SELECT * INTO v_undone FROM upload_snapshots WHERE id = v_latest.restored_from;
+  ELSE
+    v_undone := v_latest;
+  END IF;
+
+  SELECT * INTO v_target
+  FROM upload_snapshots
+  WHERE created_at < v_undone.created_at
+  ORDER BY created_at DESC
+  LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No earlier dataset to restore';
+  END IF;
+
+  -- A restore snapshot holds the same rows as the snapshot it restored from
+  v_restored_from := CASE WHEN v_target.kind = 'restore' THEN v_target.restored_from ELSE v_target.id END;
+
+  PERFORM capture_equipment_state();
+
+  WITH upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM snapshot_equipment
+    WHERE snapshot_id = v_target.id
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Active rows that were not in the restored dataset are retired, not deleted
+  UPDATE equipment e
+  SET retired_at = v_now
+  WHERE e.retired_at IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM snapshot_equipment s
+      WHERE s.snapshot_id = v_target.id
+        AND s.functional_location = e.functional_location
+    );
+  GET DIAGNOSTICS v_retired = ROW_COUNT;
+
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, v_actor)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  v_snapshot_id := create_equipment_snapshot(
+    v_actor,
+    v_target.file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'retired', v_retired,
+      'undoneSnapshotId', v_undone.id
+    ),
+    'restore',
+    v_restored_from
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, v_actor, v_now);
+
+  PERFORM write_audit_log(
+    'restore',
+    v_actor,
+    v_target.file_name,
+    v_target.area_counts,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'retired', v_retired,
+      'restoredFrom', v_restored_from,
+      'restoredFromCreatedAt', v_target.created_at
+    ),
+    v_snapshot_id
+  );
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'restoredFrom', v_restored_from,
+    'restoredFromCreatedAt', v_target.created_at,
+    'fileName', v_target.file_name,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'retired', v_retired,
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+-- Same as migration 011, recording the caller as the editor
+CREATE OR REPLACE FUNCTION update_equipment_record(
+  p_functional_location TEXT,
+  p_changes JSONB,
+  p_expected_updated_at TIMESTAMPTZ
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_old equipment%ROWTYPE;
+  v_new equipment%ROWTYPE;
+  v_unknown TEXT;
+BEGIN
+  PERFORM require_engineer('Only engineers and admins can edit equipment records');
+
+  IF p_changes IS NULL OR jsonb_typeof(p_changes) <> 'object' OR p_changes = '{}'::jsonb THEN
+    RAISE EXCEPTION 'No changes to save';
+  END IF;
+
+  SELECT key INTO v_unknown
+  FROM jsonb_object_keys(p_changes) key
+  WHERE key NOT IN ('status', 'criticality', 'alarm_description', 'rectification')
+  LIMIT 1;
+  IF v_unknown IS NOT NULL THEN
+    RAISE EXCEPTION 'Field % cannot be edited', v_unknown;
+  END IF;
+
+  IF p_changes ? 'status' AND COALESCE(p_changes->>'status', '') NOT IN ('Healthy', 'Caution', 'Warning') THEN
+    RAISE EXCEPTION 'Invalid status: %', p_changes->>'status' USING ERRCODE = 'check_violation';
+  END IF;
+
+  SELECT * INTO v_old
+  FROM equipment
+  WHERE functional_location = p_functional_location
+    AND retired_at IS NULL
+  FOR UPDATE;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Equipment % is not in the current dataset', p_functional_location
+      USING ERRCODE = 'no_data_found';
+  END IF;
+
+  IF v_old.updated_at IS DISTINCT FROM p_expected_updated_at THEN
+    RAISE EXCEPTION 'Equipment % was changed by someone else since it was loaded', p_functional_location
+      USING ERRCODE = 'serialization_failure';
+  END IF;
+
+  UPDATE equipment SET
+    status = CASE WHEN p_changes ? 'status' THEN p_changes->>'status' ELSE status END,
+    criticality = CASE WHEN p_changes ? 'criticality' THEN NULLIF(p_changes->>'criticality', '') ELSE criticality END,
+    alarm_description = CASE WHEN p_changes ? 'alarm_description' THEN NULLIF(p_changes->>'alarm_description', '') ELSE alarm_description END,
+    rectification = CASE WHEN p_changes ? 'rectification' THEN NULLIF(p_changes->>'rectification', '') ELSE rectification END
+  WHERE id = v_old.id
+  RETURNING * INTO v_new;
+
+  IF (v_old.status, v_old.criticality, v_old.alarm_description, v_old.rectification)
+     IS DISTINCT FROM
+     (v_new.status, v_new.criticality, v_new.alarm_description, v_new.rectification) THEN
+    INSERT INTO equipment_status_changes (
+      functional_location, snapshot_id, changed_at, changed_by, change_type,
+      old_status, new_status, old_alarm_description, new_alarm_description,
+      old_rectification, new_rectification, old_criticality, new_criticality
+    ) VALUES (
+      v_new.functional_location, NULL, v_new.updated_at, current_user_name(), 'edited',
+      v_old.status, v_new.status, v_old.alarm_description, v_new.alarm_description,
+      v_old.rectification, v_new.rectification, v_old.criticality, v_new.criticality
+    );
+  END IF;
+
+  RETURN to_jsonb(v_new);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
+
+REVOKE EXECUTE ON FUNCTION import_equipment(JSONB, TEXT[], TEXT, TEXT) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION clear_equipment() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION restore_previous_dataset() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION update_equipment_record(TEXT, JSONB, TIMESTAMPTZ) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION import_equipment(JSONB, TEXT[], TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION clear_equipment() TO authenticated;
+GRANT EXECUTE ON FUNCTION restore_previous_dataset() TO authenticated;
+GRANT EXECUTE ON FUNCTION update_equipment_record(TEXT, JSONB, TIMESTAMPTZ) TO authenticated;
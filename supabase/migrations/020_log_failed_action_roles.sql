@@ -0,0 +1,34 @@
+-- ============================================
+-- Migration 020: Failed actions reported by the roles that can attempt them
+-- log_failed_action used to accept any action from any signed-in user and
+-- record whatever name was passed in, so a viewer could add failures under
+-- someone else's name. A failed import, clear or restore can now only be
+-- reported by an admin and a failed edit by an engineer or admin, and the
+-- entry is attributed to the caller's own email. The p_user_name parameter
+-- is dropped.
+-- ============================================
+
+DROP FUNCTION IF EXISTS log_failed_action(TEXT, TEXT, TEXT, JSONB, TEXT, JSONB);
+
+CREATE OR REPLACE FUNCTION log_failed_action(
+  p_action TEXT,
+  p_file_name TEXT,
+  p_area_counts JSONB,
+  p_error_message TEXT,
+  p_details JSONB DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+  IF p_action = 'edit' THEN
+    PERFORM require_engineer('Only engineers and admins can report failed edits');
+  ELSE
+    PERFORM require_admin('Only admins can report failed imports, clears and restores');
+  END IF;
+
+  INSERT INTO audit_log (action, outcome, user_id, user_name, file_name, area_counts, error_message, details)
+  VALUES (p_action, 'error', auth.uid(), current_user_name(), p_file_name, COALESCE(p_area_counts, '{}'::jsonb), p_error_message, p_details);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE EXECUTE ON FUNCTION log_failed_action(TEXT, TEXT, JSONB, TEXT, JSONB) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION log_failed_action(TEXT, TEXT, JSONB, TEXT, JSONB) TO authenticated;
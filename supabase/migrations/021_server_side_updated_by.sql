@@ -0,0 +1,44 @@
+-- ============================================
+-- Migration 021: Record editors taken from the session
+-- rectification_actions.updated_by, alert_acknowledgements.acknowledged_by,
+-- dashboard_settings.updated_by and alarm_rules.updated_by used to hold
+-- whatever name the dashboard sent. A trigger now overwrites them with the
+-- signed-in user's email (current_user_name() from migration 019) on every
+-- insert and update made through the API. Rows written from the SQL editor
+-- or a migration, where there is no signed-in user, keep the value given.
+-- ============================================
+
+-- Sets the column named by the trigger argument to the signed-in user
+CREATE OR REPLACE FUNCTION set_actor_column()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF auth.uid() IS NOT NULL THEN
+    NEW := jsonb_populate_record(NEW, jsonb_build_object(TG_ARGV[0], current_user_name()));
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SET search_path = public;
+
+DROP TRIGGER IF EXISTS rectification_actions_set_updated_by ON rectification_actions;
+CREATE TRIGGER rectification_actions_set_updated_by
+  BEFORE INSERT OR UPDATE ON rectification_actions
+  FOR EACH ROW
+  EXECUTE FUNCTION set_actor_column('updated_by');
+
+DROP TRIGGER IF EXISTS alert_acknowledgements_set_acknowledged_by ON alert_acknowledgements;
+CREATE TRIGGER alert_acknowledgements_set_acknowledged_by
+  BEFORE INSERT OR UPDATE ON alert_acknowledgements
+  FOR EACH ROW
+  EXECUTE FUNCTION set_actor_column('acknowledged_by');
+
+DROP TRIGGER IF EXISTS dashboard_settings_set_updated_by ON dashboard_settings;
+CREATE TRIGGER dashboard_settings_set_updated_by
+  BEFORE INSERT OR UPDATE ON dashboard_settings
+  FOR EACH ROW
+  EXECUTE FUNCTION set_actor_column('updated_by');
+
+DROP TRIGGER IF EXISTS alarm_rules_set_updated_by ON alarm_rules;
+CREATE TRIGGER alarm_rules_set_updated_by
+  BEFORE INSERT OR UPDATE ON alarm_rules
+  FOR EACH ROW
+  EXECUTE FUNCTION set_actor_column('updated_by');
@@ -0,0 +1,219 @@
+-- ============================================
+-- Migration 022: Keep record edits before a dataset is overwritten
+-- Edits made through update_equipment_record change the live table but are
+-- not part of any snapshot, so an import, Clear All or restore used to
+-- discard them for good. Before any of those overwrite the table, the
+-- current dataset is now saved as a snapshot (kind = 'edits') whenever it
+-- differs from the latest snapshot. Restoring past the change brings the
+-- edits back, and the edited dataset can always be opened from History.
+-- ============================================
+
+ALTER TABLE upload_snapshots DROP CONSTRAINT IF EXISTS upload_snapshots_kind_check;
+ALTER TABLE upload_snapshots
+  ADD CONSTRAINT upload_snapshots_kind_check CHECK (kind IN ('import', 'clear', 'restore', 'edits'));
+
+-- The edits snapshot and the snapshot of the change that follows it are taken
+-- in the same transaction, so now() would give them the same time
+ALTER TABLE upload_snapshots ALTER COLUMN created_at SET DEFAULT clock_timestamp();
+
+-- Snapshot the active equipment set if it no longer matches the latest
+-- snapshot. Returns the new snapshot id, or NULL when nothing was edited.
+CREATE OR REPLACE FUNCTION snapshot_record_edits()
+RETURNS UUID AS $$
+DECLARE
+  v_latest upload_snapshots%ROWTYPE;
+  v_changed INTEGER;
+BEGIN
+  SELECT * INTO v_latest FROM upload_snapshots ORDER BY created_at DESC LIMIT 1;
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT count(*) INTO v_changed
+  FROM (
+    (SELECT area, status, equipment_type, description, functional_location,
+            criticality, alarm_description, rectification, notification_date
+     FROM equipment WHERE retired_at IS NULL
+     EXCEPT
+     SELECT area, status, equipment_type, description, functional_location,
+            criticality, alarm_description, rectification, notification_date
+     FROM snapshot_equipment WHERE snapshot_id = v_latest.id)
+    UNION ALL
+    (SELECT area, status, equipment_type, description, functional_location,
+            criticality, alarm_description, rectification, notification_date
+     FROM snapshot_equipment WHERE snapshot_id = v_latest.id
+     EXCEPT
+     SELECT area, status, equipment_type, description, functional_location,
+            criticality, alarm_description, rectification, notification_date
+     FROM equipment WHERE retired_at IS NULL)
+  ) d;
+
+  IF v_changed = 0 THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN create_equipment_snapshot(
+    current_user_name(),
+    v_latest.file_name,
+    jsonb_build_object('editedFrom', v_latest.id),
+    'edits'
+  );
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION snapshot_record_edits() FROM PUBLIC, anon, authenticated;
+
+-- Same as migration 010, keeping record edits first. Imports, clears and
+-- restores all call this before they change the equipment table.
+CREATE OR REPLACE FUNCTION capture_equipment_state()
+RETURNS VOID AS $$
+BEGIN
+  PERFORM snapshot_record_edits();
+
+  PERFORM set_config('pcfk.bulk_change', 'on', true);
+
+  DROP TABLE IF EXISTS pg_temp.pre_import_equipment;
+  CREATE TEMP TABLE pre_import_equipment ON COMMIT DROP AS
+  SELECT functional_location, status, alarm_description, rectification, retired_at
+  FROM equipment;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Same as migration 019, skipping edits snapshots when finding the change to undo
+CREATE OR REPLACE FUNCTION restore_previous_dataset()
+RETURNS JSONB AS $$
+DECLARE
+  v_latest upload_snapshots%ROWTYPE;
+  v_undone upload_snapshots%ROWTYPE;
+  v_target upload_snapshots%ROWTYPE;
+  v_restored_from UUID;
+  v_inserted INTEGER := 0;
+  v_updated INTEGER := 0;
+  v_retired INTEGER := 0;
+  v_now TIMESTAMPTZ := now();
+  v_snapshot_id UUID;
+  v_actor TEXT := current_user_name();
+BEGIN
+  PERFORM require_admin('Only admins can restore a previous dataset');
+
+  -- An edits snapshot only keeps what the last change overwrote; it is never
+  -- the change being undone, but it can be the dataset brought back
+  SELECT * INTO v_latest FROM upload_snapshots WHERE kind <> 'edits' ORDER BY created_at DESC LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No upload history to restore from';
+  END IF;
+
+  -- The import or clear being undone
+  IF v_latest.kind = 'restore' THEN
+    SELECT * INTO v_undone FROM upload_snapshots WHERE id = v_latest.restored_from;
+  ELSE
+    v_undone := v_latest;
+  END IF;
+
+  SELECT * INTO v_target
+  FROM upload_snapshots
+  WHERE created_at < v_undone.created_at
+  ORDER BY created_at DESC
+  LIMIT 1;
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'No earlier dataset to restore';
+  END IF;
+
+  -- A restore snapshot holds the same rows as the snapshot it restored from
+  v_restored_from := CASE WHEN v_target.kind = 'restore' THEN v_target.restored_from ELSE v_target.id END;
+
+  PERFORM capture_equipment_state();
+
+  WITH upserted AS (
+    INSERT INTO equipment AS e (
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, retired_at
+    )
+    SELECT
+      area, status, equipment_type, description, functional_location,
+      criticality, alarm_description, rectification, notification_date, NULL
+    FROM snapshot_equipment
+    WHERE snapshot_id = v_target.id
+    ON CONFLICT (functional_location) DO UPDATE SET
+      area = EXCLUDED.area,
+      status = EXCLUDED.status,
+      equipment_type = EXCLUDED.equipment_type,
+      description = EXCLUDED.description,
+      criticality = EXCLUDED.criticality,
+      alarm_description = EXCLUDED.alarm_description,
+      rectification = EXCLUDED.rectification,
+      notification_date = EXCLUDED.notification_date,
+      retired_at = NULL
+    WHERE e.retired_at IS NOT NULL
+      OR (e.area, e.status, e.equipment_type, e.description, e.criticality,
+          e.alarm_description, e.rectification, e.notification_date)
+        IS DISTINCT FROM
+         (EXCLUDED.area, EXCLUDED.status, EXCLUDED.equipment_type, EXCLUDED.description, EXCLUDED.criticality,
+          EXCLUDED.alarm_description, EXCLUDED.rectification, EXCLUDED.notification_date)
+    RETURNING (xmax = 0) AS was_inserted
+  )
+  SELECT
+    count(*) FILTER (WHERE was_inserted),
+    count(*) FILTER (WHERE NOT was_inserted)
+  INTO v_inserted, v_updated
+  FROM upserted;
+
+  -- Active rows that were not in the restored dataset are retired, not deleted
+  UPDATE equipment e
+  SET retired_at = v_now
+  WHERE e.retired_at IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM snapshot_equipment s
+      WHERE s.snapshot_id = v_target.id
+        AND s.functional_location = e.functional_location
+    );
+  GET DIAGNOSTICS v_retired = ROW_COUNT;
+
+  INSERT INTO dashboard_meta (id, last_refreshed_at, refreshed_by)
+  VALUES (1, v_now, v_actor)
+  ON CONFLICT (id) DO UPDATE SET
+    last_refreshed_at = EXCLUDED.last_refreshed_at,
+    refreshed_by = EXCLUDED.refreshed_by;
+
+  v_snapshot_id := create_equipment_snapshot(
+    v_actor,
+    v_target.file_name,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'retired', v_retired,
+      'undoneSnapshotId', v_undone.id
+    ),
+    'restore',
+    v_restored_from
+  );
+
+  PERFORM log_equipment_changes(v_snapshot_id, v_actor, v_now);
+
+  PERFORM write_audit_log(
+    'restore',
+    v_actor,
+    v_target.file_name,
+    v_target.area_counts,
+    jsonb_build_object(
+      'inserted', v_inserted,
+      'updated', v_updated,
+      'retired', v_retired,
+      'restoredFrom', v_restored_from,
+      'restoredFromCreatedAt', v_target.created_at
+    ),
+    v_snapshot_id
+  );
+
+  RETURN jsonb_build_object(
+    'snapshotId', v_snapshot_id,
+    'restoredFrom', v_restored_from,
+    'restoredFromCreatedAt', v_target.created_at,
+    'fileName', v_target.file_name,
+    'inserted', v_inserted,
+    'updated', v_updated,
+    'retired', v_retired,
+    'refreshedAt', v_now
+  );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public, pg_temp;
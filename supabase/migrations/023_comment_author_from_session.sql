@@ -0,0 +1,13 @@
+-- ============================================
+-- Migration 023: Comment authors taken from the session
+-- The insert policy on tag_comments (migration 013) checks author_id, but
+-- author_name was whatever the dashboard sent, so a comment could be shown
+-- under someone else's name. It is now overwritten with the signed-in
+-- user's email by set_actor_column() from migration 021.
+-- ============================================
+
+DROP TRIGGER IF EXISTS tag_comments_set_author_name ON tag_comments;
+CREATE TRIGGER tag_comments_set_author_name
+  BEFORE INSERT ON tag_comments
+  FOR EACH ROW
+  EXECUTE FUNCTION set_actor_column('author_name');
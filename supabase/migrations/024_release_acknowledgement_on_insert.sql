@@ -0,0 +1,40 @@
+-- ============================================
+-- Migration 024: Release acknowledgements when a tag comes back
+-- Migration 015 only released an acknowledgement when an equipment row's
+-- status was updated. After Clear All and a re-import the row is inserted
+-- again, so a tag acknowledged as Caution that came back as Warning stayed
+-- hidden. Inserting a row now releases the acknowledgement too unless the
+-- status is the one that was acknowledged.
+-- Acknowledgement times are also set by the database, including when an
+-- alert is acknowledged again.
+-- ============================================
+
+CREATE OR REPLACE FUNCTION release_acknowledgement_on_insert()
+RETURNS TRIGGER AS $$
+BEGIN
+  DELETE FROM alert_acknowledgements
+  WHERE functional_location = NEW.functional_location
+    AND acknowledged_status IS DISTINCT FROM NEW.status;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS equipment_release_acknowledgement_on_insert ON equipment;
+CREATE TRIGGER equipment_release_acknowledgement_on_insert
+  AFTER INSERT ON equipment
+  FOR EACH ROW
+  EXECUTE FUNCTION release_acknowledgement_on_insert();
+
+CREATE OR REPLACE FUNCTION set_acknowledged_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.created_at := now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS alert_acknowledgements_set_created_at ON alert_acknowledgements;
+CREATE TRIGGER alert_acknowledgements_set_created_at
+  BEFORE INSERT OR UPDATE ON alert_acknowledgements
+  FOR EACH ROW
+  EXECUTE FUNCTION set_acknowledged_at();
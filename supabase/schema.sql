@@ -27,6 +27,8 @@ CREATE INDEX IF NOT EXISTS idx_equipment_functional_location ON equipment(functi
 -- ============================================
 -- Row Level Security (RLS) Policies
 -- ============================================
+-- RLS starts disabled here; migrations/009_row_level_security.sql enables it
+-- with role-based policies on every table. Always run the migrations.
 -- Option 1: Disable RLS entirely (simplest for no-auth use case)
 ALTER TABLE equipment DISABLE ROW LEVEL SECURITY;
 
@@ -93,3 +95,25 @@ ON CONFLICT (id) DO NOTHING;
 
 -- Disable RLS for dashboard_meta
 ALTER TABLE dashboard_meta DISABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Column Mapping Profiles
+-- Map workbook headers to dashboard fields, e.g.
+-- {"equipmentType": ["Equipment Type", "Equip. Type"]}
+-- ============================================
+CREATE TABLE IF NOT EXISTS column_mapping_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL UNIQUE,
+  mappings JSONB NOT NULL DEFAULT '{}'::jsonb,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+DROP TRIGGER IF EXISTS update_column_mapping_profiles_updated_at ON column_mapping_profiles;
+CREATE TRIGGER update_column_mapping_profiles_updated_at
+  BEFORE UPDATE ON column_mapping_profiles
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Disable RLS for column_mapping_profiles
+ALTER TABLE column_mapping_profiles DISABLE ROW LEVEL SECURITY;
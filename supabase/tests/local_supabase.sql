@@ -0,0 +1,72 @@
+-- ============================================
+-- Minimal stand-in for the parts of Supabase the schema relies on, so the
+-- schema, migrations and RLS tests can run on a plain local Postgres (15+):
+--   * the anon and authenticated roles PostgREST switches to
+--   * auth.users, auth.uid() and auth.email(), read from request.jwt.claims
+--   * Supabase's default grants on the public schema
+--   * storage.buckets and storage.objects (metadata only; no file contents)
+-- ============================================
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+    CREATE ROLE anon NOLOGIN;
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+    CREATE ROLE authenticated NOLOGIN;
+  END IF;
+END;
+$$;
+
+CREATE SCHEMA IF NOT EXISTS auth;
+
+CREATE TABLE IF NOT EXISTS auth.users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  email TEXT
+);
+
+CREATE OR REPLACE FUNCTION auth.uid()
+RETURNS UUID AS $$
+  SELECT (NULLIF(current_setting('request.jwt.claims', true), '')::jsonb ->> 'sub')::uuid;
+$$ LANGUAGE sql STABLE;
+
+CREATE OR REPLACE FUNCTION auth.email()
+RETURNS TEXT AS $$
+  SELECT NULLIF(current_setting('request.jwt.claims', true), '')::jsonb ->> 'email';
+$$ LANGUAGE sql STABLE;
+
+GRANT USAGE ON SCHEMA auth TO anon, authenticated;
+GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA auth TO anon, authenticated;
+
+-- Supabase grants everything in public to the API roles and relies on RLS
+GRANT USAGE ON SCHEMA public TO anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON TABLES TO anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON SEQUENCES TO anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT EXECUTE ON FUNCTIONS TO anon, authenticated;
+
+-- Storage keeps one storage.objects row per file, protected by RLS
+CREATE SCHEMA IF NOT EXISTS storage;
+
+CREATE TABLE IF NOT EXISTS storage.buckets (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  public BOOLEAN DEFAULT false,
+  file_size_limit BIGINT,
+  allowed_mime_types TEXT[]
+);
+
+CREATE TABLE IF NOT EXISTS storage.objects (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  bucket_id TEXT REFERENCES storage.buckets(id),
+  name TEXT,
+  owner UUID DEFAULT auth.uid(),
+  metadata JSONB,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  UNIQUE (bucket_id, name)
+);
+
+ALTER TABLE storage.objects ENABLE ROW LEVEL SECURITY;
+
+GRANT USAGE ON SCHEMA storage TO anon, authenticated;
+GRANT SELECT ON storage.buckets TO anon, authenticated;
+GRANT ALL ON storage.objects TO anon, authenticated;
@@ -0,0 +1,355 @@
+-- ============================================
+-- Row Level Security tests
+-- Run through run_rls_tests.sh after local_supabase.sql, schema.sql and
+-- every migration. Each check raises (and stops the run) on failure.
+-- ============================================
+
+CREATE SCHEMA rls_test;
+GRANT USAGE ON SCHEMA rls_test TO anon, authenticated;
+
+-- The statement must fail with a permission / RLS error
+CREATE FUNCTION rls_test.expect_rejected(p_label TEXT, p_sql TEXT)
+RETURNS VOID AS $$
+BEGIN
+  BEGIN
+    EXECUTE p_sql;
+  EXCEPTION WHEN insufficient_privilege THEN
+    RAISE NOTICE 'ok   %', p_label;
+    RETURN;
+  END;
+  RAISE EXCEPTION 'FAIL %: statement was allowed', p_label;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The INSERT / UPDATE / DELETE must touch exactly p_expected rows
+CREATE FUNCTION rls_test.expect_affected(p_label TEXT, p_sql TEXT, p_expected INTEGER)
+RETURNS VOID AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  EXECUTE p_sql;
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  IF v_count <> p_expected THEN
+    RAISE EXCEPTION 'FAIL %: % rows affected, expected %', p_label, v_count, p_expected;
+  END IF;
+  RAISE NOTICE 'ok   %', p_label;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The query must return the single integer p_expected
+CREATE FUNCTION rls_test.expect_value(p_label TEXT, p_sql TEXT, p_expected INTEGER)
+RETURNS VOID AS $$
+DECLARE
+  v_value INTEGER;
+BEGIN
+  EXECUTE p_sql INTO v_value;
+  IF v_value IS DISTINCT FROM p_expected THEN
+    RAISE EXCEPTION 'FAIL %: got %, expected %', p_label, v_value, p_expected;
+  END IF;
+  RAISE NOTICE 'ok   %', p_label;
+END;
+$$ LANGUAGE plpgsql;
+
+-- The statement must fail with SQLSTATE p_sqlstate
+CREATE FUNCTION rls_test.expect_error(p_label TEXT, p_sql TEXT, p_sqlstate TEXT)
+RETURNS VOID AS $$
+BEGIN
+  BEGIN
+    EXECUTE p_sql;
+  EXCEPTION WHEN OTHERS THEN
+    IF SQLSTATE <> p_sqlstate THEN
+      RAISE EXCEPTION 'FAIL %: failed with % (%), expected %', p_label, SQLSTATE, SQLERRM, p_sqlstate;
+    END IF;
+    RAISE NOTICE 'ok   %', p_label;
+    RETURN;
+  END;
+  RAISE EXCEPTION 'FAIL %: statement succeeded', p_label;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ============================================
+-- Fixtures (as the database owner)
+-- ============================================
+
+INSERT INTO auth.users (id, email) VALUES
+  ('00000000-0000-0000-0000-00000000000a', 'viewer@example.com'),
+  ('00000000-0000-0000-0000-00000000000b', 'engineer@example.com'),
+  ('00000000-0000-0000-0000-00000000000c', 'admin@example.com');
+
+UPDATE user_roles SET role = 'engineer' WHERE email = 'engineer@example.com';
+UPDATE user_roles SET role = 'admin' WHERE email = 'admin@example.com';
+
+INSERT INTO equipment (area, status, equipment_type, description, functional_location, criticality)
+VALUES ('Urea', 'Warning', 'Transmitter', 'Seed row', 'TEST-SEED-001', 'C1');
+
+-- ============================================
+-- Anonymous requests (the anon key in the browser bundle)
+-- ============================================
+
+SET ROLE anon;
+SET request.jwt.claims TO '';
+
+SELECT rls_test.expect_value('anon cannot read equipment', 'SELECT count(*) FROM equipment', 0);
+SELECT rls_test.expect_value('anon cannot read dashboard_meta', 'SELECT count(*) FROM dashboard_meta', 0);
+SELECT rls_test.expect_value('anon cannot read user_roles', 'SELECT count(*) FROM user_roles', 0);
+SELECT rls_test.expect_rejected('anon cannot insert equipment',
+  $sql$INSERT INTO equipment (area, status, functional_location) VALUES ('Urea', 'Healthy', 'TEST-ANON-001')$sql$);
+SELECT rls_test.expect_affected('anon cannot update equipment', $sql$UPDATE equipment SET status = 'Healthy'$sql$, 0);
+SELECT rls_test.expect_affected('anon cannot delete equipment', 'DELETE FROM equipment WHERE TRUE', 0);
+SELECT rls_test.expect_affected('anon cannot update dashboard_meta', $sql$UPDATE dashboard_meta SET refreshed_by = 'anon'$sql$, 0);
+SELECT rls_test.expect_rejected('anon cannot insert mapping profiles',
+  $sql$INSERT INTO column_mapping_profiles (name) VALUES ('anon')$sql$);
+SELECT rls_test.expect_rejected('anon cannot insert snapshots',
+  $sql$INSERT INTO upload_snapshots (file_name) VALUES ('anon.xlsx')$sql$);
+SELECT rls_test.expect_rejected('anon cannot call import_equipment',
+  $sql$SELECT import_equipment('[{"area": "Urea", "status": "Healthy", "functional_location": "TEST-ANON-001"}]'::jsonb)$sql$);
+SELECT rls_test.expect_rejected('anon cannot call clear_equipment', 'SELECT clear_equipment()');
+SELECT rls_test.expect_rejected('anon cannot call restore_previous_dataset', 'SELECT restore_previous_dataset()');
+SELECT rls_test.expect_rejected('anon cannot call create_equipment_snapshot',
+  $sql$SELECT create_equipment_snapshot('anon', NULL)$sql$);
+SELECT rls_test.expect_value('anon cannot read the audit log', 'SELECT count(*) FROM audit_log', 0);
+SELECT rls_test.expect_rejected('anon cannot post comments',
+  $sql$INSERT INTO tag_comments (functional_location, body) VALUES ('TEST-SEED-001', 'anon')$sql$);
+SELECT rls_test.expect_rejected('anon cannot upload attachment files',
+  $sql$INSERT INTO storage.objects (bucket_id, name) VALUES ('equipment-attachments', 'TEST-SEED-001/anon.jpg')$sql$);
+SELECT rls_test.expect_rejected('anon cannot add rectification actions',
+  $sql$INSERT INTO rectification_actions (functional_location, owner) VALUES ('TEST-SEED-001', 'anon')$sql$);
+SELECT rls_test.expect_rejected('anon cannot change dashboard settings',
+  $sql$INSERT INTO dashboard_settings (key, value) VALUES ('sla_days', '{"C1": 1}'::jsonb)$sql$);
+SELECT rls_test.expect_value('anon cannot read alarm rules', 'SELECT count(*) FROM alarm_rules', 0);
+SELECT rls_test.expect_rejected('anon cannot log activity',
+  $sql$SELECT log_failed_action('import', 'anon.xlsx', '{}'::jsonb, 'spoofed')$sql$);
+
+RESET ROLE;
+
+-- ============================================
+-- Viewer
+-- ============================================
+
+SET ROLE authenticated;
+SET request.jwt.claims TO '{"sub": "00000000-0000-0000-0000-00000000000a", "email": "viewer@example.com", "role": "authenticated"}';
+
+SELECT rls_test.expect_value('viewer can read equipment', 'SELECT count(*) FROM equipment', 1);
+SELECT rls_test.expect_value('viewer can read dashboard_meta', 'SELECT count(*) FROM dashboard_meta', 1);
+SELECT rls_test.expect_value('viewer reads only their own role', 'SELECT count(*) FROM user_roles', 1);
+SELECT rls_test.expect_rejected('viewer cannot insert equipment',
+  $sql$INSERT INTO equipment (area, status, functional_location) VALUES ('Urea', 'Healthy', 'TEST-VIEWER-001')$sql$);
+SELECT rls_test.expect_affected('viewer cannot update equipment', $sql$UPDATE equipment SET status = 'Healthy'$sql$, 0);
+SELECT rls_test.expect_affected('viewer cannot delete equipment', 'DELETE FROM equipment WHERE TRUE', 0);
+SELECT rls_test.expect_affected('viewer cannot promote themselves', $sql$UPDATE user_roles SET role = 'admin'$sql$, 0);
+SELECT rls_test.expect_rejected('viewer cannot call import_equipment',
+  $sql$SELECT import_equipment('[{"area": "Urea", "status": "Healthy", "functional_location": "TEST-VIEWER-001"}]'::jsonb)$sql$);
+SELECT rls_test.expect_rejected('viewer cannot call clear_equipment', 'SELECT clear_equipment()');
+SELECT rls_test.expect_rejected('viewer cannot report a failed clear',
+  $sql$SELECT log_failed_action('clear', NULL, '{}'::jsonb, 'spoofed')$sql$);
+SELECT rls_test.expect_rejected('viewer cannot report a failed edit',
+  $sql$SELECT log_failed_action('edit', NULL, '{"Urea": 1}'::jsonb, 'spoofed')$sql$);
+SELECT rls_test.expect_error('failed actions cannot be reported under another name',
+  $sql$SELECT log_failed_action('clear', 'admin@example.com', NULL, '{}'::jsonb, 'spoofed')$sql$,
+  '42883');
+SELECT rls_test.expect_rejected('viewer cannot write the audit log directly',
+  $sql$INSERT INTO audit_log (action, user_name) VALUES ('import', 'viewer')$sql$);
+SELECT rls_test.expect_affected('viewer can post a comment',
+  $sql$INSERT INTO tag_comments (functional_location, body, author_name) VALUES ('TEST-SEED-001', 'Checked on site', 'admin@example.com')$sql$, 1);
+SELECT rls_test.expect_value('comment is posted under the viewer''s own name',
+  $sql$SELECT count(*) FROM tag_comments WHERE body = 'Checked on site' AND author_name = 'viewer@example.com'$sql$, 1);
+SELECT rls_test.expect_rejected('viewer cannot post as someone else',
+  $sql$INSERT INTO tag_comments (functional_location, body, author_id)
+    VALUES ('TEST-SEED-001', 'Spoofed', '00000000-0000-0000-0000-00000000000c')$sql$);
+SELECT rls_test.expect_affected('viewer cannot edit comments',
+  $sql$UPDATE tag_comments SET body = 'Changed'$sql$, 0);
+SELECT rls_test.expect_affected('viewer cannot delete comments', 'DELETE FROM tag_comments WHERE TRUE', 0);
+SELECT rls_test.expect_rejected('viewer cannot upload attachment files',
+  $sql$INSERT INTO storage.objects (bucket_id, name) VALUES ('equipment-attachments', 'TEST-SEED-001/viewer.jpg')$sql$);
+SELECT rls_test.expect_rejected('viewer cannot add attachments',
+  $sql$INSERT INTO tag_attachments (functional_location, storage_path, file_name)
+    VALUES ('TEST-SEED-001', 'TEST-SEED-001/viewer.jpg', 'viewer.jpg')$sql$);
+SELECT rls_test.expect_rejected('viewer cannot acknowledge alerts',
+  $sql$INSERT INTO alert_acknowledgements (functional_location, kind) VALUES ('TEST-SEED-001', 'acknowledged')$sql$);
+SELECT rls_test.expect_rejected('viewer cannot add rectification actions',
+  $sql$INSERT INTO rectification_actions (functional_location, owner) VALUES ('TEST-SEED-001', 'viewer')$sql$);
+SELECT rls_test.expect_rejected('viewer cannot change dashboard settings',
+  $sql$INSERT INTO dashboard_settings (key, value) VALUES ('sla_days', '{"C1": 1}'::jsonb)$sql$);
+SELECT rls_test.expect_value('viewer can read the starter alarm rules', 'SELECT count(*) FROM alarm_rules', 5);
+SELECT rls_test.expect_affected('viewer cannot change alarm rules',
+  $sql$UPDATE alarm_rules SET pattern = 'anything'$sql$, 0);
+SELECT rls_test.expect_rejected('viewer cannot edit a record',
+  $sql$SELECT update_equipment_record('TEST-SEED-001', '{"status": "Healthy"}'::jsonb,
+    (SELECT updated_at FROM equipment WHERE functional_location = 'TEST-SEED-001'))$sql$);
+
+RESET ROLE;
+
+-- ============================================
+-- Engineer (read-only for data management)
+-- ============================================
+
+SET ROLE authenticated;
+SET request.jwt.claims TO '{"sub": "00000000-0000-0000-0000-00000000000b", "email": "engineer@example.com", "role": "authenticated"}';
+
+SELECT rls_test.expect_value('engineer can read equipment', 'SELECT count(*) FROM equipment', 1);
+SELECT rls_test.expect_rejected('engineer cannot call import_equipment',
+  $sql$SELECT import_equipment('[{"area": "Urea", "status": "Healthy", "functional_location": "TEST-ENGINEER-001"}]'::jsonb)$sql$);
+SELECT rls_test.expect_rejected('engineer cannot call clear_equipment', 'SELECT clear_equipment()');
+SELECT rls_test.expect_rejected('engineer cannot call restore_previous_dataset', 'SELECT restore_previous_dataset()');
+SELECT rls_test.expect_rejected('engineer cannot report a failed import',
+  $sql$SELECT log_failed_action('import', 'engineer.xlsx', '{}'::jsonb, 'spoofed')$sql$);
+SELECT rls_test.expect_value('engineer can report a failed edit',
+  $sql$SELECT 1 FROM (SELECT log_failed_action('edit', NULL, '{"Urea": 1}'::jsonb, 'boom')) f$sql$, 1);
+SELECT rls_test.expect_value('failed edit is attributed to the engineer',
+  $sql$SELECT count(*) FROM audit_log WHERE action = 'edit' AND outcome = 'error' AND user_name = 'engineer@example.com'$sql$, 1);
+SELECT rls_test.expect_affected('engineer can reply to a comment',
+  $sql$INSERT INTO tag_comments (functional_location, body, author_name) VALUES ('TEST-SEED-001', 'Parts ordered', 'engineer@example.com')$sql$, 1);
+SELECT rls_test.expect_value('comment summary counts the thread',
+  $sql$SELECT comment_count::int FROM tag_comment_summary WHERE functional_location = 'TEST-SEED-001'$sql$, 2);
+SELECT rls_test.expect_value('comment summary shows the latest comment',
+  $sql$SELECT (latest_body = 'Parts ordered')::int FROM tag_comment_summary WHERE functional_location = 'TEST-SEED-001'$sql$, 1);
+SELECT rls_test.expect_affected('engineer can upload an attachment file',
+  $sql$INSERT INTO storage.objects (bucket_id, name) VALUES ('equipment-attachments', 'TEST-SEED-001/1-jb.jpg')$sql$, 1);
+SELECT rls_test.expect_rejected('engineer cannot upload to other buckets',
+  $sql$INSERT INTO storage.objects (bucket_id, name) VALUES ('avatars', 'engineer.jpg')$sql$);
+SELECT rls_test.expect_affected('engineer can add an attachment',
+  $sql$INSERT INTO tag_attachments (functional_location, storage_path, file_name, content_type, category, uploaded_by)
+    VALUES ('TEST-SEED-001', 'TEST-SEED-001/1-jb.jpg', 'jb.jpg', 'image/jpeg', 'photo', 'engineer@example.com')$sql$, 1);
+SELECT rls_test.expect_affected('engineer can delete an attachment',
+  'DELETE FROM tag_attachments WHERE TRUE', 1);
+SELECT rls_test.expect_affected('engineer can delete an attachment file',
+  $sql$DELETE FROM storage.objects WHERE bucket_id = 'equipment-attachments'$sql$, 1);
+SELECT rls_test.expect_affected('engineer cannot update equipment directly',
+  $sql$UPDATE equipment SET status = 'Healthy'$sql$, 0);
+SELECT rls_test.expect_error('shelving needs a reason',
+  $sql$INSERT INTO alert_acknowledgements (functional_location, kind, shelved_until)
+    VALUES ('TEST-SEED-001', 'shelved', '2030-01-01')$sql$,
+  '23514');
+SELECT rls_test.expect_affected('engineer can shelve an alert',
+  $sql$INSERT INTO alert_acknowledgements (functional_location, kind, reason, shelved_until, acknowledged_status, acknowledged_by)
+    VALUES ('TEST-SEED-001', 'shelved', 'Known issue, replacement planned', '2030-01-01', 'Warning', 'admin@example.com')$sql$, 1);
+SELECT rls_test.expect_value('shelving is attributed to the signed-in user',
+  $sql$SELECT count(*) FROM alert_acknowledgements WHERE acknowledged_by = 'engineer@example.com'$sql$, 1);
+SELECT rls_test.expect_value('engineer can edit a record',
+  $sql$SELECT (update_equipment_record('TEST-SEED-001', '{"status": "Caution", "criticality": "C2"}'::jsonb,
+    (SELECT updated_at FROM equipment WHERE functional_location = 'TEST-SEED-001'))
+    ->> 'status' = 'Caution')::int$sql$, 1);
+SELECT rls_test.expect_value('a status change unshelves the alert',
+  $sql$SELECT count(*) FROM alert_acknowledgements WHERE functional_location = 'TEST-SEED-001'$sql$, 0);
+SELECT rls_test.expect_value('record edit is in the change history',
+  $sql$SELECT count(*) FROM equipment_status_changes
+    WHERE functional_location = 'TEST-SEED-001' AND change_type = 'edited' AND new_criticality = 'C2'
+      AND changed_by = 'engineer@example.com'$sql$, 1);
+SELECT rls_test.expect_value('record edit is in the audit log',
+  $sql$SELECT count(*) FROM audit_log
+    WHERE action = 'edit' AND user_name = 'engineer@example.com' AND details ->> 'functionalLocation' = 'TEST-SEED-001'$sql$, 1);
+SELECT rls_test.expect_affected('engineer can add a rectification action',
+  $sql$INSERT INTO rectification_actions (functional_location, owner, target_date, state, sap_notification, updated_by)
+    VALUES ('TEST-SEED-001', 'Engineer', '2026-01-31', 'in_progress', '10012345', 'Admin')$sql$, 1);
+SELECT rls_test.expect_affected('engineer can update a rectification action',
+  $sql$UPDATE rectification_actions SET state = 'awaiting_parts', updated_by = 'someone else'
+    WHERE functional_location = 'TEST-SEED-001'$sql$, 1);
+SELECT rls_test.expect_value('rectification action is attributed to the signed-in user',
+  $sql$SELECT count(*) FROM rectification_actions WHERE updated_by = 'engineer@example.com'$sql$, 1);
+SELECT rls_test.expect_rejected('engineer cannot change dashboard settings',
+  $sql$INSERT INTO dashboard_settings (key, value) VALUES ('sla_days', '{"C1": 1}'::jsonb)$sql$);
+SELECT rls_test.expect_affected('engineer cannot delete rectification actions',
+  'DELETE FROM rectification_actions WHERE TRUE', 0);
+SELECT rls_test.expect_error('stale record edit is rejected',
+  $sql$SELECT update_equipment_record('TEST-SEED-001', '{"status": "Warning"}'::jsonb, '2000-01-01'::timestamptz)$sql$,
+  '40001');
+SELECT rls_test.expect_error('record edit with an invalid status is rejected',
+  $sql$SELECT update_equipment_record('TEST-SEED-001', '{"status": "Broken"}'::jsonb,
+    (SELECT updated_at FROM equipment WHERE functional_location = 'TEST-SEED-001'))$sql$,
+  '23514');
+
+RESET ROLE;
+
+-- ============================================
+-- Admin
+-- ============================================
+
+SET ROLE authenticated;
+SET request.jwt.claims TO '{"sub": "00000000-0000-0000-0000-00000000000c", "email": "admin@example.com", "role": "authenticated"}';
+
+SELECT rls_test.expect_value('admin can import',
+  $sql$SELECT (import_equipment(
+    '[{"area": "Urea", "status": "Caution", "equipment_type": "Valve", "functional_location": "TEST-ADMIN-001"}]'::jsonb,
+    ARRAY['Urea'], 'retire', 'rls_test.xlsx'
+  ) ->> 'inserted')::int$sql$, 1);
+SELECT rls_test.expect_error('import does not take the importer from the client',
+  $sql$SELECT import_equipment('[]'::jsonb, ARRAY['Urea'], 'retire', 'someone else', 'rls_test.xlsx')$sql$,
+  '42883');
+SELECT rls_test.expect_value('import is attributed to the signed-in user',
+  $sql$SELECT count(*) FROM upload_snapshots s JOIN dashboard_meta m ON m.refreshed_by = s.uploaded_by
+    WHERE s.uploaded_by = 'admin@example.com'$sql$, 1);
+SELECT rls_test.expect_value('import retired the seed row', 'SELECT count(*) FROM equipment WHERE retired_at IS NOT NULL', 1);
+SELECT rls_test.expect_value('import recorded a snapshot', 'SELECT count(*) FROM upload_snapshots', 1);
+SELECT rls_test.expect_affected('admin can update equipment',
+  $sql$UPDATE equipment SET description = 'Edited' WHERE functional_location = 'TEST-ADMIN-001'$sql$, 1);
+SELECT rls_test.expect_affected('admin cannot delete equipment directly', 'DELETE FROM equipment WHERE TRUE', 0);
+SELECT rls_test.expect_rejected('admin cannot write snapshots directly',
+  $sql$INSERT INTO upload_snapshots (file_name) VALUES ('admin.xlsx')$sql$);
+SELECT rls_test.expect_value('admin can clear', $sql$SELECT (clear_equipment() ->> 'deleted')::int$sql$, 2);
+SELECT rls_test.expect_value('admin can restore',
+  $sql$SELECT (restore_previous_dataset() ->> 'inserted')::int$sql$, 1);
+SELECT rls_test.expect_value('restore brought the imported row back', 'SELECT count(*) FROM equipment WHERE retired_at IS NULL', 1);
+SELECT rls_test.expect_value('clear kept the record edits as a snapshot',
+  $sql$SELECT count(*) FROM snapshot_equipment se JOIN upload_snapshots s ON s.id = se.snapshot_id
+    WHERE s.kind = 'edits' AND se.description = 'Edited'$sql$, 1);
+SELECT rls_test.expect_value('restore brought the record edits back',
+  $sql$SELECT count(*) FROM equipment WHERE description = 'Edited' AND retired_at IS NULL$sql$, 1);
+SELECT rls_test.expect_value('clear and restore are attributed to the signed-in user',
+  $sql$SELECT count(*) FROM audit_log WHERE action IN ('clear', 'restore') AND user_name = 'admin@example.com'$sql$, 2);
+SELECT rls_test.expect_value('edit, import, clear and restore were audited',
+  $sql$SELECT count(DISTINCT action) FROM audit_log WHERE outcome = 'success'$sql$, 4);
+SELECT rls_test.expect_value('import audit has rows per area',
+  $sql$SELECT (area_counts ->> 'Urea')::int FROM audit_log WHERE action = 'import'$sql$, 1);
+SELECT rls_test.expect_value('a failed action can be reported',
+  $sql$SELECT 1 FROM (SELECT log_failed_action('import', 'bad.xlsx', '{"Urea": 3}'::jsonb, 'boom')) f$sql$, 1);
+SELECT rls_test.expect_value('failed import is attributed to the admin',
+  $sql$SELECT count(*) FROM audit_log WHERE action = 'import' AND outcome = 'error' AND user_name = 'admin@example.com'$sql$, 1);
+SELECT rls_test.expect_affected('admin can change dashboard settings',
+  $sql$INSERT INTO dashboard_settings (key, value, updated_by)
+    VALUES ('sla_days', '{"C1": 14, "C2": 60, "C3": 120}'::jsonb, 'someone else')$sql$, 1);
+SELECT rls_test.expect_affected('admin can update dashboard settings',
+  $sql$UPDATE dashboard_settings SET value = '{"C1": 21, "C2": 60, "C3": 120}'::jsonb WHERE key = 'sla_days'$sql$, 1);
+SELECT rls_test.expect_value('dashboard setting is attributed to the signed-in user',
+  $sql$SELECT count(*) FROM dashboard_settings WHERE key = 'sla_days' AND updated_by = 'admin@example.com'$sql$, 1);
+SELECT rls_test.expect_affected('admin can add an alarm rule',
+  $sql$INSERT INTO alarm_rules (category, match_type, pattern, updated_by)
+    VALUES ('Analyzer', 'equipment_type', 'Analyzer', 'someone else')$sql$, 1);
+SELECT rls_test.expect_value('alarm rule is attributed to the signed-in user',
+  $sql$SELECT count(*) FROM alarm_rules WHERE category = 'Analyzer' AND updated_by = 'admin@example.com'$sql$, 1);
+SELECT rls_test.expect_error('alarm rule needs a pattern',
+  $sql$INSERT INTO alarm_rules (category, match_type, pattern) VALUES ('Power', 'keyword', ' ')$sql$,
+  '23514');
+SELECT rls_test.expect_affected('admin can delete an alarm rule',
+  $sql$DELETE FROM alarm_rules WHERE category = 'Analyzer'$sql$, 1);
+SELECT rls_test.expect_affected('admin cannot change the audit log',
+  $sql$UPDATE audit_log SET user_name = 'someone else'$sql$, 0);
+SELECT rls_test.expect_value('admin can edit a restored record',
+  $sql$SELECT (update_equipment_record('TEST-ADMIN-001', '{"status": "Warning"}'::jsonb,
+    (SELECT updated_at FROM equipment WHERE functional_location = 'TEST-ADMIN-001'))
+    ->> 'status' = 'Warning')::int$sql$, 1);
+SELECT rls_test.expect_value('restore after an edit steps back to the import',
+  $sql$SELECT (restore_previous_dataset() ->> 'updated')::int$sql$, 1);
+SELECT rls_test.expect_value('restore kept the edit as a snapshot',
+  $sql$SELECT count(*) FROM snapshot_equipment se JOIN upload_snapshots s ON s.id = se.snapshot_id
+    WHERE s.kind = 'edits' AND se.status = 'Warning'$sql$, 1);
+SELECT rls_test.expect_affected('admin can acknowledge an alert',
+  $sql$INSERT INTO alert_acknowledgements (functional_location, kind, acknowledged_status, created_at)
+    VALUES ('TEST-ADMIN-001', 'acknowledged', 'Caution', '2000-01-01')$sql$, 1);
+SELECT rls_test.expect_value('acknowledgement time is set by the database',
+  $sql$SELECT count(*) FROM alert_acknowledgements WHERE functional_location = 'TEST-ADMIN-001' AND created_at > '2000-01-02'$sql$, 1);
+SELECT rls_test.expect_value('clear and re-import with the same status',
+  $sql$SELECT (clear_equipment() ->> 'deleted')::int + (import_equipment(
+    '[{"area": "Urea", "status": "Caution", "equipment_type": "Valve", "functional_location": "TEST-ADMIN-001"}]'::jsonb,
+    ARRAY['Urea'], 'retire', 'rls_test.xlsx'
+  ) ->> 'inserted')::int$sql$, 2);
+SELECT rls_test.expect_value('acknowledgement stays while the status is unchanged',
+  $sql$SELECT count(*) FROM alert_acknowledgements WHERE functional_location = 'TEST-ADMIN-001'$sql$, 1);
+SELECT rls_test.expect_value('clear and re-import with a new status',
+  $sql$SELECT (clear_equipment() ->> 'deleted')::int + (import_equipment(
+    '[{"area": "Urea", "status": "Warning", "equipment_type": "Valve", "functional_location": "TEST-ADMIN-001"}]'::jsonb,
+    ARRAY['Urea'], 'retire', 'rls_test.xlsx'
+  ) ->> 'inserted')::int$sql$, 2);
+SELECT rls_test.expect_value('a new status after re-import releases the acknowledgement',
+  $sql$SELECT count(*) FROM alert_acknowledgements WHERE functional_location = 'TEST-ADMIN-001'$sql$, 0);
+
+RESET ROLE;
@@ -0,0 +1,32 @@
+#!/usr/bin/env bash
+# Builds a throwaway database on a local Postgres 15+ from local_supabase.sql,
+# schema.sql and every migration in order, then runs rls_test.sql.
+#
+#   PGHOST=localhost PGUSER=postgres ./supabase/tests/run_rls_tests.sh
+#
+# Connection settings come from the usual PG* environment variables. Connect as
+# a superuser (e.g. postgres): the tests create roles and switch between them.
+# The database named by RLS_TEST_DB (default pcfk_rls_test) is dropped and
+# recreated on every run.
+set -euo pipefail
+
+cd "$(dirname "$0")/.."
+
+DB="${RLS_TEST_DB:-pcfk_rls_test}"
+PSQL=(psql -X -q -v ON_ERROR_STOP=1)
+
+"${PSQL[@]}" -d postgres -c "DROP DATABASE IF EXISTS $DB" -c "CREATE DATABASE $DB"
+
+run() {
+  echo "-> $1"
+  "${PSQL[@]}" -d "$DB" -o /dev/null -f "$1"
+}
+
+run tests/local_supabase.sql
+run schema.sql
+for migration in migrations/*.sql; do
+  run "$migration"
+done
+run tests/rls_test.sql
+
+echo "All RLS tests passed"